@@ -0,0 +1,29 @@
+// rollup.config.page-bridge.js - Build configuration for main-world page bridge script
+import resolve from '@rollup/plugin-node-resolve';
+import commonjs from '@rollup/plugin-commonjs';
+import terser from '@rollup/plugin-terser';
+
+export default {
+  input: 'src/content/page-bridge.js',
+  output: {
+    file: 'dist/page-bridge-bundle.js',
+    format: 'iife',
+    name: 'PageBridgeScript',
+    sourcemap: false
+  },
+  plugins: [
+    resolve({
+      browser: true
+    }),
+    commonjs(),
+    // Minify only in production
+    process.env.NODE_ENV === 'production' && terser({
+      format: {
+        comments: false
+      },
+      compress: {
+        drop_console: false // Keep console logs for debugging
+      }
+    })
+  ].filter(Boolean)
+};
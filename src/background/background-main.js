@@ -2,13 +2,17 @@
 
 import { logger, LogLevel } from '../shared/logger/index.js';
 import { AIService } from '../shared/services/ai-service.js';
-import { createProvider } from '../shared/services/providers/index.js';
+import { createProvider, providerRequiresAPIKey } from '../shared/services/providers/index.js';
 import { StorageService } from '../shared/services/storage-service.js';
 import { AnalyticsService } from '../shared/services/analytics-service.js';
 import { Transcript, AnalysisResult } from '../shared/models/index.js';
 import { CONFIG } from '../shared/config.js';
+import { MESSAGE_ACTIONS } from '../shared/constants.js';
 import {
+  APIError,
   APIKeyError,
+  APITimeoutError,
+  ErrorHandler,
   TranscriptNotAvailableError,
   StorageError
 } from '../shared/errors/index.js';
@@ -21,7 +25,8 @@ class BackgroundService {
     // API Configuration
     this.API_KEYS = {
       claude: null,
-      openai: null
+      openai: null,
+      local: null // Optional for local servers
     };
     this.selectedProvider = 'claude'; // Default provider
 
@@ -29,6 +34,7 @@ class BackgroundService {
     this.logger = logger.child('BackgroundService');
     this.storageService = new StorageService();
     this.analyticsService = new AnalyticsService();
+    this.errorHandler = new ErrorHandler(this.logger);
 
     // AI service will be initialized after loading API keys
     this.aiService = null;
@@ -40,6 +46,7 @@ class BackgroundService {
     // Setup message listener FIRST (synchronously) to avoid race conditions
     // This ensures the listener is ready even if initialization is still in progress
     this.setupMessageListener();
+    this.setupCommandListener();
 
     // Initialize async (API keys, AI service, maintenance)
     this.initializationPromise = this.initialize();
@@ -61,6 +68,7 @@ class BackgroundService {
         selectedProvider: this.selectedProvider,
         hasClaudeKey: !!this.API_KEYS.claude,
         hasOpenAIKey: !!this.API_KEYS.openai,
+        hasLocalKey: !!this.API_KEYS.local,
         hasAIService: !!this.aiService
       });
     } catch (error) {
@@ -93,7 +101,7 @@ class BackgroundService {
       this.selectedProvider = advancedSettings.aiProvider || 'claude';
 
       // Load API keys for both providers
-      const data = await chrome.storage.local.get(['claudeApiKey', 'openaiApiKey', 'apiKey']);
+      const data = await chrome.storage.local.get(['claudeApiKey', 'openaiApiKey', 'localApiKey', 'apiKey']);
 
       // Handle legacy single API key (assumed to be Claude)
       if (data.apiKey && data.apiKey.length >= 20 && !data.claudeApiKey) {
@@ -115,6 +123,11 @@ class BackgroundService {
         this.logger.info('OpenAI API key loaded');
       }
 
+      if (data.localApiKey) {
+        this.API_KEYS.local = data.localApiKey;
+        this.logger.info('Local provider API key loaded');
+      }
+
       // Initialize AI service with selected provider
       await this.initializeAIService();
 
@@ -134,44 +147,13 @@ class BackgroundService {
         provider: this.selectedProvider
       });
 
-      const apiKey = this.API_KEYS[this.selectedProvider];
+      this.aiService = await this.createAIService(this.selectedProvider);
 
-      if (!apiKey || apiKey.length < 20) {
+      if (!this.aiService) {
         this.logger.warn(`No valid API key for provider: ${this.selectedProvider}`);
-        this.aiService = null;
         return;
       }
 
-      this.logger.debug('API key found, creating provider', {
-        provider: this.selectedProvider,
-        keyLength: apiKey.length
-      });
-
-      // Get provider config
-      const providerConfig = this.selectedProvider === 'claude'
-        ? CONFIG.AI_PROVIDERS.CLAUDE
-        : CONFIG.AI_PROVIDERS.OPENAI;
-
-      this.logger.debug('Provider config loaded', {
-        endpoint: providerConfig.ENDPOINT
-      });
-
-      // Create provider instance
-      const provider = createProvider(
-        this.selectedProvider,
-        apiKey,
-        {
-          baseUrl: providerConfig.ENDPOINT,
-          timeout: providerConfig.TIMEOUT,
-          version: providerConfig.VERSION
-        }
-      );
-
-      this.logger.debug('Provider instance created');
-
-      // Initialize AI service with provider
-      this.aiService = new AIService(provider);
-
       this.logger.info('AI service initialized successfully', {
         provider: this.selectedProvider
       });
@@ -186,6 +168,264 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Create an AI service for a provider
+   * @param {string} providerName - Provider name
+   * @returns {Promise<AIService|null>} null when the provider has no usable API key
+   */
+  async createAIService(providerName) {
+    const apiKey = this.API_KEYS[providerName];
+    const requiresKey = providerRequiresAPIKey(providerName);
+
+    if (requiresKey && (!apiKey || apiKey.length < 20)) {
+      return null;
+    }
+
+    this.logger.debug('API key found, creating provider', {
+      provider: providerName,
+      keyLength: apiKey?.length || 0
+    });
+
+    // Get provider config
+    const providerConfig = CONFIG.AI_PROVIDERS[providerName.toUpperCase()];
+    const endpointConfig = await this.getProviderEndpointConfig(providerConfig);
+
+    this.logger.debug('Provider config loaded', {
+      endpoint: endpointConfig.baseUrl
+    });
+
+    // Create provider instance
+    const provider = createProvider(
+      providerName,
+      apiKey,
+      {
+        ...endpointConfig,
+        timeout: providerConfig.TIMEOUT,
+        version: providerConfig.VERSION
+      }
+    );
+
+    return new AIService(provider);
+  }
+
+  /**
+   * Build the ordered list of usable providers for an analysis
+   * The offline heuristic detector is always appended as last resort
+   * @param {AdvancedSettings} advancedSettings - Advanced settings
+   * @returns {Promise<Array<Object>>} Entries as {provider, model, aiService, lastResort}
+   */
+  async getProviderChain(advancedSettings) {
+    const chain = [];
+
+    for (const entry of advancedSettings.getProviderChain()) {
+      // The primary provider reuses the service created at startup
+      const aiService = entry.provider === this.selectedProvider
+        ? this.aiService
+        : await this.createAIService(entry.provider);
+
+      if (!aiService) {
+        this.logger.debug('Skipping provider without API key', { provider: entry.provider });
+        continue;
+      }
+
+      chain.push({ ...entry, aiService });
+    }
+
+    const heuristic = CONFIG.AI_PROVIDERS.HEURISTIC;
+    if (!chain.some(entry => entry.provider === heuristic.NAME)) {
+      chain.push({
+        provider: heuristic.NAME,
+        model: heuristic.DEFAULT_MODEL,
+        aiService: await this.createAIService(heuristic.NAME),
+        lastResort: true
+      });
+    }
+
+    return chain;
+  }
+
+  /**
+   * Analyze transcript, falling through the provider chain on retryable failures
+   * @param {Array<Object>} chain - Provider chain from getProviderChain()
+   * @param {Transcript} transcript - Transcript to analyze
+   * @param {AdvancedSettings} advancedSettings - Advanced settings
+   * @param {Settings} userSettings - User settings
+   * @param {string} channelId - Channel ID (feedback on the channel raises confidence thresholds)
+   * @returns {Promise<AnalysisResult>}
+   */
+  async analyzeWithFallback(chain, transcript, advancedSettings, userSettings, channelId = '') {
+    const { RETRIES_PER_PROVIDER, RETRY_BASE_DELAY_MS } = CONFIG.AI_FALLBACK;
+    const attempted = [];
+    let lastError = null;
+
+    for (const [index, entry] of chain.entries()) {
+      attempted.push(entry.provider);
+
+      try {
+        const entrySettings = advancedSettings.merge({
+          aiProvider: entry.provider,
+          aiModel: entry.model,
+          confidenceThreshold: this.getConfidenceThreshold(entry, advancedSettings)
+        });
+        const adjustments = await this.getConfidenceAdjustments(entry, channelId);
+
+        const result = await this.errorHandler.retry(
+          () => entry.aiService.analyzeTranscript(transcript, entrySettings, userSettings, adjustments),
+          RETRIES_PER_PROVIDER,
+          RETRY_BASE_DELAY_MS,
+          error => this.shouldRetry(error, entry, index < chain.length - 1)
+        );
+
+        result.metadata.provider = entry.provider;
+        result.metadata.model = entry.model;
+        result.metadata.confidenceThreshold = entrySettings.confidenceThreshold;
+        if (index > 0) {
+          result.metadata.fallback = true;
+          result.metadata.attemptedProviders = attempted;
+        }
+
+        return result;
+      } catch (error) {
+        lastError = error;
+
+        // Only retryable failures move on (a rejected request would fail the same way
+        // and must be reported rather than hidden behind the last-resort detector)
+        const isLast = index === chain.length - 1;
+        if (isLast || !this.shouldFallBack(error)) {
+          throw error;
+        }
+
+        this.logger.warn('Provider failed, falling back to next in chain', {
+          provider: entry.provider,
+          model: entry.model,
+          next: chain[index + 1].provider,
+          error: error.message,
+          statusCode: error.statusCode
+        });
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Get the confidence threshold segments of a provider must reach
+   * Rule weights are not AI confidences: the offline rules use a lower threshold
+   * @param {Object} entry - Provider chain entry
+   * @param {AdvancedSettings} advancedSettings - Advanced settings
+   * @returns {number}
+   */
+  getConfidenceThreshold(entry, advancedSettings) {
+    const heuristic = CONFIG.AI_PROVIDERS.HEURISTIC;
+
+    if (entry.provider !== heuristic.NAME) {
+      return advancedSettings.confidenceThreshold;
+    }
+
+    return Math.min(advancedSettings.confidenceThreshold, heuristic.CONFIDENCE_THRESHOLD);
+  }
+
+  /**
+   * Get confidence threshold increases from the user's feedback on a model
+   * @param {Object} entry - Provider chain entry ({provider, model})
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>} Empty when the feedback cannot be read
+   */
+  async getConfidenceAdjustments(entry, channelId) {
+    try {
+      return await this.storageService.getConfidenceAdjustments(entry.provider, entry.model, channelId);
+    } catch (error) {
+      this.logger.warn('Feedback not available, using the plain threshold', { error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Check if a provider should be asked again after an error
+   * A local server that accepted the request but never answered will not answer a retry
+   * either, and each attempt waits out its long timeout: the next provider is tried instead
+   * @param {Error} error - Error thrown by the provider
+   * @param {Object} entry - Provider chain entry
+   * @param {boolean} hasNext - Whether another provider follows in the chain
+   * @returns {boolean}
+   */
+  shouldRetry(error, entry, hasNext) {
+    if (hasNext && entry.provider === CONFIG.AI_PROVIDERS.LOCAL.NAME && error instanceof APITimeoutError) {
+      return false;
+    }
+
+    return error.isRetryable();
+  }
+
+  /**
+   * Check if an analysis error should move on to the next provider
+   * @param {Error} error - Error thrown by the provider
+   * @returns {boolean}
+   */
+  shouldFallBack(error) {
+    return (error instanceof APIError || error instanceof APITimeoutError) && error.isRetryable();
+  }
+
+  /**
+   * Explain why offline rules analyzed the video instead of the selected provider
+   * @param {AdvancedSettings} advancedSettings - Advanced settings
+   * @param {AnalysisResult} result - Analysis result
+   * @returns {string|null} Null when no notice is needed
+   */
+  getHeuristicNotice(advancedSettings, result) {
+    const heuristic = CONFIG.AI_PROVIDERS.HEURISTIC.NAME;
+
+    if (result.metadata.provider !== heuristic || advancedSettings.aiProvider === heuristic) {
+      return null;
+    }
+
+    const threshold = `${Math.round(result.metadata.confidenceThreshold * 100)}% confidence`;
+
+    if (result.metadata.fallback) {
+      return `AI providers unavailable, segments were detected with offline rules at ${threshold} (less accurate).`;
+    }
+
+    return `${this.getMissingKeyMessage(advancedSettings.aiProvider)} ` +
+      `Segments were detected with offline rules at ${threshold} meanwhile.`;
+  }
+
+  /**
+   * Get setup instructions for a provider without API key or server
+   * @param {string} provider - Provider name
+   * @returns {string}
+   */
+  getMissingKeyMessage(provider) {
+    if (provider === CONFIG.AI_PROVIDERS.LOCAL.NAME) {
+      return 'Local model server not configured. Please open the extension popup and set the server URL and model.';
+    }
+
+    const providerName = provider === CONFIG.AI_PROVIDERS.CLAUDE.NAME ? 'Claude' : 'OpenAI';
+    const consoleUrl = provider === CONFIG.AI_PROVIDERS.CLAUDE.NAME
+      ? 'https://console.anthropic.com/settings/keys'
+      : 'https://platform.openai.com/api-keys';
+
+    return `API key not configured. Please open the extension popup and enter your ${providerName} API key. ` +
+      `Get your API key from ${consoleUrl}`;
+  }
+
+  /**
+   * Resolve endpoint and model for a provider
+   * Local servers are user-configured in advanced settings
+   * @param {Object} providerConfig - Provider entry from CONFIG.AI_PROVIDERS
+   * @returns {Promise<Object>} {baseUrl, model?}
+   */
+  async getProviderEndpointConfig(providerConfig) {
+    if (providerConfig.NAME !== CONFIG.AI_PROVIDERS.LOCAL.NAME) {
+      return { baseUrl: providerConfig.ENDPOINT };
+    }
+
+    const advancedSettings = await this.storageService.getAdvancedSettings();
+    return {
+      baseUrl: advancedSettings.localEndpoint || providerConfig.ENDPOINT,
+      model: advancedSettings.localModel || providerConfig.DEFAULT_MODEL
+    };
+  }
+
   /**
    * Setup message listener for content script communication
    */
@@ -251,7 +491,8 @@ class BackgroundService {
           selectedProvider: this.selectedProvider,
           availableKeys: {
             claude: !!this.API_KEYS.claude,
-            openai: !!this.API_KEYS.openai
+            openai: !!this.API_KEYS.openai,
+            local: !!this.API_KEYS.local
           }
         });
         return false;
@@ -263,6 +504,39 @@ class BackgroundService {
     this.logger.info('Message listener configured');
   }
 
+  /**
+   * Route keyboard shortcuts (chrome.commands) to the YouTube tab
+   */
+  setupCommandListener() {
+    chrome.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+
+    this.logger.info('Command listener configured');
+  }
+
+  /**
+   * Forward a command to the content script of the focused YouTube tab
+   * @param {string} command - One of COMMANDS
+   * @param {chrome.tabs.Tab} tab - Tab focused when the shortcut was pressed
+   */
+  async handleCommand(command, tab) {
+    try {
+      const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+
+      if (!target?.id || !/^https:\/\/(www\.)?youtube\.com\//.test(target.url || '')) {
+        this.logger.debug('Command ignored outside YouTube', { command });
+        return;
+      }
+
+      await chrome.tabs.sendMessage(target.id, { action: MESSAGE_ACTIONS.RUN_COMMAND, command });
+      this.logger.debug('Command forwarded', { command, tabId: target.id });
+    } catch (error) {
+      // Content script not loaded (e.g. tab opened before the extension was installed)
+      this.logger.warn('Failed to forward command', { command, error: error.message });
+    }
+  }
+
   /**
    * Handle API key update
    * @param {Object} data - Update data {provider, apiKey} or legacy {apiKey}
@@ -276,16 +550,16 @@ class BackgroundService {
 
       const { provider, apiKey } = data;
 
-      if (!apiKey || apiKey.length < 20) {
-        throw new APIKeyError('Invalid API key format');
+      if (!this.isKnownProvider(provider)) {
+        throw new APIKeyError('Invalid provider');
       }
 
-      if (!['claude', 'openai'].includes(provider)) {
-        throw new APIKeyError('Invalid provider');
+      if (providerRequiresAPIKey(provider) && (!apiKey || apiKey.length < 20)) {
+        throw new APIKeyError('Invalid API key format');
       }
 
-      // Update API key for provider
-      this.API_KEYS[provider] = apiKey;
+      // Update API key for provider (local servers may run without one)
+      this.API_KEYS[provider] = apiKey || null;
 
       // If updating the currently selected provider, reinitialize
       if (provider === this.selectedProvider) {
@@ -301,13 +575,22 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Check if provider name is supported
+   * @param {string} provider - Provider name
+   * @returns {boolean}
+   */
+  isKnownProvider(provider) {
+    return Object.values(CONFIG.AI_PROVIDERS).some(config => config.NAME === provider);
+  }
+
   /**
    * Handle provider change
    * @param {string} newProvider - New provider selection
    */
   async handleProviderChange(newProvider) {
     try {
-      if (!['claude', 'openai'].includes(newProvider)) {
+      if (!this.isKnownProvider(newProvider)) {
         throw new Error('Invalid provider');
       }
 
@@ -334,7 +617,7 @@ class BackgroundService {
     const stopTimer = this.logger.time('handleTranscriptAnalysis');
 
     try {
-      const { videoId, transcript, title, settings } = data;
+      const { videoId, channelId, transcript, language, captionKind, title, settings } = data;
 
       this.logger.info('Starting analysis', {
         videoId,
@@ -342,17 +625,20 @@ class BackgroundService {
         transcriptSegments: transcript?.length
       });
 
-      // Verify AI service is available
-      if (!this.aiService) {
-        const providerName = this.selectedProvider === 'claude' ? 'Claude' : 'OpenAI';
-        const consoleUrl = this.selectedProvider === 'claude'
-          ? 'https://console.anthropic.com/settings/keys'
-          : 'https://platform.openai.com/api-keys';
-
-        throw new APIKeyError(
-          `API key not configured. Please open the extension popup and enter your ${providerName} API key. ` +
-          `Get your API key from ${consoleUrl}`
-        );
+      // Get advanced settings and user settings (with the channel's profile applied)
+      const {
+        settings: userSettings,
+        advancedSettings
+      } = await this.storageService.getSettingsForChannel(channelId);
+
+      // Primary provider followed by configured fallbacks that have keys
+      const providerChain = await this.getProviderChain(advancedSettings);
+
+      if (providerChain[0].provider !== advancedSettings.aiProvider) {
+        this.logger.warn('Selected provider not configured, using next available', {
+          selected: advancedSettings.aiProvider,
+          using: providerChain[0].provider
+        });
       }
 
       // Validate input
@@ -360,10 +646,6 @@ class BackgroundService {
         throw new TranscriptNotAvailableError(videoId);
       }
 
-      // Get advanced settings and user settings
-      const advancedSettings = await this.storageService.getAdvancedSettings();
-      const userSettings = await this.storageService.getSettings();
-
       // Check cache first
       const cachedResult = await this.storageService.getCachedAnalysis(videoId);
       if (cachedResult) {
@@ -378,18 +660,22 @@ class BackgroundService {
         return {
           success: true,
           segments: filteredSegments.map(s => s.toJSON()),
+          provider: cachedResult.metadata.provider,
+          model: cachedResult.metadata.model,
           cached: true
         };
       }
 
       // Create transcript model
-      const transcriptModel = Transcript.fromDOM(transcript, videoId);
+      const transcriptModel = Transcript.fromDOM(transcript, videoId, '', language || null, captionKind || null);
 
       // Analyze with AI (passing user settings to optimize prompt)
-      const analysisResult = await this.aiService.analyzeTranscript(
+      const analysisResult = await this.analyzeWithFallback(
+        providerChain,
         transcriptModel,
         advancedSettings,
-        userSettings
+        userSettings,
+        channelId
       );
 
       // Merge overlapping segments
@@ -398,15 +684,28 @@ class BackgroundService {
       // Segments are already filtered by AI based on enabled categories
       const filteredSegments = mergedResult.segments;
 
+      // Precision in the popup compares feedback to what each model detected
+      this.storageService.recordDetections(mergedResult.metadata.provider, mergedResult.metadata.model, filteredSegments)
+        .catch(error => this.logger.warn('Failed to count detections', { error: error.message }));
+
+      // Segments the user rejected on this video stay out when they are detected again
+      const keptSegments = await this.storageService.removeRejectedSegments(videoId, filteredSegments);
+
+      // Segments added or edited by the user replace the detected ones they overlap
+      const userSegments = await this.storageService.getUserSegments(videoId);
+
       // Create final result
       const finalResult = new AnalysisResult(
         videoId,
-        filteredSegments,
+        keptSegments,
         mergedResult.metadata
-      );
+      ).withUserSegments(userSegments);
 
-      // Cache result
-      await this.storageService.cacheAnalysis(videoId, finalResult);
+      // Heuristic results are cheap to recompute and should not shadow a real analysis
+      // once a provider becomes available, so they are not cached
+      if (finalResult.metadata.provider !== CONFIG.AI_PROVIDERS.HEURISTIC.NAME) {
+        await this.storageService.cacheAnalysis(videoId, finalResult);
+      }
 
       // Track analytics
       await this.analyticsService.trackAnalysis(
@@ -417,6 +716,7 @@ class BackgroundService {
 
       this.logger.info('Analysis completed', {
         videoId,
+        provider: finalResult.metadata.provider,
         segments: finalResult.getSegmentCount(),
         duration: finalResult.getTotalSkipDuration()
       });
@@ -424,6 +724,9 @@ class BackgroundService {
       return {
         success: true,
         segments: finalResult.segments.map(s => s.toJSON()),
+        provider: finalResult.metadata.provider,
+        model: finalResult.metadata.model,
+        notice: this.getHeuristicNotice(advancedSettings, finalResult),
         cached: false
       };
 
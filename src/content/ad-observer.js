@@ -0,0 +1,103 @@
+// ad-observer.js - Detects YouTube ads playing in the content <video> element
+
+import { logger } from '../shared/logger/index.js';
+import { YOUTUBE } from '../shared/constants.js';
+import { selectorRegistry } from '../shared/selector-registry.js';
+
+/**
+ * AdObserver - Reports when an ad starts and ends in the player
+ * YouTube plays pre-roll and mid-roll ads in the same <video> as the content and flags
+ * the player with a class; the duration switching between ad and content confirms the change
+ */
+export class AdObserver {
+  /**
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onAdStart - Called when an ad starts playing
+   * @param {Function} handlers.onAdEnd - Called when the content resumes
+   */
+  constructor({ onAdStart, onAdEnd }) {
+    this.onAdStart = onAdStart;
+    this.onAdEnd = onAdEnd;
+    this.player = null;
+    this.video = null;
+    this.mutationObserver = null;
+    this.adPlaying = false;
+    this.logger = logger.child('AdObserver');
+
+    this.update = this.update.bind(this);
+  }
+
+  /**
+   * Start watching a player (stops watching the previous one)
+   * @param {Element|null} player - Player element carrying the ad classes (looked up when not given)
+   * @param {HTMLVideoElement} video - Video element
+   */
+  observe(player, video) {
+    this.disconnect();
+
+    const target = player || selectorRegistry.query('PLAYER');
+
+    if (!target || !video) {
+      this.logger.warn('Player not found, ads will not be detected');
+      return;
+    }
+
+    this.player = target;
+    this.video = video;
+
+    this.mutationObserver = new MutationObserver(this.update);
+    this.mutationObserver.observe(target, { attributes: true, attributeFilter: ['class'] });
+    video.addEventListener('durationchange', this.update);
+
+    // The video may start with a pre-roll
+    this.update();
+  }
+
+  /**
+   * Stop watching the player
+   */
+  disconnect() {
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    if (this.video) {
+      this.video.removeEventListener('durationchange', this.update);
+    }
+
+    this.player = null;
+    this.video = null;
+    this.adPlaying = false;
+  }
+
+  /**
+   * Check if an ad is playing
+   * @returns {boolean}
+   */
+  isAdPlaying() {
+    return this.adPlaying;
+  }
+
+  /**
+   * Re-read the ad state and notify on changes
+   */
+  update() {
+    if (!this.player) return;
+
+    const adPlaying = YOUTUBE.AD_CLASSES.some(className => this.player.classList.contains(className));
+
+    if (adPlaying === this.adPlaying) return;
+
+    this.adPlaying = adPlaying;
+    this.logger.debug(adPlaying ? 'Ad started' : 'Ad ended', {
+      duration: this.video.duration
+    });
+
+    if (adPlaying) {
+      this.onAdStart();
+    } else {
+      this.onAdEnd();
+    }
+  }
+}
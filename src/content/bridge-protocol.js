@@ -0,0 +1,144 @@
+// bridge-protocol.js - Message shapes shared by the content script and the page-world bridge
+
+import { YOUTUBE, BRIDGE } from '../shared/constants.js';
+import { ValidationError } from '../shared/errors/index.js';
+
+/**
+ * @typedef {Object} BridgeRequest
+ * @property {string} type - YOUTUBE.MESSAGE_TYPE
+ * @property {string} source - BRIDGE.SOURCE_CONTENT
+ * @property {string} id - Request ID, echoed by the response
+ * @property {string} action - One of BRIDGE.ACTIONS
+ * @property {Object} payload - Action payload, see PAYLOAD_TYPES
+ */
+
+/**
+ * @typedef {Object} BridgeResponse
+ * @property {string} type - YOUTUBE.MESSAGE_TYPE
+ * @property {string} source - BRIDGE.SOURCE_PAGE
+ * @property {string} id - ID of the request answered
+ * @property {boolean} success - Whether the action succeeded
+ * @property {*} [data] - Action result when successful
+ * @property {string} [error] - Error message otherwise
+ */
+
+/**
+ * @typedef {Object} PlayerState - Result of BRIDGE.ACTIONS.GET_PLAYER_STATE
+ * @property {string} videoId - Video loaded in the player
+ * @property {number} currentTime - Content position in seconds
+ * @property {number} duration - Content duration in seconds
+ * @property {boolean} adPlaying - Whether an ad is playing
+ * @property {number} playerState - YouTube state (-1 unstarted, 0 ended, 1 playing, 2 paused, 3 buffering, 5 cued)
+ * @property {Array<{title: string, start: number}>} chapters - Chapters of the video, empty when none
+ */
+
+// Payload field types of each action ('?' marks optional fields)
+const PAYLOAD_TYPES = {
+  [BRIDGE.ACTIONS.GET_CAPTION_TRACK]: { videoId: 'string', languages: 'array?', kind: 'string?' },
+  [BRIDGE.ACTIONS.SEEK_TO]: { videoId: 'string', time: 'number' },
+  [BRIDGE.ACTIONS.GET_PLAYER_STATE]: { videoId: 'string' }
+};
+
+/**
+ * BridgeProtocol - Builds and recognizes bridge messages, validates payloads
+ */
+export class BridgeProtocol {
+  /**
+   * Build a request
+   * @param {string} id - Request ID
+   * @param {string} action - One of BRIDGE.ACTIONS
+   * @param {Object} payload - Action payload
+   * @returns {BridgeRequest}
+   */
+  static createRequest(id, action, payload) {
+    BridgeProtocol.validatePayload(action, payload);
+
+    return {
+      type: YOUTUBE.MESSAGE_TYPE,
+      source: BRIDGE.SOURCE_CONTENT,
+      id,
+      action,
+      payload
+    };
+  }
+
+  /**
+   * Build a response
+   * @param {string} id - ID of the request answered
+   * @param {Object} result - {success, data} or {success, error}
+   * @returns {BridgeResponse}
+   */
+  static createResponse(id, result) {
+    return {
+      type: YOUTUBE.MESSAGE_TYPE,
+      source: BRIDGE.SOURCE_PAGE,
+      id,
+      ...result
+    };
+  }
+
+  /**
+   * Check if a window message is a bridge request (posted by the content script)
+   * @param {MessageEvent} event - Message event
+   * @returns {boolean}
+   */
+  static isRequest(event) {
+    return BridgeProtocol.isBridgeMessage(event, BRIDGE.SOURCE_CONTENT);
+  }
+
+  /**
+   * Check if a window message is a bridge response (posted by the page world)
+   * @param {MessageEvent} event - Message event
+   * @returns {boolean}
+   */
+  static isResponse(event) {
+    return BridgeProtocol.isBridgeMessage(event, BRIDGE.SOURCE_PAGE);
+  }
+
+  /**
+   * Check message envelope
+   * @param {MessageEvent} event - Message event
+   * @param {string} source - Expected sender
+   * @returns {boolean}
+   */
+  static isBridgeMessage(event, source) {
+    const message = event.data;
+
+    return event.source === window &&
+           !!message &&
+           message.type === YOUTUBE.MESSAGE_TYPE &&
+           message.source === source &&
+           typeof message.id === 'string';
+  }
+
+  /**
+   * Validate payload of an action
+   * @param {string} action - One of BRIDGE.ACTIONS
+   * @param {Object} payload - Action payload
+   * @throws {ValidationError}
+   */
+  static validatePayload(action, payload) {
+    const fields = PAYLOAD_TYPES[action];
+
+    if (!fields) {
+      throw new ValidationError(`Unknown bridge action: ${action}`, 'action', action);
+    }
+
+    if (!payload || typeof payload !== 'object') {
+      throw new ValidationError('Payload must be an object', 'payload', payload);
+    }
+
+    Object.entries(fields).forEach(([field, type]) => {
+      const optional = type.endsWith('?');
+      const expected = optional ? type.slice(0, -1) : type;
+      const value = payload[field];
+
+      if (value === undefined && optional) return;
+
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (actual !== expected || (expected === 'number' && !Number.isFinite(value))) {
+        throw new ValidationError(`${field} must be of type ${expected}`, field, value);
+      }
+    });
+  }
+}
@@ -4,27 +4,127 @@ import { logger } from '../shared/logger/index.js';
 import { TranscriptService } from '../shared/services/transcript-service.js';
 import { StorageService } from '../shared/services/storage-service.js';
 import { AnalyticsService } from '../shared/services/analytics-service.js';
+import { PageBridgeClient } from './page-bridge-client.js';
+import { NavigationObserver } from './navigation-observer.js';
+import { AdObserver } from './ad-observer.js';
+import { SegmentScheduler } from './segment-scheduler.js';
+import { PlayerController } from './player-controller.js';
+import {
+  OverlayHost,
+  NotificationManager,
+  SegmentPanel,
+  createElement,
+  createButton,
+  createCard,
+  createTooltip,
+  dismiss,
+  formatTime
+} from './ui/index.js';
+import {
+  COMMANDS,
+  HOTKEYS,
+  CSS_CLASSES,
+  YOUTUBE,
+  MODE_SELECTORS,
+  NOTIFICATION_CHANNELS,
+  CATEGORIES,
+  SEGMENT_SOURCES,
+  FEEDBACK_TYPES
+} from '../shared/constants.js';
+import { selectorRegistry } from '../shared/selector-registry.js';
+import { CONFIG } from '../shared/config.js';
 import { Segment, AnalysisResult } from '../shared/models/index.js';
+import { AIService } from '../shared/services/ai-service.js';
 import {
   TranscriptNotAvailableError,
   TranscriptExtractionError
 } from '../shared/errors/index.js';
 
+// Seconds around the current position ignored by next/previous segment
+const SEGMENT_JUMP_TOLERANCE = 2;
+// Seconds before the end of a short where playback is sampled to notice it loop
+const SHORTS_LOOP_SAMPLE = 0.5;
+
 /**
  * YouTubeSkipManager - Main content script manager
  */
 class YouTubeSkipManager {
   constructor() {
     this.video = null;
+    this.player = null;
+    this.playerMode = YOUTUBE.PLAYER_MODES.WATCH;
     this.skipSegments = [];
     this.currentVideoId = null;
-    this.isAnalyzing = false;
+    this.currentChannelId = '';
+    this.analyzingVideoId = null;
+    this.navigationObserver = null;
+
+    // Timers that must not fire after leaving the video (cleared on teardown)
+    this.pendingTimers = new Set();
+    // Removes the play listener of an embed waiting to be analyzed
+    this.cancelDeferredAnalysis = null;
+
+    // Segments already acted on while playback is inside them
+    this.handledSegments = new Set();
+    // Segments auto-skip leaves alone for the rest of the video (skipped or cancelled)
+    this.dismissedSegments = new Set();
+    this.undoableSkips = new Set();
+    // Segments turned off from the segment panel for the rest of the video
+    this.disabledSegments = new Set();
+    this.lastSkippedSegment = null;
+    this.mutedSegment = null;
+    this.wasMuted = false;
+    // Shorts loop: a jump from the end back to the start replays the skips
+    this.lastPlaybackTime = 0;
+    // 'never' replay policy: segments starting before this position are left alone
+    this.replayHorizon = null;
+    // Segment counted down by the skip preview, and the countdown timer
+    this.previewSegment = null;
+    this.previewCountdown = null;
+    // Manual editor: drag handles on the markers, start marked for the next segment, its category
+    this.editMode = false;
+    this.markedStart = null;
+    this.editorCategory = CATEGORIES.SPONSOR;
+    // Provider and model that detected the segments, credited with feedback on them
+    this.analysisModel = null;
+    this.tooltipHideTimer = null;
+
+    this.handleSeeking = this.handleSeeking.bind(this);
+    this.handleHotkey = this.handleHotkey.bind(this);
 
     // Services
     this.logger = logger.child('YouTubeSkipManager');
-    this.transcriptService = new TranscriptService();
+    this.pageBridge = new PageBridgeClient();
+    this.transcriptService = new TranscriptService(this.pageBridge);
+    this.playerController = new PlayerController(this.pageBridge);
     this.storageService = new StorageService();
     this.analyticsService = new AnalyticsService();
+    this.overlay = new OverlayHost();
+    this.notifications = new NotificationManager(this.overlay, {
+      getLevel: () => this.settings?.notificationLevel
+    });
+    this.segmentPanel = new SegmentPanel({
+      getCategoryLabel: (category) => this.getCategoryLabel(category),
+      getCategoryColor: (category) => this.getCategoryColor(category),
+      getCategoryOptions: () => this.getCategoryOptions(),
+      onJump: (segment) => this.watchSegment(segment),
+      onSkip: (segment) => this.skipSegmentManually(segment),
+      onToggle: (segment) => this.toggleSegment(segment),
+      onEdit: (segment, changes) => this.editSegment(segment, changes),
+      onToggleEditMode: () => this.toggleEditMode(),
+      onMarkStart: () => this.markSegmentStart(),
+      onMarkEnd: () => this.markSegmentEnd(),
+      onAdd: () => this.addSegmentAtCurrentTime(),
+      onCategoryChange: (category) => { this.editorCategory = category; }
+    });
+    this.adObserver = new AdObserver({
+      onAdStart: () => this.handleAdStart(),
+      onAdEnd: () => this.handleAdEnd()
+    });
+    this.segmentScheduler = new SegmentScheduler({
+      getNextBoundary: (currentTime) => this.getNextBoundary(currentTime),
+      onEvaluate: (time) => this.evaluateSegments(time)
+    });
 
     // Settings (will be loaded from storage)
     this.settings = null;
@@ -46,6 +146,7 @@ class YouTubeSkipManager {
       // Setup observers
       this.observeVideoChanges();
       this.setupMessageListener();
+      this.setupHotkeys();
 
       this.logger.info('YouTube Skip Manager initialized successfully');
     } catch (error) {
@@ -54,18 +155,22 @@ class YouTubeSkipManager {
   }
 
   /**
-   * Load settings from storage
+   * Load settings from storage (with the current channel's profile applied)
    */
   async loadSettings() {
     try {
-      const allSettings = await this.storageService.getAllSettings();
+      const allSettings = await this.storageService.getSettingsForChannel(this.currentChannelId);
       this.settings = allSettings.settings;
       this.advancedSettings = allSettings.advancedSettings;
 
       this.logger.debug('Settings loaded', {
         autoSkip: this.settings.autoSkip,
-        enabledCategories: this.settings.getEnabledCategories()
+        enabledCategories: this.settings.getEnabledCategories(),
+        channelProfile: allSettings.profile ? allSettings.profile.channelId : null
       });
+
+      // Actions, buffer or auto-skip may have changed
+      this.segmentScheduler.refresh();
     } catch (error) {
       this.logger.error('Failed to load settings', { error: error.message });
       // Use defaults if loading fails
@@ -76,40 +181,129 @@ class YouTubeSkipManager {
   }
 
   /**
-   * Observe DOM changes to detect video changes
+   * Follow YouTube SPA navigation to detect video changes
    */
   observeVideoChanges() {
-    const observer = new MutationObserver(() => {
-      const video = document.querySelector('video');
-      const videoId = this.extractVideoId();
-
-      if (video && videoId && videoId !== this.currentVideoId) {
-        this.handleNewVideo(video, videoId);
-      }
+    this.navigationObserver = new NavigationObserver({
+      onVideo: (video, videoId, context) => this.handleNewVideo(video, videoId, context),
+      onLeave: (videoId) => this.teardown(videoId)
     });
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    this.navigationObserver.start();
+
+    this.logger.debug('Navigation observer configured');
+  }
+
+  /**
+   * Remove everything tied to the video being left (markers, listeners, pending timers)
+   * @param {string} videoId - Video being left
+   */
+  teardown(videoId) {
+    this.logger.debug('Tearing down video', { videoId });
+
+    this.clearPendingTimers();
+    this.unmuteSegment();
+    this.removeSkipPrompt();
+    this.adObserver.disconnect();
+    this.segmentScheduler.detach();
+    this.playerController.detach();
+
+    if (this.cancelDeferredAnalysis) {
+      this.cancelDeferredAnalysis();
+      this.cancelDeferredAnalysis = null;
+    }
 
-    // Initial check
-    const video = document.querySelector('video');
-    const videoId = this.extractVideoId();
-    if (video && videoId) {
-      this.handleNewVideo(video, videoId);
+    if (this.video) {
+      this.video.removeEventListener('seeking', this.handleSeeking);
+      this.video.style.opacity = '1';
     }
 
-    this.logger.debug('Video change observer configured');
+    this.removeTimelineMarkers();
+    this.removeSkipPreview();
+    this.notifications.clear();
+    this.segmentPanel.remove();
+
+    this.video = null;
+    this.player = null;
+    this.playerMode = YOUTUBE.PLAYER_MODES.WATCH;
+    this.currentVideoId = null;
+    this.skipSegments = [];
+    this.handledSegments.clear();
+    this.dismissedSegments.clear();
+    this.undoableSkips.clear();
+    this.disabledSegments.clear();
+    this.lastSkippedSegment = null;
+    this.replayHorizon = null;
+    this.editMode = false;
+    this.markedStart = null;
+    this.analysisModel = null;
+    this.removeCategoryPicker();
+  }
+
+  /**
+   * Check if a video is still the one being watched (async work may outlive navigation)
+   * @param {string} videoId - Video ID
+   * @returns {boolean}
+   */
+  isCurrentVideo(videoId) {
+    return this.currentVideoId === videoId;
+  }
+
+  /**
+   * Run callback after a delay unless the video is left first
+   * @param {Function} callback - Callback
+   * @param {number} ms - Milliseconds
+   * @returns {number} Timer ID
+   */
+  schedule(callback, ms) {
+    const timerId = setTimeout(() => {
+      this.pendingTimers.delete(timerId);
+      callback();
+    }, ms);
+
+    this.pendingTimers.add(timerId);
+    return timerId;
+  }
+
+  /**
+   * Cancel timers started with schedule()
+   */
+  clearPendingTimers() {
+    this.pendingTimers.forEach(timerId => clearTimeout(timerId));
+    this.pendingTimers.clear();
+  }
+
+  /**
+   * Check if the current video is a short
+   * @returns {boolean}
+   */
+  isShorts() {
+    return this.playerMode === YOUTUBE.PLAYER_MODES.SHORTS;
+  }
+
+  /**
+   * Check if the current video plays in an embedded player
+   * @returns {boolean}
+   */
+  isEmbed() {
+    return this.playerMode === YOUTUBE.PLAYER_MODES.EMBED;
+  }
+
+  /**
+   * Find the channel link of the current video (watch page, active short or embed title bar)
+   * @returns {HTMLAnchorElement|null}
+   */
+  getChannelLink() {
+    return selectorRegistry.query(MODE_SELECTORS[this.playerMode].channel);
   }
 
   /**
-   * Extract video ID from URL
-   * @returns {string|null}
+   * Get title of the current video
+   * @returns {string}
    */
-  extractVideoId() {
-    const urlParams = new URLSearchParams(window.location.search);
-    return urlParams.get('v');
+  getVideoTitle() {
+    const titleElement = selectorRegistry.query(MODE_SELECTORS[this.playerMode].title);
+    return titleElement?.textContent?.trim() || 'YouTube Video';
   }
 
   /**
@@ -118,7 +312,7 @@ class YouTubeSkipManager {
    */
   extractChannelId() {
     try {
-      const channelLinkElement = document.querySelector('ytd-channel-name a');
+      const channelLinkElement = this.getChannelLink();
       if (!channelLinkElement) return '';
 
       const channelUrl = channelLinkElement.href;
@@ -133,51 +327,91 @@ class YouTubeSkipManager {
    * Handle new video detection
    * @param {HTMLVideoElement} video - Video element
    * @param {string} videoId - Video ID
+   * @param {Object} context - Where the video plays
+   * @param {Element} context.player - Player element
+   * @param {string} context.mode - One of YOUTUBE.PLAYER_MODES
    */
-  async handleNewVideo(video, videoId) {
+  async handleNewVideo(video, videoId, { player = null, mode = YOUTUBE.PLAYER_MODES.WATCH } = {}) {
     try {
-      this.logger.info('New video detected', { videoId });
+      this.logger.info('New video detected', { videoId, mode });
 
       this.video = video;
+      this.player = player;
+      this.playerMode = mode;
+      this.lastPlaybackTime = 0;
       this.currentVideoId = videoId;
+      this.adObserver.observe(player, video);
+      this.playerController.attach(video, videoId);
       this.skipSegments = [];
+      this.handledSegments.clear();
+      this.dismissedSegments.clear();
+      this.undoableSkips.clear();
+      this.disabledSegments.clear();
+      this.lastSkippedSegment = null;
+      this.replayHorizon = null;
+      this.markedStart = null;
+      this.analysisModel = null;
+
+      // Settings may differ per channel
+      const channelId = this.extractChannelId();
+      this.currentChannelId = channelId;
+      await this.loadSettings();
 
       // Track video view
-      const channelId = this.extractChannelId();
       await this.analyticsService.trackVideoView(videoId, channelId);
 
       // Check if channel is whitelisted
       if (await this.isChannelWhitelisted()) {
         this.logger.info('Channel whitelisted, skipping analysis', { videoId });
-        this.showNotification('ℹ️ Channel excluded by advanced settings', 'info');
+        this.showNotification('ℹ️ Channel excluded by advanced settings', 'info', { channel: NOTIFICATION_CHANNELS.ANALYSIS });
         return;
       }
 
       // Check cache
       const cachedResult = await this.storageService.getCachedAnalysis(videoId);
+      if (!this.isCurrentVideo(videoId)) return;
+
       if (cachedResult) {
         this.logger.info('Cache hit', {
           videoId,
           segments: cachedResult.getSegmentCount()
         });
 
-        // Convert to Segment models
-        this.skipSegments = cachedResult.segments;
+        // Copied: edits replace segments in this list, not in the cached result
+        this.skipSegments = [...cachedResult.segments];
+        this.analysisModel = { provider: cachedResult.metadata.provider, model: cachedResult.metadata.model };
 
         this.setupVideoMonitoring();
         this.displaySegments();
+        this.refreshSegmentPanel();
         this.showNotification(
           `✅ ${cachedResult.getSegmentCount()} segments loaded from cache`,
-          'success'
+          'success',
+          { channel: NOTIFICATION_CHANNELS.ANALYSIS }
         );
         return;
       }
 
+      // Segments made by hand are shown while the video is (re-)analyzed, or if it cannot be
+      const userSegments = await this.storageService.getUserSegments(videoId);
+      if (!this.isCurrentVideo(videoId)) return;
+
+      if (userSegments.length > 0) {
+        this.skipSegments = userSegments;
+        this.displaySegments();
+        this.refreshSegmentPanel();
+      }
+
+      // Embeds load by the dozen on some pages: only analyze the ones actually watched
+      if (this.isEmbed() && video.paused) {
+        this.setupVideoMonitoring();
+        this.deferAnalysisUntilPlay(videoId);
+        return;
+      }
+
       // Wait for page to load
       await this.delay(2000);
-
-      // Try to open transcript panel
-      await this.transcriptService.openTranscriptPanel();
+      if (!this.isCurrentVideo(videoId)) return;
 
       // Start analysis
       this.analyzeVideo(videoId);
@@ -191,6 +425,23 @@ class YouTubeSkipManager {
     }
   }
 
+  /**
+   * Start the analysis when the video starts playing
+   * @param {string} videoId - Video ID
+   */
+  deferAnalysisUntilPlay(videoId) {
+    const video = this.video;
+    const onPlay = () => {
+      this.cancelDeferredAnalysis = null;
+      this.analyzeVideo(videoId);
+    };
+
+    video.addEventListener('play', onPlay, { once: true });
+    this.cancelDeferredAnalysis = () => video.removeEventListener('play', onPlay);
+
+    this.logger.debug('Analysis deferred until playback', { videoId });
+  }
+
   /**
    * Check if current channel is whitelisted
    * @returns {Promise<boolean>}
@@ -232,43 +483,306 @@ class YouTubeSkipManager {
       autoSkip: this.settings.autoSkip
     });
 
-    // Remove previous listener
-    this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+    // YouTube reuses the same <video> across videos, attach() ignores the same element
+    this.segmentScheduler.attach(this.video);
+    this.video.removeEventListener('seeking', this.handleSeeking);
+    this.video.addEventListener('seeking', this.handleSeeking);
+    this.segmentScheduler.refresh();
+  }
+
+  /**
+   * User seek: segments landed in on purpose play, seeking back applies the replay policy
+   * (seeks made by the extension are recognized and ignored)
+   */
+  handleSeeking() {
+    if (!this.video || this.adObserver.isAdPlaying()) return;
+
+    const target = this.video.currentTime;
+
+    if (this.playerController.isOwnSeek(target)) return;
+
+    // Shorts restart by themselves when they loop
+    if (this.isShorts() && target < 1) return;
+
+    this.skipSegments
+      .filter(segment => {
+        const action = this.settings.getCategoryAction(segment.category);
+        return segment.contains(target, this.getActionBuffer(action));
+      })
+      .forEach(segment => {
+        this.handledSegments.add(segment);
+        this.logger.debug('Seeked into segment on purpose', { range: segment.getTimeRange() });
+      });
+
+    const furthest = this.getFurthestPlayed();
+    if (target < furthest) {
+      this.applyReplayPolicy(target, furthest);
+    }
+  }
+
+  /**
+   * Apply the replay policy after the user seeked back
+   * @param {number} target - Position seeked to
+   * @param {number} furthest - Furthest position played so far
+   */
+  applyReplayPolicy(target, furthest) {
+    switch (this.settings.replayPolicy) {
+      case 'always':
+        // Skipped or cancelled segments ahead are skipped again
+        this.skipSegments
+          .filter(segment => segment.start >= target)
+          .forEach(segment => this.dismissedSegments.delete(segment));
+        break;
+      case 'never':
+        this.replayHorizon = Math.max(this.replayHorizon ?? 0, furthest);
+        break;
+      default:
+        // 'once': skipped segments stay dismissed and play
+        break;
+    }
+
+    this.logger.debug('Seek back', { target, furthest, policy: this.settings.replayPolicy });
+  }
+
+  /**
+   * Get the furthest position played in this video
+   * @returns {number} Seconds
+   */
+  getFurthestPlayed() {
+    const { played } = this.video;
+    let furthest = 0;
+
+    for (let i = 0; i < played.length; i++) {
+      furthest = Math.max(furthest, played.end(i));
+    }
+
+    return furthest;
+  }
+
+  /**
+   * Check if segments are acted on (auto-skip is on and the timeline is not being edited)
+   * @returns {boolean}
+   */
+  isAutoSkipActive() {
+    return this.settings.autoSkip && !this.editMode;
+  }
+
+  /**
+   * Get lead time of an action before the segment start
+   * skipBuffer is a reaction time, in media time it grows with the playback rate
+   * @param {string} action - Category action
+   * @returns {number} Seconds of media time
+   */
+  getActionBuffer(action) {
+    return action === 'skip' ? this.settings.skipBuffer * this.video.playbackRate : 0;
+  }
+
+  /**
+   * Get how long the skip preview counts down before an auto-skip
+   * @returns {number} Seconds of media time
+   */
+  getPreviewLeadTime() {
+    return this.settings.previewLeadTime * this.video.playbackRate;
+  }
+
+  /**
+   * Get the segment whose skip is coming up within the preview lead time
+   * @param {number} currentTime - Current playback position
+   * @returns {Segment|null}
+   */
+  getPreviewSegment(currentTime) {
+    if (!this.isAutoSkipActive() || !this.settings.enablePreview) {
+      return null;
+    }
+
+    const skipBuffer = this.getActionBuffer('skip');
+    const leadTime = this.getPreviewLeadTime();
+
+    return this.skipSegments.find(segment => {
+      if (this.settings.getCategoryAction(segment.category) !== 'skip' ||
+          this.dismissedSegments.has(segment) ||
+          this.disabledSegments.has(segment) ||
+          (this.replayHorizon !== null && segment.start < this.replayHorizon)) {
+        return false;
+      }
+
+      const skipAt = segment.start - skipBuffer;
+      return currentTime < skipAt && currentTime >= skipAt - leadTime;
+    }) || null;
+  }
+
+  /**
+   * Get the next media time where evaluateSegments() must run
+   * @param {number} currentTime - Current playback position
+   * @returns {number|null} null when nothing is ahead
+   */
+  getNextBoundary(currentTime) {
+    if (!this.video || this.adObserver.isAdPlaying()) {
+      return null;
+    }
+
+    const boundaries = [];
+
+    if (this.mutedSegment) {
+      boundaries.push(this.mutedSegment.end);
+    }
+
+    if (this.isAutoSkipActive()) {
+      this.skipSegments.forEach(segment => {
+        const action = this.settings.getCategoryAction(segment.category);
+        if (!action || action === 'mark' || this.disabledSegments.has(segment)) return;
+
+        const actionStart = segment.start - this.getActionBuffer(action);
+        boundaries.push(actionStart, segment.end);
+
+        if (action === 'skip' && this.settings.enablePreview) {
+          boundaries.push(actionStart - this.getPreviewLeadTime());
+        }
+      });
+    }
+
+    if (this.isShorts()) {
+      boundaries.push(this.video.duration - SHORTS_LOOP_SAMPLE);
+    }
 
-    // Add new listener
-    this.handleTimeUpdate = this.handleTimeUpdate.bind(this);
-    this.video.addEventListener('timeupdate', this.handleTimeUpdate);
+    const upcoming = boundaries.filter(time => time > currentTime);
+    return upcoming.length > 0 ? Math.min(...upcoming) : null;
   }
 
   /**
-   * Handle video time update
+   * Act on the segment at a playback position (called by the scheduler)
+   * @param {number} currentTime - Playback position reached
    */
-  handleTimeUpdate() {
-    if (!this.settings.autoSkip || !this.video || this.skipSegments.length === 0) {
+  evaluateSegments(currentTime) {
+    if (!this.video) {
       return;
     }
 
-    const currentTime = this.video.currentTime;
+    // Ad time is not content time
+    if (this.adObserver.isAdPlaying()) {
+      return;
+    }
+
+    if (this.isShorts()) {
+      this.handleShortsLoop(currentTime);
+    }
+
+    // Restore sound once playback leaves the muted segment or auto-skip is turned off
+    if (this.mutedSegment && (!this.isAutoSkipActive() || !this.mutedSegment.contains(currentTime))) {
+      this.unmuteSegment();
+    }
+
+    // Count down the next skip, or drop a countdown playback moved away from
+    const previewSegment = this.getPreviewSegment(currentTime);
+    if (previewSegment !== this.previewSegment) {
+      this.removeSkipPreview();
+
+      if (previewSegment) {
+        this.showSkipPreview(previewSegment);
+      }
+    }
+
+    if (!this.isAutoSkipActive() || this.skipSegments.length === 0) {
+      return;
+    }
 
-    // Check if we're in a segment to skip
     for (const segment of this.skipSegments) {
-      if (segment.contains(currentTime, this.settings.skipBuffer)) {
-        this.logger.debug('Segment detected', {
-          currentTime,
-          segment: segment.category,
-          range: segment.getTimeRange()
-        });
+      const action = this.settings.getCategoryAction(segment.category);
 
-        // Show preview if enabled
-        if (this.settings.enablePreview) {
-          this.showSkipPreview(segment);
-        }
+      // 'mark' categories are only shown on the timeline, skipped, cancelled or disabled ones stay watchable
+      if (!action || action === 'mark' || this.dismissedSegments.has(segment) || this.disabledSegments.has(segment)) {
+        continue;
+      }
+
+      // Rewatching with the 'never' replay policy
+      if (this.replayHorizon !== null && segment.start < this.replayHorizon) {
+        continue;
+      }
+
+      if (!segment.contains(currentTime, this.getActionBuffer(action))) {
+        // Act again if playback comes back to the segment
+        this.handledSegments.delete(segment);
+        continue;
+      }
+
+      // Already acted on, or entered on purpose (jump to segment)
+      if (this.handledSegments.has(segment)) {
+        break;
+      }
+
+      this.handledSegments.add(segment);
+
+      this.logger.debug('Segment detected', {
+        currentTime,
+        action,
+        segment: segment.category,
+        range: segment.getTimeRange()
+      });
 
-        // Perform skip
-        this.performSkip(segment);
+      if (action === 'prompt') {
+        this.showSkipPrompt(segment);
         break;
       }
+
+      if (action === 'mute') {
+        this.muteSegment(segment);
+        break;
+      }
+
+      this.performSkip(segment);
+      break;
+    }
+  }
+
+  /**
+   * Make skipped segments of a short skippable again once it loops
+   * (cancelled and undone segments stay watchable)
+   * @param {number} currentTime - Current playback position
+   */
+  handleShortsLoop(currentTime) {
+    const looped = currentTime < 1 && this.lastPlaybackTime > this.video.duration - 1;
+    this.lastPlaybackTime = currentTime;
+
+    if (!looped) return;
+
+    this.undoableSkips.forEach(segment => this.dismissedSegments.delete(segment));
+    this.undoableSkips.clear();
+    this.handledSegments.clear();
+
+    this.logger.debug('Short looped, skips re-armed');
+  }
+
+  /**
+   * Mute video until playback leaves the segment
+   * @param {Segment} segment - Segment to mute
+   */
+  muteSegment(segment) {
+    if (!this.video || this.mutedSegment) return;
+
+    this.mutedSegment = segment;
+    this.wasMuted = this.video.muted;
+    this.video.muted = true;
+
+    this.logger.info('Muting segment', {
+      category: segment.category,
+      range: segment.getTimeRange()
+    });
+
+    this.showNotification(`🔇 Muted: ${this.getCategoryLabel(segment.category)}`, 'info', { channel: NOTIFICATION_CHANNELS.SKIP });
+  }
+
+  /**
+   * Restore sound after a muted segment
+   */
+  unmuteSegment() {
+    if (!this.mutedSegment) return;
+
+    if (this.video) {
+      this.video.muted = this.wasMuted;
     }
+
+    this.logger.debug('Segment unmuted', { category: this.mutedSegment.category });
+    this.mutedSegment = null;
   }
 
   /**
@@ -284,126 +798,164 @@ class YouTubeSkipManager {
       range: segment.getTimeRange()
     });
 
-    // Track skip
-    await this.analyticsService.trackSegmentSkip(segment, this.currentVideoId);
+    // Seek right away (the scheduler fired at the boundary), the fade only softens the cut
+    const video = this.video;
+    this.playerController.seekTo(segment.end);
+    video.style.transition = 'none';
+    video.style.opacity = '0.5';
+
+    this.dismissedSegments.add(segment);
+    this.undoableSkips.add(segment);
+    this.lastSkippedSegment = segment;
+
+    this.schedule(() => {
+      video.style.transition = 'opacity 0.3s';
+      video.style.opacity = '1';
+    }, 50);
+
+    this.showNotification(
+      `⏩ Skipped: ${this.getCategoryLabel(segment.category)} (${segment.getDuration()}s saved)`,
+      'success',
+      {
+        channel: NOTIFICATION_CHANNELS.SKIP,
+        action: { label: 'Undo', onClick: () => this.undoSkip(segment) },
+        footerActions: this.getFeedbackActions(segment)
+      }
+    );
 
-    // Fade animation
-    this.video.style.transition = 'opacity 0.3s';
-    this.video.style.opacity = '0.5';
+    this.removeSkipPrompt();
+    this.removeSkipPreview();
 
-    const newTime = segment.end;
+    this.logger.debug('Skip complete', {
+      remainingSegments: this.skipSegments.filter(s => !this.dismissedSegments.has(s)).length
+    });
 
-    setTimeout(() => {
-      this.video.currentTime = newTime;
-      this.video.style.opacity = '1';
+    // Track skip
+    await this.analyticsService.trackSegmentSkip(
+      segment,
+      this.currentVideoId,
+      this.getCategoryLabel(segment.category)
+    );
+  }
 
-      this.showNotification(
-        `⏩ Skipped: ${segment.category} (${segment.getDuration()}s saved)`,
-        'success'
-      );
+  /**
+   * Count down to an auto-skip, with Cancel and Skip now buttons
+   * @param {Segment} segment - Segment about to be skipped
+   */
+  showSkipPreview(segment) {
+    const video = this.video;
+    if (!video) return;
+
+    this.previewSegment = segment;
+
+    const countdown = createElement('div', { className: 'yss-card-text' });
+    const progress = createElement('div', { className: 'yss-progress-bar' });
+
+    const preview = createCard({
+      className: 'yss-skip-preview',
+      icon: '⏩',
+      accent: 'warning',
+      content: [
+        createElement('div', { className: 'yss-card-title', text: `Skipping ${this.getCategoryLabel(segment.category)}` }),
+        countdown
+      ],
+      actions: [
+        createButton('Cancel', 'text', () => {
+          this.dismissedSegments.add(segment);
+          this.removeSkipPreview();
+          this.logger.debug('Skip cancelled', { category: segment.category });
+        }),
+        createButton('Skip now', 'primary', () => {
+          this.logger.debug('Skipping early', { category: segment.category });
+          this.performSkip(segment);
+        })
+      ],
+      footer: createElement('div', { className: 'yss-progress' }, [progress])
+    });
 
-      // Remove skipped segments
-      this.skipSegments = this.skipSegments.filter(s => s.end > newTime);
+    // The skip itself is driven by the scheduler, the countdown only reflects it
+    const updateCountdown = () => {
+      // Seeking while paused does not reach evaluateSegments()
+      if (video.paused && this.getPreviewSegment(video.currentTime) !== segment) {
+        this.removeSkipPreview();
+        return;
+      }
 
-      this.logger.debug('Skip complete', {
-        remainingSegments: this.skipSegments.length
-      });
-    }, 300);
-  }
-
-  /**
-   * Show skip preview notification
-   * @param {Segment} segment - Segment to preview
-   */
-  async showSkipPreview(segment) {
-    const preview = document.createElement('div');
-    preview.className = 'yss-skip-preview';
-
-    // Check dark mode preference
-    const { darkMode } = await chrome.storage.local.get(['darkMode']);
-    const bgColor = darkMode ? '#1e1e1e' : 'white';
-    const textColor = darkMode ? '#f1f1f1' : '#202124';
-
-    preview.innerHTML = `
-      <div style="display: flex; align-items: center; gap: 12px;">
-        <span style="font-size: 20px; flex-shrink: 0;">⏩</span>
-        <div style="flex: 1; color: ${textColor};">
-          <div style="font-weight: 500; font-size: 14px; margin-bottom: 4px;">Skipping ${segment.category}</div>
-          <div style="font-size: 12px; opacity: 0.9;">In ${this.settings.skipBuffer}s</div>
-        </div>
-        <button class="yss-cancel-skip" style="
-          padding: 8px 16px;
-          background: #1a73e8;
-          color: white;
-          border: none;
-          border-radius: 16px;
-          font-size: 13px;
-          font-weight: 500;
-          cursor: pointer;
-          font-family: Roboto, Arial, sans-serif;
-          transition: background 0.2s cubic-bezier(0.2, 0, 0, 1);
-          white-space: nowrap;
-        ">Cancel</button>
-      </div>
-    `;
+      const skipAt = segment.start - this.getActionBuffer('skip');
+      const remaining = Math.max(0, (skipAt - video.currentTime) / video.playbackRate);
 
-    preview.style.cssText = `
-      position: fixed;
-      top: 80px;
-      right: 20px;
-      background: ${bgColor};
-      color: ${textColor};
-      padding: 14px 16px;
-      border-radius: 8px;
-      border-left: 4px solid #f9ab00;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, ${darkMode ? '0.5' : '0.15'}), 0 1px 3px rgba(0, 0, 0, ${darkMode ? '0.3' : '0.1'});
-      z-index: 10000;
-      font-family: Roboto, Arial, sans-serif;
-      min-width: 300px;
-      animation: yss-slideIn 0.3s cubic-bezier(0.2, 0, 0, 1);
-      transition: box-shadow 0.2s cubic-bezier(0.2, 0, 0, 1);
-    `;
+      countdown.textContent = video.paused ? `Paused, ${Math.ceil(remaining)}s left` : `In ${Math.ceil(remaining)}s`;
+      progress.style.width = `${Math.min(100, remaining / this.settings.previewLeadTime * 100)}%`;
+    };
 
-    document.body.appendChild(preview);
+    this.notifications.pin(preview);
+    updateCountdown();
+    this.previewCountdown = setInterval(updateCountdown, CONFIG.UI.PREVIEW_COUNTDOWN_INTERVAL_MS);
+  }
 
-    // Hover effect for notification
-    preview.addEventListener('mouseenter', () => {
-      preview.style.boxShadow = darkMode
-        ? '0 6px 16px rgba(0, 0, 0, 0.7), 0 2px 6px rgba(0, 0, 0, 0.5)'
-        : '0 6px 16px rgba(0, 0, 0, 0.2), 0 2px 6px rgba(0, 0, 0, 0.15)';
-    });
+  /**
+   * Remove skip preview and stop its countdown
+   */
+  removeSkipPreview() {
+    this.previewSegment = null;
 
-    preview.addEventListener('mouseleave', () => {
-      preview.style.boxShadow = darkMode
-        ? '0 4px 12px rgba(0, 0, 0, 0.5), 0 1px 3px rgba(0, 0, 0, 0.3)'
-        : '0 4px 12px rgba(0, 0, 0, 0.15), 0 1px 3px rgba(0, 0, 0, 0.1)';
-    });
+    if (this.previewCountdown) {
+      clearInterval(this.previewCountdown);
+      this.previewCountdown = null;
+    }
 
-    // Handle cancellation
-    const cancelBtn = preview.querySelector('.yss-cancel-skip');
-    cancelBtn.onclick = () => {
-      this.skipSegments = this.skipSegments.filter(s => s !== segment);
-      preview.style.animation = 'yss-slideOut 0.2s cubic-bezier(0.2, 0, 0, 1)';
-      setTimeout(() => preview.remove(), 200);
-      this.logger.debug('Skip cancelled', { category: segment.category });
-    };
+    this.overlay.queryAll('.yss-skip-preview').forEach(dismiss);
+  }
 
-    // Hover effect
-    cancelBtn.addEventListener('mouseenter', () => {
-      cancelBtn.style.background = '#1765cc';
+  /**
+   * Offer a Skip button while playback is inside the segment
+   * @param {Segment} segment - Segment to offer
+   */
+  showSkipPrompt(segment) {
+    this.removeSkipPrompt();
+
+    const video = this.video;
+    if (!video) return;
+
+    const prompt = createCard({
+      className: 'yss-skip-prompt',
+      icon: '⏭️',
+      content: [
+        createElement('div', { className: 'yss-card-title', text: this.getCategoryLabel(segment.category) }),
+        createElement('div', { className: 'yss-card-text', text: `Skip ${segment.getDuration()}s?` })
+      ],
+      actions: [
+        createButton('Skip', 'primary', () => {
+          this.removeSkipPrompt();
+          this.performSkip(segment);
+        })
+      ]
     });
 
-    cancelBtn.addEventListener('mouseleave', () => {
-      cancelBtn.style.background = '#1a73e8';
-    });
+    this.notifications.pin(prompt);
 
-    // Auto remove
-    setTimeout(() => {
-      if (preview.parentElement) {
-        preview.style.animation = 'yss-slideOut 0.2s cubic-bezier(0.2, 0, 0, 1)';
-        setTimeout(() => preview.remove(), 200);
+    // Remove once playback leaves the segment
+    const checkSegmentEnd = () => {
+      // Already dismissed (skipped, replaced or video left)
+      if (!prompt.isConnected || prompt.classList.contains('yss-leaving')) {
+        video.removeEventListener('timeupdate', checkSegmentEnd);
+        return;
+      }
+
+      if (!segment.contains(video.currentTime)) {
+        video.removeEventListener('timeupdate', checkSegmentEnd);
+        this.removeSkipPrompt();
       }
-    }, this.settings.skipBuffer * 1000 + 500);
+    };
+
+    video.addEventListener('timeupdate', checkSegmentEnd);
+  }
+
+  /**
+   * Remove Skip button if shown
+   */
+  removeSkipPrompt() {
+    this.overlay.queryAll('.yss-skip-prompt').forEach(dismiss);
   }
 
   /**
@@ -411,20 +963,25 @@ class YouTubeSkipManager {
    * @param {string} videoId - Video ID
    */
   async analyzeVideo(videoId) {
-    if (this.isAnalyzing) {
+    if (this.analyzingVideoId === videoId) {
       this.logger.warn('Analysis already in progress', { videoId });
       return;
     }
 
-    this.isAnalyzing = true;
-    this.showNotification('🔍 Analyzing video with AI...', 'info');
+    this.analyzingVideoId = videoId;
+    this.showNotification('🔍 Analyzing video with AI...', 'info', { channel: NOTIFICATION_CHANNELS.ANALYSIS });
 
     const stopTimer = this.logger.time(`analyzeVideo:${videoId}`);
 
     try {
-      // Extract transcript
+      // Extract transcript (caption track first, transcript panel as fallback)
       const channelId = this.extractChannelId();
-      const transcript = await this.transcriptService.extractFromDOM(videoId, channelId);
+      const transcript = await this.transcriptService.extract(
+        videoId,
+        channelId,
+        this.advancedSettings.getCaptionPreferences(),
+        { captionsOnly: this.playerMode !== YOUTUBE.PLAYER_MODES.WATCH }
+      );
 
       if (!transcript) {
         throw new TranscriptNotAvailableError(videoId);
@@ -444,18 +1001,21 @@ class YouTubeSkipManager {
 
       this.showNotification(
         `✓ Transcript loaded: ${transcript.segments.length} segments. Analyzing with AI...`,
-        'info'
+        'info',
+        { channel: NOTIFICATION_CHANNELS.ANALYSIS }
       );
 
-      // Get video title
-      const videoTitle = document.querySelector('h1.ytd-watch-metadata yt-formatted-string')?.textContent || 'YouTube Video';
+      const videoTitle = this.getVideoTitle();
 
       // Send to background for AI analysis (with retry logic)
       const result = await this.sendMessageWithRetry({
         action: 'analyzeTranscript',
         data: {
           videoId: videoId,
+          channelId: channelId,
           transcript: transcript.segments,
+          language: transcript.language,
+          captionKind: transcript.captionKind,
           title: videoTitle,
           settings: this.settings.toJSON()
         }
@@ -463,6 +1023,21 @@ class YouTubeSkipManager {
 
       stopTimer();
 
+      // User navigated to another video while the analysis was running (result is cached)
+      if (!this.isCurrentVideo(videoId)) {
+        this.logger.debug('Discarding analysis of a video no longer shown', { videoId });
+        return;
+      }
+
+      if (result.success) {
+        this.analysisModel = { provider: result.provider, model: result.model };
+      }
+
+      // Offline rules stood in for the selected provider (missing key or provider down)
+      if (result.success && result.notice) {
+        this.showNotification(`⚠️ ${result.notice}`, 'warning', { channel: NOTIFICATION_CHANNELS.GENERAL });
+      }
+
       if (result.success && result.segments && result.segments.length > 0) {
         // Convert to Segment models
         this.skipSegments = result.segments.map(s => Segment.fromJSON(s));
@@ -470,12 +1045,14 @@ class YouTubeSkipManager {
         // Setup monitoring with new segments
         this.setupVideoMonitoring();
 
-        // Display on timeline
+        // Display on timeline and in the segment panel
         this.displaySegments();
+        this.refreshSegmentPanel();
 
         this.showNotification(
           `✅ Found ${result.segments.length} segments to skip!`,
-          'success'
+          'success',
+          { channel: NOTIFICATION_CHANNELS.ANALYSIS }
         );
 
         this.logger.info('Analysis complete', {
@@ -485,7 +1062,9 @@ class YouTubeSkipManager {
         });
 
       } else if (result.success) {
-        this.showNotification('ℹ️ No content to skip detected by AI', 'info');
+        // Segments can still be added by hand
+        this.refreshSegmentPanel();
+        this.showNotification('ℹ️ No content to skip detected by AI', 'info', { channel: NOTIFICATION_CHANNELS.ANALYSIS });
         this.logger.info('No segments found', { videoId });
       } else {
         throw new Error(result.error || 'Unknown analysis error');
@@ -500,34 +1079,52 @@ class YouTubeSkipManager {
         name: error.name
       });
 
+      if (this.isCurrentVideo(videoId)) {
+        this.refreshSegmentPanel();
+      }
+
       if (error instanceof TranscriptNotAvailableError) {
         this.showNotification(
           '⚠️ Transcript not available for this video. The extension only works with videos that have subtitles.',
-          'warning'
+          'warning',
+          { channel: NOTIFICATION_CHANNELS.ANALYSIS }
         );
       } else {
         this.showNotification(
           `❌ Analysis error: ${error.message}`,
-          'error'
+          'error',
+          { channel: NOTIFICATION_CHANNELS.ANALYSIS }
         );
       }
     } finally {
-      this.isAnalyzing = false;
+      if (this.analyzingVideoId === videoId) {
+        this.analyzingVideoId = null;
+      }
     }
   }
 
   /**
    * Display segments on video timeline
    */
-  displaySegments() {
-    // Remove previous markers
-    document.querySelectorAll('.yss-segment-marker').forEach(m => m.remove());
-    document.querySelectorAll('.yss-segment-tooltip').forEach(t => t.remove());
+  async displaySegments() {
+    const videoId = this.currentVideoId;
+    const playerState = await this.playerController.getState();
+    if (!this.isCurrentVideo(videoId)) return;
+
+    this.removeTimelineMarkers();
+
+    // The duration is the ad's, markers are drawn when the content resumes
+    if (this.adObserver.isAdPlaying() || playerState?.adPlaying) {
+      this.logger.debug('Ad playing, markers deferred');
+      return;
+    }
 
-    const progressBar = document.querySelector('.ytp-progress-bar');
+    // The Shorts progress bar is too thin to host markers, they get their own strip
+    const progressBar = this.isShorts() ? this.createShortsTimeline() : document.querySelector('.ytp-progress-bar');
     if (!progressBar || !this.video) return;
 
-    const duration = this.video.duration;
+    // The player knows the content duration before the element has loaded it
+    const duration = playerState?.duration || this.video.duration;
     if (!duration || duration === 0) {
       this.logger.warn('Video duration not available');
       return;
@@ -546,6 +1143,11 @@ class YouTubeSkipManager {
       const left = (segment.start / duration) * 100;
       const width = (segment.getDuration() / duration) * 100;
 
+      // Disabled segments stay visible, faded
+      const opacity = this.disabledSegments.has(segment)
+        ? CONFIG.UI.DISABLED_MARKER_OPACITY
+        : CONFIG.UI.SEGMENT_MARKER_OPACITY;
+
       // Create marker
       const marker = document.createElement('div');
       marker.className = 'yss-segment-marker';
@@ -556,29 +1158,32 @@ class YouTubeSkipManager {
         width: ${width}%;
         height: 100%;
         background: ${color};
-        opacity: 0.6;
+        opacity: ${opacity};
         z-index: 25;
-        cursor: pointer;
+        cursor: ${this.editMode ? 'default' : 'pointer'};
         transition: opacity 0.2s;
       `;
 
+      if (this.editMode) {
+        ['start', 'end'].forEach(edge => marker.appendChild(this.createSegmentHandle(segment, edge, marker, progressBar, duration)));
+      }
+
       // Hover handlers
       marker.addEventListener('mouseenter', (e) => {
-        marker.style.opacity = '0.9';
+        marker.style.opacity = String(CONFIG.UI.SEGMENT_MARKER_HOVER_OPACITY);
         this.showSegmentTooltip(segment, e);
       });
 
       marker.addEventListener('mouseleave', () => {
-        marker.style.opacity = '0.6';
-        this.hideSegmentTooltip();
+        marker.style.opacity = String(opacity);
+        this.scheduleTooltipHide();
       });
 
-      // Click to skip
+      // Click to skip (a click while editing only must not seek the player)
       marker.addEventListener('click', (e) => {
         e.stopPropagation();
-        if (this.video) {
-          this.video.currentTime = segment.end;
-          this.showNotification(`⏩ Skipped manually: ${segment.category}`, 'info');
+        if (!this.editMode) {
+          this.skipSegmentManually(segment);
         }
       });
 
@@ -587,14 +1192,189 @@ class YouTubeSkipManager {
   }
 
   /**
-   * Get color for category
-   * @param {string} category - Category name
-   * @returns {string}
+   * Create a drag handle on one edge of a marker (edit mode)
+   * @param {Segment} segment - Segment of the marker
+   * @param {string} edge - 'start' or 'end'
+   * @param {HTMLElement} marker - Marker element
+   * @param {HTMLElement} progressBar - Timeline the marker is drawn on
+   * @param {number} duration - Content duration in seconds
+   * @returns {HTMLElement}
    */
-  getCategoryColor(category) {
-    const colors = {
-      'Sponsor': '#FF0000',
-      'Self-Promo': '#FF8800',
+  createSegmentHandle(segment, edge, marker, progressBar, duration) {
+    const handle = document.createElement('div');
+    handle.className = CSS_CLASSES.SEGMENT_HANDLE;
+    handle.style.cssText = `
+      position: absolute;
+      top: -4px;
+      bottom: -4px;
+      ${edge === 'start' ? 'left' : 'right'}: -${CONFIG.EDITOR.HANDLE_WIDTH_PX / 2}px;
+      width: ${CONFIG.EDITOR.HANDLE_WIDTH_PX}px;
+      background: #fff;
+      border: 1px solid rgba(0, 0, 0, 0.6);
+      border-radius: 2px;
+      box-sizing: border-box;
+      cursor: ew-resize;
+      touch-action: none;
+    `;
+
+    // The progress bar scrubs on press: the handle keeps its presses to itself
+    handle.addEventListener('mousedown', (e) => e.stopPropagation());
+    handle.addEventListener('pointerdown', (e) => this.startHandleDrag(e, segment, edge, marker, progressBar, duration));
+
+    return handle;
+  }
+
+  /**
+   * Follow a handle drag, moving the marker, and save the new bound on release
+   * @param {PointerEvent} event - Pointer down on the handle
+   * @param {Segment} segment - Segment of the marker
+   * @param {string} edge - 'start' or 'end'
+   * @param {HTMLElement} marker - Marker element
+   * @param {HTMLElement} progressBar - Timeline the marker is drawn on
+   * @param {number} duration - Content duration in seconds
+   */
+  startHandleDrag(event, segment, edge, marker, progressBar, duration) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const handle = event.currentTarget;
+    const rect = progressBar.getBoundingClientRect();
+    const minDuration = CONFIG.EDITOR.MIN_SEGMENT_DURATION;
+    let { start, end } = segment;
+
+    handle.setPointerCapture(event.pointerId);
+    this.hideSegmentTooltip();
+
+    const move = (moveEvent) => {
+      const ratio = Math.min(1, Math.max(0, (moveEvent.clientX - rect.left) / rect.width));
+      const time = Math.round(ratio * duration * 10) / 10;
+
+      if (edge === 'start') {
+        start = Math.min(time, segment.end - minDuration);
+      } else {
+        end = Math.max(time, segment.start + minDuration);
+      }
+
+      marker.style.left = `${(start / duration) * 100}%`;
+      marker.style.width = `${((end - start) / duration) * 100}%`;
+    };
+
+    const release = () => {
+      handle.removeEventListener('pointermove', move);
+      handle.removeEventListener('pointerup', release);
+      handle.removeEventListener('pointercancel', release);
+
+      if (start === segment.start && end === segment.end) return;
+
+      try {
+        this.editSegment(segment, { start, end, category: segment.category });
+      } catch (error) {
+        this.logger.warn('Segment drag rejected', { error: error.message });
+        this.showNotification(`❌ ${error.message}`, 'error');
+        this.displaySegments();
+      }
+    };
+
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', release);
+    handle.addEventListener('pointercancel', release);
+  }
+
+  /**
+   * Remove segment markers and their tooltip from the timeline
+   */
+  removeTimelineMarkers() {
+    document.querySelectorAll(`.${CSS_CLASSES.SEGMENT_MARKER}, .${CSS_CLASSES.SHORTS_TIMELINE}`)
+      .forEach(element => element.remove());
+    this.hideSegmentTooltip();
+  }
+
+  /**
+   * Ad started: stop acting on segments and hide the markers until the content resumes
+   */
+  handleAdStart() {
+    this.logger.info('Ad playing, skipping suspended', { videoId: this.currentVideoId });
+
+    // A pending seek or a prompt click would land inside the ad
+    this.clearPendingTimers();
+    this.unmuteSegment();
+    this.removeSkipPrompt();
+    this.removeSkipPreview();
+
+    if (this.video) {
+      this.video.style.opacity = '1';
+    }
+
+    // Segments interrupted by the ad are acted on again afterwards
+    this.handledSegments.clear();
+    this.removeTimelineMarkers();
+    this.segmentScheduler.schedule();
+  }
+
+  /**
+   * Ad ended: resume skipping and redraw markers for the content duration
+   */
+  handleAdEnd() {
+    this.logger.info('Content resumed after ad', { videoId: this.currentVideoId });
+
+    if (this.skipSegments.length > 0) {
+      this.displaySegments();
+    }
+
+    this.segmentScheduler.refresh();
+  }
+
+  /**
+   * Create the marker strip along the top edge of the Shorts player
+   * @returns {HTMLElement|null}
+   */
+  createShortsTimeline() {
+    // The active short's player, when the navigation did not report one
+    const player = this.player || selectorRegistry.query(MODE_SELECTORS[YOUTUBE.PLAYER_MODES.SHORTS].player);
+    if (!player) return null;
+
+    player.querySelector(`.${CSS_CLASSES.SHORTS_TIMELINE}`)?.remove();
+
+    const timeline = document.createElement('div');
+    timeline.className = CSS_CLASSES.SHORTS_TIMELINE;
+    timeline.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      right: 0;
+      height: 6px;
+      background: rgba(255, 255, 255, 0.2);
+      z-index: 60;
+    `;
+
+    player.appendChild(timeline);
+    return timeline;
+  }
+
+  /**
+   * Get display name for category
+   * @param {string} category - AI category name
+   * @returns {string}
+   */
+  getCategoryLabel(category) {
+    return AIService.translateCategory(category, this.settings.customCategories);
+  }
+
+  /**
+   * Get color for category
+   * @param {string} category - Category name
+   * @returns {string}
+   */
+  getCategoryColor(category) {
+    const custom = this.settings.getCustomCategory(category);
+    if (custom) {
+      return custom.color;
+    }
+
+    const label = this.getCategoryLabel(category);
+    const colors = {
+      'Sponsor': '#FF0000',
+      'Self-Promo': '#FF8800',
       'Autopromo': '#FF8800',
       'Intro': '#00FFFF',
       'Outro': '#CC00FF',
@@ -606,7 +1386,7 @@ class YouTubeSkipManager {
 
     // Find matching color
     for (const [cat, col] of Object.entries(colors)) {
-      if (category.includes(cat)) {
+      if (label.includes(cat)) {
         return col;
       }
     }
@@ -619,163 +1399,64 @@ class YouTubeSkipManager {
    * @param {Segment} segment - Segment
    * @param {Event} event - Mouse event
    */
-  async showSegmentTooltip(segment, event) {
+  showSegmentTooltip(segment, event) {
     this.hideSegmentTooltip();
 
-    const tooltip = document.createElement('div');
-    tooltip.className = 'yss-segment-tooltip';
-
-    // Check dark mode preference
-    const { darkMode } = await chrome.storage.local.get(['darkMode']);
-    const bgColor = darkMode ? '#1e1e1e' : 'white';
-    const textColor = darkMode ? '#f1f1f1' : '#202124';
-    const secondaryColor = darkMode ? '#aaaaaa' : '#5f6368';
-    const borderColor = darkMode ? '#3a3a3a' : '#dadce0';
-    const dividerColor = darkMode ? '#3a3a3a' : '#e8eaed';
-
-    const categoryColor = this.getCategoryColor(segment.category);
-
-    tooltip.innerHTML = `
-      <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
-        <div style="width: 4px; height: 16px; background: ${categoryColor}; border-radius: 2px;"></div>
-        <div style="font-weight: 500; font-size: 14px; color: ${textColor};">${segment.category}</div>
-      </div>
-      <div style="font-size: 12px; color: ${secondaryColor}; margin-bottom: 6px;">
-        ${segment.getTimeRange()} • ${segment.getDuration()}s
-      </div>
-      <div style="font-size: 12px; color: ${textColor}; line-height: 1.5; margin-bottom: 8px;">
-        ${segment.description}
-      </div>
-      <div style="display: flex; align-items: center; gap: 4px; font-size: 11px; color: ${secondaryColor}; padding-top: 6px; border-top: 1px solid ${dividerColor};">
-        <span style="font-size: 14px;">👆</span>
-        <span>Click to skip</span>
-      </div>
-    `;
+    const feedbackActions = this.editMode ? [] : this.getFeedbackActions(segment);
 
-    tooltip.style.cssText = `
-      position: fixed;
-      background: ${bgColor};
-      color: ${textColor};
-      padding: 12px 14px;
-      border-radius: 8px;
-      z-index: 10000;
-      pointer-events: none;
-      font-family: Roboto, Arial, sans-serif;
-      max-width: 300px;
-      box-shadow: 0 4px 16px rgba(0, 0, 0, ${darkMode ? '0.5' : '0.2'}), 0 2px 6px rgba(0, 0, 0, ${darkMode ? '0.3' : '0.12'});
-      border: 1px solid ${borderColor};
-    `;
+    const tooltip = this.overlay.append(createTooltip({
+      color: this.getCategoryColor(segment.category),
+      title: this.getCategoryLabel(segment.category),
+      meta: `${segment.getTimeRange()} • ${segment.getDuration()}s`,
+      description: segment.description,
+      hint: this.editMode ? 'Drag the edges to adjust' : 'Click to skip',
+      actions: feedbackActions.map(action => createButton(action.label, 'chip', () => {
+        this.hideSegmentTooltip();
+        action.onClick();
+      }))
+    }));
 
-    document.body.appendChild(tooltip);
+    // Stays open while the pointer moves from the marker onto the buttons
+    tooltip.addEventListener('mouseenter', () => clearTimeout(this.tooltipHideTimer));
+    tooltip.addEventListener('mouseleave', () => this.hideSegmentTooltip());
 
-    // Position tooltip
+    // Position tooltip (below the Shorts strip, above the progress bar otherwise)
     const rect = event.target.getBoundingClientRect();
-    tooltip.style.left = `${rect.left + rect.width / 2 - tooltip.offsetWidth / 2}px`;
-    tooltip.style.bottom = `${window.innerHeight - rect.top + 10}px`;
+    tooltip.style.left = `${Math.max(8, rect.left + rect.width / 2 - tooltip.offsetWidth / 2)}px`;
+    if (this.isShorts()) {
+      tooltip.style.top = `${rect.bottom + 10}px`;
+    } else {
+      tooltip.style.bottom = `${window.innerHeight - rect.top + 10}px`;
+    }
+  }
+
+  /**
+   * Hide the segment tooltip unless the pointer reaches it first
+   */
+  scheduleTooltipHide() {
+    clearTimeout(this.tooltipHideTimer);
+    this.tooltipHideTimer = setTimeout(() => this.hideSegmentTooltip(), CONFIG.UI.TOOLTIP_HIDE_DELAY_MS);
   }
 
   /**
    * Hide segment tooltip
    */
   hideSegmentTooltip() {
-    const tooltip = document.querySelector('.yss-segment-tooltip');
-    if (tooltip) tooltip.remove();
+    clearTimeout(this.tooltipHideTimer);
+    this.tooltipHideTimer = null;
+    this.overlay.queryAll('.yss-segment-tooltip').forEach(tooltip => tooltip.remove());
   }
 
   /**
    * Show notification
    * @param {string} message - Message
    * @param {string} type - Type (info, success, warning, error)
+   * @param {Object} options - Notification options
+   * @param {string} [options.channel] - NOTIFICATION_CHANNELS value (general by default)
+   * @param {Object|null} [options.action] - Optional button {label, onClick}, dismisses the notification when clicked
    */
-  async showNotification(message, type = 'info') {
-    const notification = document.createElement('div');
-    notification.className = `yss-notification yss-${type}`;
-
-    // Check dark mode preference
-    const { darkMode } = await chrome.storage.local.get(['darkMode']);
-
-    // Emoji icons (more reliable than Material Icons)
-    const icons = {
-      info: 'ℹ️',
-      success: '✅',
-      warning: '⚠️',
-      error: '❌'
-    };
-
-    const borderColors = {
-      info: '#1a73e8',
-      success: '#0f9d58',
-      warning: '#f9ab00',
-      error: '#d93025'
-    };
-
-    const bgColor = darkMode ? '#1e1e1e' : 'white';
-    const textColor = darkMode ? '#f1f1f1' : '#202124';
-    const closeColor = darkMode ? '#aaaaaa' : '#5f6368';
-
-    notification.innerHTML = `
-      <div style="display: flex; align-items: center; gap: 12px;">
-        <span style="font-size: 20px; flex-shrink: 0;">${icons[type]}</span>
-        <span style="flex: 1; font-size: 14px; line-height: 20px; color: ${textColor};">${message}</span>
-        <button class="yss-close-notification" style="background: none; border: none; color: ${closeColor}; cursor: pointer; padding: 0; width: 20px; height: 20px; display: flex; align-items: center; justify-content: center; font-size: 18px; flex-shrink: 0;">&times;</button>
-      </div>
-    `;
-
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: ${bgColor};
-      color: ${textColor};
-      padding: 14px 16px;
-      border-radius: 8px;
-      border-left: 4px solid ${borderColors[type]};
-      box-shadow: 0 4px 12px rgba(0, 0, 0, ${darkMode ? '0.5' : '0.15'}), 0 1px 3px rgba(0, 0, 0, ${darkMode ? '0.3' : '0.1'});
-      z-index: 10000;
-      font-family: Roboto, Arial, sans-serif;
-      min-width: 280px;
-      max-width: 400px;
-      animation: yss-slideIn 0.3s cubic-bezier(0.2, 0, 0, 1);
-      transition: box-shadow 0.2s cubic-bezier(0.2, 0, 0, 1);
-    `;
-
-    document.body.appendChild(notification);
-
-    // Hover effect for notification
-    notification.addEventListener('mouseenter', () => {
-      notification.style.boxShadow = darkMode
-        ? '0 6px 16px rgba(0, 0, 0, 0.7), 0 2px 6px rgba(0, 0, 0, 0.5)'
-        : '0 6px 16px rgba(0, 0, 0, 0.2), 0 2px 6px rgba(0, 0, 0, 0.15)';
-    });
-
-    notification.addEventListener('mouseleave', () => {
-      notification.style.boxShadow = darkMode
-        ? '0 4px 12px rgba(0, 0, 0, 0.5), 0 1px 3px rgba(0, 0, 0, 0.3)'
-        : '0 4px 12px rgba(0, 0, 0, 0.15), 0 1px 3px rgba(0, 0, 0, 0.1)';
-    });
-
-    // Close button handler
-    const closeBtn = notification.querySelector('.yss-close-notification');
-    closeBtn.addEventListener('click', () => {
-      notification.style.animation = 'yss-slideOut 0.2s cubic-bezier(0.2, 0, 0, 1)';
-      setTimeout(() => notification.remove(), 200);
-    });
-
-    closeBtn.addEventListener('mouseenter', () => {
-      closeBtn.style.color = textColor;
-    });
-
-    closeBtn.addEventListener('mouseleave', () => {
-      closeBtn.style.color = closeColor;
-    });
-
-    // Auto remove after 3 seconds
-    setTimeout(() => {
-      if (notification.parentElement) {
-        notification.style.animation = 'yss-slideOut 0.2s cubic-bezier(0.2, 0, 0, 1)';
-        setTimeout(() => notification.remove(), 200);
-      }
-    }, 3000);
+  showNotification(message, type = 'info', options = {}) {
+    this.notifications.notify({ message, type, ...options });
   }
 
   /**
@@ -798,16 +1479,15 @@ class YouTubeSkipManager {
       }
 
       if (request.action === 'manualAnalyze') {
-        if (this.currentVideoId) {
-          // Clear cache and reanalyze
-          this.storageService.invalidateCache(this.currentVideoId).then(() => {
-            this.analyzeVideo(this.currentVideoId);
-          });
-        }
+        this.reanalyze();
+      }
+
+      if (request.action === 'runCommand') {
+        this.runCommand(request.command);
       }
 
       if (request.action === 'getCurrentChannel') {
-        const channelLinkElement = document.querySelector('ytd-channel-name a');
+        const channelLinkElement = this.getChannelLink();
         if (channelLinkElement) {
           const channelHandle = channelLinkElement.textContent?.trim();
           const channelUrl = channelLinkElement.href;
@@ -826,6 +1506,640 @@ class YouTubeSkipManager {
     });
   }
 
+  /**
+   * Listen for in-page hotkeys
+   */
+  setupHotkeys() {
+    document.addEventListener('keydown', this.handleHotkey, true);
+    this.logger.debug('Hotkeys configured');
+  }
+
+  /**
+   * Run command bound to a pressed hotkey
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleHotkey(event) {
+    if (!this.settings?.enableHotkeys) return;
+
+    // Leave typing in search, comments and chat alone
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+      return;
+    }
+
+    const command = Object.keys(HOTKEYS).find(name => {
+      const hotkey = HOTKEYS[name];
+      return event.code === hotkey.code &&
+             event.altKey === hotkey.altKey &&
+             event.shiftKey === hotkey.shiftKey &&
+             !event.ctrlKey &&
+             !event.metaKey;
+    });
+
+    if (!command) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.runCommand(command);
+  }
+
+  /**
+   * Run skip control command (from chrome.commands or in-page hotkey)
+   * @param {string} command - One of COMMANDS
+   */
+  async runCommand(command) {
+    this.logger.debug('Running command', { command });
+
+    // Seeking commands would move inside the ad, marking ones would read the ad's time
+    const adBlocked = [
+      COMMANDS.SKIP_SEGMENT,
+      COMMANDS.UNDO_SKIP,
+      COMMANDS.NEXT_SEGMENT,
+      COMMANDS.PREVIOUS_SEGMENT,
+      COMMANDS.MARK_SEGMENT_START,
+      COMMANDS.MARK_SEGMENT_END
+    ];
+    if (this.adObserver.isAdPlaying() && adBlocked.includes(command)) {
+      this.showNotification('ℹ️ Not available while an ad is playing', 'info');
+      return;
+    }
+
+    try {
+      switch (command) {
+        case COMMANDS.SKIP_SEGMENT:
+          this.skipCurrentSegment();
+          break;
+        case COMMANDS.UNDO_SKIP:
+          this.undoLastSkip();
+          break;
+        case COMMANDS.NEXT_SEGMENT:
+          this.jumpToSegment(1);
+          break;
+        case COMMANDS.PREVIOUS_SEGMENT:
+          this.jumpToSegment(-1);
+          break;
+        case COMMANDS.TOGGLE_AUTO_SKIP:
+          await this.toggleAutoSkip();
+          break;
+        case COMMANDS.REANALYZE:
+          await this.reanalyze();
+          break;
+        case COMMANDS.TOGGLE_EDIT_MODE:
+          this.toggleEditMode();
+          break;
+        case COMMANDS.MARK_SEGMENT_START:
+          this.markSegmentStart();
+          break;
+        case COMMANDS.MARK_SEGMENT_END:
+          this.markSegmentEnd();
+          break;
+        default:
+          this.logger.warn('Unknown command', { command });
+      }
+    } catch (error) {
+      this.logger.error('Command failed', { command, error: error.message });
+    }
+  }
+
+  /**
+   * Skip the segment at the current position, whatever its action
+   */
+  skipCurrentSegment() {
+    if (!this.video) return;
+
+    const segment = this.skipSegments.find(s => s.contains(this.video.currentTime));
+
+    if (!segment) {
+      this.showNotification('ℹ️ No segment at the current position', 'info');
+      return;
+    }
+
+    this.performSkip(segment);
+  }
+
+  /**
+   * Jump back to the start of the last skipped segment
+   */
+  undoLastSkip() {
+    if (!this.lastSkippedSegment) {
+      this.showNotification('ℹ️ Nothing to undo', 'info');
+      return;
+    }
+
+    this.undoSkip(this.lastSkippedSegment);
+  }
+
+  /**
+   * Undo a skip: seek back to the segment start and let it play for the rest of this video
+   * @param {Segment} segment - Skipped segment
+   */
+  undoSkip(segment) {
+    // Already undone, or the skip belongs to a video that was left (or an ad is playing)
+    if (!this.video || this.adObserver.isAdPlaying() || !this.undoableSkips.delete(segment)) {
+      return;
+    }
+
+    // A skip still fading out must not seek after the undo
+    this.clearPendingTimers();
+    this.video.style.opacity = '1';
+
+    // Stays dismissed, so auto-skip does not jump over it again
+    this.handledSegments.add(segment);
+    this.playerController.seekTo(segment.start);
+
+    if (this.lastSkippedSegment === segment) {
+      this.lastSkippedSegment = null;
+    }
+
+    this.analyticsService.trackSkipUndo(
+      segment,
+      this.currentVideoId,
+      this.getCategoryLabel(segment.category)
+    );
+
+    this.logger.info('Skip undone', {
+      category: segment.category,
+      range: segment.getTimeRange()
+    });
+
+    this.showNotification(`↩️ Watching: ${this.getCategoryLabel(segment.category)}`, 'info', { channel: NOTIFICATION_CHANNELS.SKIP });
+  }
+
+  /**
+   * Jump to the start of the next or previous segment
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  jumpToSegment(direction) {
+    if (!this.video) return;
+
+    const currentTime = this.video.currentTime;
+    const sorted = [...this.skipSegments].sort((a, b) => a.start - b.start);
+
+    // Like media players, "previous" restarts the current segment unless playback just entered it
+    const segment = direction > 0
+      ? sorted.find(s => s.start > currentTime + SEGMENT_JUMP_TOLERANCE)
+      : sorted.reverse().find(s => s.start < currentTime - SEGMENT_JUMP_TOLERANCE);
+
+    if (!segment) {
+      this.showNotification(`ℹ️ No ${direction > 0 ? 'next' : 'previous'} segment`, 'info');
+      return;
+    }
+
+    this.watchSegment(segment);
+
+    this.showNotification(
+      `⏭️ ${this.getCategoryLabel(segment.category)} (${segment.getTimeRange()})`,
+      'info',
+      { channel: NOTIFICATION_CHANNELS.SKIP }
+    );
+  }
+
+  /**
+   * Seek to the start of a segment and let it play
+   * @param {Segment} segment - Segment
+   */
+  watchSegment(segment) {
+    if (!this.video || this.adObserver.isAdPlaying()) return;
+
+    // Entered on purpose: do not act on it until playback leaves it
+    this.handledSegments.add(segment);
+    this.playerController.seekTo(segment.start);
+  }
+
+  /**
+   * Jump past a segment wherever playback is (timeline marker, segment panel)
+   * @param {Segment} segment - Segment
+   */
+  skipSegmentManually(segment) {
+    if (!this.video || this.adObserver.isAdPlaying()) return;
+
+    this.playerController.seekTo(segment.end);
+    this.showNotification(
+      `⏩ Skipped manually: ${this.getCategoryLabel(segment.category)}`,
+      'info',
+      { channel: NOTIFICATION_CHANNELS.SKIP }
+    );
+  }
+
+  /**
+   * Disable a segment for the rest of the video, or enable it again
+   * @param {Segment} segment - Segment
+   */
+  toggleSegment(segment) {
+    if (this.disabledSegments.delete(segment)) {
+      this.protectCurrentSegment(segment);
+    } else {
+      this.disabledSegments.add(segment);
+      this.releaseSegment(segment);
+    }
+
+    this.logger.info('Segment toggled', {
+      category: segment.category,
+      range: segment.getTimeRange(),
+      disabled: this.disabledSegments.has(segment)
+    });
+
+    this.handleSegmentsChanged();
+  }
+
+  /**
+   * Replace a segment with edited bounds or category (saved as a user segment)
+   * @param {Segment} segment - Segment edited
+   * @param {Object} changes - Edited fields
+   * @param {number} changes.start - Start in seconds
+   * @param {number} changes.end - End in seconds
+   * @param {string} changes.category - Category
+   * @throws {SegmentValidationError} When the bounds are invalid
+   */
+  editSegment(segment, { start, end, category }) {
+    const index = this.skipSegments.indexOf(segment);
+    if (index === -1) return;
+
+    const edited = new Segment(start, end, category, segment.description, 1.0, SEGMENT_SOURCES.USER);
+
+    this.skipSegments[index] = edited;
+    Segment.sort(this.skipSegments);
+
+    if (this.disabledSegments.delete(segment)) {
+      this.disabledSegments.add(edited);
+    }
+
+    this.releaseSegment(segment);
+    this.protectCurrentSegment(edited);
+
+    this.logger.info('Segment edited', {
+      category: edited.category,
+      from: segment.getTimeRange(),
+      to: edited.getTimeRange()
+    });
+
+    this.saveUserSegment(edited, segment);
+    this.handleSegmentsChanged();
+  }
+
+  /**
+   * Add a segment made by hand (saved as a user segment)
+   * @param {number} start - Start in seconds
+   * @param {number} end - End in seconds
+   * @param {string} category - Category
+   * @throws {SegmentValidationError} When the bounds are invalid
+   */
+  addSegment(start, end, category) {
+    const segment = new Segment(start, end, category, '', 1.0, SEGMENT_SOURCES.USER);
+
+    this.skipSegments.push(segment);
+    Segment.sort(this.skipSegments);
+    this.protectCurrentSegment(segment);
+
+    this.logger.info('Segment added', { category, range: segment.getTimeRange() });
+
+    this.saveUserSegment(segment);
+    this.handleSegmentsChanged();
+
+    this.showNotification(
+      `➕ Added: ${this.getCategoryLabel(category)} (${segment.getTimeRange()})`,
+      'success'
+    );
+  }
+
+  /**
+   * Add a segment of the editor category starting at the playback position
+   */
+  addSegmentAtCurrentTime() {
+    if (!this.video || this.adObserver.isAdPlaying()) return;
+
+    const start = Math.round(this.video.currentTime * 10) / 10;
+    const end = Math.min(start + CONFIG.EDITOR.NEW_SEGMENT_DURATION, this.video.duration);
+
+    try {
+      this.addSegment(start, end, this.editorCategory);
+    } catch (error) {
+      this.showNotification(`❌ ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Remember the playback position as the start of the next segment
+   */
+  markSegmentStart() {
+    if (!this.video || this.adObserver.isAdPlaying()) return;
+
+    this.markedStart = Math.round(this.video.currentTime * 10) / 10;
+    this.refreshSegmentPanel();
+
+    this.showNotification(`📍 Segment start marked at ${formatTime(this.markedStart)}`, 'info');
+  }
+
+  /**
+   * Add a segment from the marked start to the playback position
+   */
+  markSegmentEnd() {
+    if (!this.video || this.adObserver.isAdPlaying()) return;
+
+    if (this.markedStart === null) {
+      this.showNotification('ℹ️ Mark the start of the segment first', 'info');
+      return;
+    }
+
+    const position = Math.round(this.video.currentTime * 10) / 10;
+    const start = Math.min(this.markedStart, position);
+    const end = Math.max(this.markedStart, position);
+
+    if (end - start < CONFIG.EDITOR.MIN_SEGMENT_DURATION) {
+      this.showNotification('ℹ️ Play further before marking the end', 'info');
+      return;
+    }
+
+    this.markedStart = null;
+
+    try {
+      this.addSegment(start, end, this.editorCategory);
+    } catch (error) {
+      this.showNotification(`❌ ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show or hide the drag handles on the markers (segments are not acted on while editing)
+   */
+  toggleEditMode() {
+    this.editMode = !this.editMode;
+
+    if (this.editMode) {
+      this.unmuteSegment();
+      this.removeSkipPreview();
+      this.removeSkipPrompt();
+    }
+
+    this.logger.info('Edit mode toggled', { editMode: this.editMode });
+    this.showNotification(
+      this.editMode ? '✏️ Editing segments: drag the marker edges, auto-skip paused' : '✅ Done editing',
+      'info'
+    );
+
+    this.handleSegmentsChanged();
+  }
+
+  /**
+   * Store a user segment in the cached analysis (survives re-analysis)
+   * @param {Segment} segment - Segment added or edited
+   * @param {Segment|null} replaced - Segment it was edited from
+   */
+  async saveUserSegment(segment, replaced = null) {
+    try {
+      await this.storageService.saveUserSegment(this.currentVideoId, segment, replaced);
+    } catch (error) {
+      this.logger.error('Failed to save segment', { error: error.message });
+      this.showNotification('❌ Segment change could not be saved', 'error');
+    }
+  }
+
+  /**
+   * Stop anything in progress for a segment (preview, prompt, mute, undo)
+   * @param {Segment} segment - Segment disabled or replaced
+   */
+  releaseSegment(segment) {
+    if (this.previewSegment === segment) {
+      this.removeSkipPreview();
+    }
+
+    if (this.mutedSegment === segment) {
+      this.unmuteSegment();
+    }
+
+    if (this.video && segment.contains(this.video.currentTime)) {
+      this.removeSkipPrompt();
+    }
+
+    this.handledSegments.delete(segment);
+    this.dismissedSegments.delete(segment);
+    this.undoableSkips.delete(segment);
+
+    if (this.lastSkippedSegment === segment) {
+      this.lastSkippedSegment = null;
+    }
+  }
+
+  /**
+   * Leave a segment alone while playback is already inside it
+   * (enabling or editing it must not skip under the user)
+   * @param {Segment} segment - Segment enabled or edited
+   */
+  protectCurrentSegment(segment) {
+    if (this.video && segment.contains(this.video.currentTime)) {
+      this.handledSegments.add(segment);
+    }
+  }
+
+  /**
+   * Redraw markers and the segment panel, re-plan boundaries after segments changed
+   */
+  handleSegmentsChanged() {
+    this.displaySegments();
+    this.refreshSegmentPanel();
+    this.segmentScheduler.refresh();
+  }
+
+  /**
+   * Show the current segments and the editor in the segment panel (watch page only)
+   */
+  refreshSegmentPanel() {
+    if (this.playerMode !== YOUTUBE.PLAYER_MODES.WATCH) return;
+
+    this.segmentPanel.render(this.skipSegments, {
+      disabled: this.disabledSegments,
+      editMode: this.editMode,
+      markedStart: this.markedStart,
+      category: this.editorCategory
+    });
+  }
+
+  /**
+   * Get categories a segment can be changed to
+   * @returns {Array<{value: string, label: string}>}
+   */
+  getCategoryOptions() {
+    const builtIn = [
+      CATEGORIES.SPONSOR,
+      CATEGORIES.SELF_PROMO,
+      CATEGORIES.INTRO,
+      CATEGORIES.OUTRO,
+      CATEGORIES.DONATIONS
+    ].map(category => ({ value: category, label: category }));
+
+    const custom = this.settings.customCategories
+      .map(category => ({ value: category.id, label: category.name }));
+
+    return [...builtIn, ...custom];
+  }
+
+  /**
+   * Get the feedback buttons of a detected segment (tooltip and post-skip notification)
+   * @param {Segment} segment - Segment
+   * @returns {Array<{label: string, onClick: Function}>} Empty for segments made by hand
+   */
+  getFeedbackActions(segment) {
+    if (segment.isUserDefined()) return [];
+
+    return [
+      { label: `👎 Not ${this.getCategoryLabel(segment.category)}`, onClick: () => this.rejectSegment(segment) },
+      { label: 'Wrong category', onClick: () => this.showCategoryPicker(segment) },
+      { label: 'Too long', onClick: () => this.reportTooLong(segment) }
+    ];
+  }
+
+  /**
+   * Thumbs down: nothing to skip there, the segment is dropped for good
+   * @param {Segment} segment - Segment
+   */
+  rejectSegment(segment) {
+    if (!this.skipSegments.includes(segment)) return;
+
+    // Skipped by mistake: back to where it started
+    if (this.undoableSkips.has(segment)) {
+      this.undoSkip(segment);
+    }
+
+    this.recordFeedback(segment, FEEDBACK_TYPES.NOT_SKIPPABLE);
+    this.removeSegment(segment);
+
+    this.showNotification('👍 Thanks! This segment will not be skipped again', 'success');
+  }
+
+  /**
+   * Ask which category a segment really belongs to
+   * @param {Segment} segment - Segment
+   */
+  showCategoryPicker(segment) {
+    this.removeCategoryPicker();
+
+    const choices = this.getCategoryOptions()
+      .filter(option => option.value !== segment.category)
+      .map(option => createButton(option.label, 'chip', () => {
+        this.removeCategoryPicker();
+        this.correctSegmentCategory(segment, option.value);
+      }));
+
+    const picker = createCard({
+      className: 'yss-category-picker',
+      icon: '🏷️',
+      content: [
+        createElement('div', { className: 'yss-card-title', text: 'What is this segment?' }),
+        createElement('div', { className: 'yss-card-text', text: `Detected as ${this.getCategoryLabel(segment.category)} (${segment.getTimeRange()})` })
+      ],
+      actions: [createButton('×', 'close', () => this.removeCategoryPicker())],
+      footer: createElement('div', { className: 'yss-card-footer' }, choices)
+    });
+
+    this.notifications.pin(picker);
+  }
+
+  /**
+   * Remove the category picker if shown
+   */
+  removeCategoryPicker() {
+    this.overlay.queryAll('.yss-category-picker').forEach(dismiss);
+  }
+
+  /**
+   * Wrong category: the segment keeps its bounds under the category picked by the user
+   * @param {Segment} segment - Segment
+   * @param {string} category - Category it belongs to
+   */
+  correctSegmentCategory(segment, category) {
+    if (!this.skipSegments.includes(segment)) return;
+
+    this.recordFeedback(segment, FEEDBACK_TYPES.WRONG_CATEGORY, category);
+    this.editSegment(segment, { start: segment.start, end: segment.end, category });
+
+    this.showNotification(`🏷️ Now marked as ${this.getCategoryLabel(category)}`, 'success');
+  }
+
+  /**
+   * Too long: go back to the segment and open the timeline editor to fix its bounds
+   * @param {Segment} segment - Segment
+   */
+  reportTooLong(segment) {
+    if (!this.skipSegments.includes(segment)) return;
+
+    this.recordFeedback(segment, FEEDBACK_TYPES.TOO_LONG);
+
+    if (this.undoableSkips.has(segment)) {
+      this.undoSkip(segment);
+    }
+
+    if (!this.editMode) {
+      this.toggleEditMode();
+    }
+  }
+
+  /**
+   * Drop a segment for this video and from the cached analysis
+   * @param {Segment} segment - Segment
+   */
+  removeSegment(segment) {
+    const index = this.skipSegments.indexOf(segment);
+    if (index === -1) return;
+
+    this.skipSegments.splice(index, 1);
+    this.disabledSegments.delete(segment);
+    this.releaseSegment(segment);
+
+    this.storageService.removeCachedSegment(this.currentVideoId, segment)
+      .catch(error => this.logger.error('Failed to remove segment from cache', { error: error.message }));
+
+    this.handleSegmentsChanged();
+  }
+
+  /**
+   * Store feedback on a segment, credited to the model that detected it
+   * @param {Segment} segment - Segment
+   * @param {string} type - FEEDBACK_TYPES value
+   * @param {string|null} correction - Category it should have had
+   */
+  async recordFeedback(segment, type, correction = null) {
+    try {
+      await this.storageService.recordFeedback({
+        videoId: this.currentVideoId,
+        channelId: this.currentChannelId,
+        segment,
+        type,
+        correction,
+        provider: this.analysisModel?.provider,
+        model: this.analysisModel?.model
+      });
+    } catch (error) {
+      this.logger.error('Failed to record feedback', { error: error.message });
+    }
+  }
+
+  /**
+   * Turn auto-skip on or off
+   */
+  async toggleAutoSkip() {
+    const updated = await this.storageService.updateSettings({ autoSkip: !this.settings.autoSkip });
+    await this.loadSettings();
+
+    this.showNotification(
+      updated.autoSkip ? '▶️ Auto-skip enabled' : '⏸️ Auto-skip disabled',
+      'info'
+    );
+  }
+
+  /**
+   * Clear cached analysis of the current video and analyze it again
+   */
+  async reanalyze() {
+    if (!this.currentVideoId) return;
+
+    const videoId = this.currentVideoId;
+    await this.storageService.invalidateCache(videoId);
+
+    if (this.isCurrentVideo(videoId)) {
+      this.analyzeVideo(videoId);
+    }
+  }
+
   /**
    * Delay helper
    * @param {number} ms - Milliseconds
@@ -883,34 +2197,6 @@ class YouTubeSkipManager {
   }
 }
 
-// CSS Styles - Material Design 3 animations
-const style = document.createElement('style');
-style.textContent = `
-  /* Material Design animations */
-  @keyframes yss-slideIn {
-    from {
-      transform: translateX(100%);
-      opacity: 0;
-    }
-    to {
-      transform: translateX(0);
-      opacity: 1;
-    }
-  }
-
-  @keyframes yss-slideOut {
-    from {
-      transform: translateX(0);
-      opacity: 1;
-    }
-    to {
-      transform: translateX(100%);
-      opacity: 0;
-    }
-  }
-`;
-document.head.appendChild(style);
-
 // Initialize when page is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,191 @@
+// navigation-observer.js - Detects video changes through YouTube's SPA navigation events
+
+import { logger } from '../shared/logger/index.js';
+import { YOUTUBE, MODE_SELECTORS } from '../shared/constants.js';
+import { selectorRegistry } from '../shared/selector-registry.js';
+
+/**
+ * NavigationObserver - Reports when a watch page, Shorts or embedded video starts and when the user leaves it
+ * Relies on YouTube's yt-navigate-* events instead of observing the whole DOM; embeds never navigate,
+ * their player switches video in place (playlists), which is detected on loadedmetadata
+ */
+export class NavigationObserver {
+  /**
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onVideo - Called with (video, videoId, {player, mode}) for each new video
+   * @param {Function} handlers.onLeave - Called when the current video is left
+   */
+  constructor({ onVideo, onLeave }) {
+    this.onVideo = onVideo;
+    this.onLeave = onLeave;
+    this.currentVideoId = null;
+    this.retryTimer = null;
+    this.logger = logger.child('NavigationObserver');
+
+    this.handleNavigate = this.handleNavigate.bind(this);
+    this.handleNavigateStart = this.handleNavigateStart.bind(this);
+  }
+
+  /**
+   * Start listening (also checks the current page, the script may load after the first navigation)
+   */
+  start() {
+    document.addEventListener(YOUTUBE.NAVIGATION_EVENTS.START, this.handleNavigateStart);
+    YOUTUBE.NAVIGATION_EVENTS.FINISH.forEach(event => {
+      document.addEventListener(event, this.handleNavigate);
+    });
+
+    // Media events do not bubble, capture them on the document
+    if (this.getPlayerMode() === YOUTUBE.PLAYER_MODES.EMBED) {
+      document.addEventListener('loadedmetadata', this.handleNavigate, true);
+    }
+
+    this.handleNavigate();
+
+    this.logger.debug('Navigation observer started');
+  }
+
+  /**
+   * Stop listening and cancel pending player lookups
+   */
+  stop() {
+    document.removeEventListener(YOUTUBE.NAVIGATION_EVENTS.START, this.handleNavigateStart);
+    YOUTUBE.NAVIGATION_EVENTS.FINISH.forEach(event => {
+      document.removeEventListener(event, this.handleNavigate);
+    });
+    document.removeEventListener('loadedmetadata', this.handleNavigate, true);
+
+    this.cancelRetry();
+  }
+
+  /**
+   * Navigation started: the current video is being left
+   */
+  handleNavigateStart() {
+    this.cancelRetry();
+    this.leave();
+  }
+
+  /**
+   * Navigation finished or page data updated: look for a new video
+   * @param {number} attempt - Player lookup attempt (retries while the player is attached)
+   */
+  handleNavigate(attempt = 0) {
+    // Event listeners receive the event as first argument
+    const currentAttempt = typeof attempt === 'number' ? attempt : 0;
+
+    this.cancelRetry();
+
+    const mode = this.getPlayerMode();
+    const videoId = this.extractVideoId(mode);
+
+    if (!videoId) {
+      this.leave();
+      return;
+    }
+
+    if (videoId === this.currentVideoId) {
+      return;
+    }
+
+    const player = selectorRegistry.query(MODE_SELECTORS[mode].player);
+    const video = player ? selectorRegistry.query('PLAYER_VIDEO', player) : null;
+
+    if (!video) {
+      if (currentAttempt < YOUTUBE.PLAYER_WAIT.MAX_ATTEMPTS) {
+        this.retryTimer = setTimeout(() => this.handleNavigate(currentAttempt + 1), YOUTUBE.PLAYER_WAIT.RETRY_MS);
+      } else {
+        this.logger.warn('Player not found after navigation', { videoId });
+      }
+      return;
+    }
+
+    // Some navigations (e.g. autoplay) switch video without yt-navigate-start
+    this.leave();
+
+    this.currentVideoId = videoId;
+    this.onVideo(video, videoId, { player, mode });
+  }
+
+  /**
+   * Report leaving the current video
+   */
+  leave() {
+    if (!this.currentVideoId) return;
+
+    const videoId = this.currentVideoId;
+    this.currentVideoId = null;
+    this.onLeave(videoId);
+  }
+
+  /**
+   * Cancel pending player lookup
+   */
+  cancelRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Get player mode of the current page
+   * @returns {string} One of YOUTUBE.PLAYER_MODES
+   */
+  getPlayerMode() {
+    const { pathname } = window.location;
+
+    if (YOUTUBE.SHORTS_PATH_PATTERN.test(pathname)) {
+      return YOUTUBE.PLAYER_MODES.SHORTS;
+    }
+
+    if (YOUTUBE.EMBED_PATH_PATTERN.test(pathname)) {
+      return YOUTUBE.PLAYER_MODES.EMBED;
+    }
+
+    return YOUTUBE.PLAYER_MODES.WATCH;
+  }
+
+  /**
+   * Get video ID of the current watch page, short or embed
+   * @param {string} mode - One of YOUTUBE.PLAYER_MODES
+   * @returns {string|null}
+   */
+  extractVideoId(mode) {
+    const { pathname, search } = window.location;
+
+    if (mode === YOUTUBE.PLAYER_MODES.SHORTS) {
+      return pathname.match(YOUTUBE.SHORTS_PATH_PATTERN)[1];
+    }
+
+    if (mode === YOUTUBE.PLAYER_MODES.EMBED) {
+      return this.extractEmbedVideoId();
+    }
+
+    if (pathname !== '/watch') {
+      return null;
+    }
+
+    return new URLSearchParams(search).get(YOUTUBE.VIDEO_ID_PARAM);
+  }
+
+  /**
+   * Get video ID of an embedded player (the path is stale once a playlist moves on)
+   * @returns {string|null}
+   */
+  extractEmbedVideoId() {
+    const titleLink = selectorRegistry.query(MODE_SELECTORS.embed.title);
+
+    if (titleLink?.href) {
+      try {
+        const videoId = new URL(titleLink.href).searchParams.get(YOUTUBE.VIDEO_ID_PARAM);
+        if (videoId) return videoId;
+      } catch (error) {
+        // Fall back to the path
+      }
+    }
+
+    const pathId = window.location.pathname.match(YOUTUBE.EMBED_PATH_PATTERN)[1];
+    return pathId === YOUTUBE.EMBED_PLAYLIST_ID ? null : pathId;
+  }
+}
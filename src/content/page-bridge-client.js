@@ -0,0 +1,68 @@
+// page-bridge-client.js - Content script side of the page-world bridge
+
+import { logger } from '../shared/logger/index.js';
+import { BRIDGE } from '../shared/constants.js';
+import { BridgeProtocol } from './bridge-protocol.js';
+
+/**
+ * PageBridgeClient - Sends requests to page-bridge.js and resolves with its responses
+ */
+export class PageBridgeClient {
+  constructor() {
+    this.logger = logger.child('PageBridgeClient');
+    this.pending = new Map();
+    this.nextId = 0;
+
+    window.addEventListener('message', (event) => this.handleMessage(event));
+  }
+
+  /**
+   * Send request to the page world
+   * @param {string} action - One of BRIDGE.ACTIONS
+   * @param {Object} payload - Request payload
+   * @param {number} timeout - Milliseconds before giving up
+   * @returns {Promise<*>} Response data
+   */
+  request(action, payload = {}, timeout = BRIDGE.TIMEOUT_MS) {
+    const id = `${Date.now()}-${this.nextId++}`;
+
+    return new Promise((resolve, reject) => {
+      const message = BridgeProtocol.createRequest(id, action, payload);
+
+      const timeoutId = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Page bridge did not answer: ${action}`));
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timeoutId });
+
+      window.postMessage(message, window.location.origin);
+    });
+  }
+
+  /**
+   * Resolve pending request with response from the page world
+   * @param {MessageEvent} event - Message event
+   */
+  handleMessage(event) {
+    if (!BridgeProtocol.isResponse(event)) {
+      return;
+    }
+
+    const message = event.data;
+
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timeoutId);
+    this.pending.delete(message.id);
+
+    if (message.success) {
+      pending.resolve(message.data);
+    } else {
+      pending.reject(new Error(message.error || 'Page bridge request failed'));
+    }
+  }
+}
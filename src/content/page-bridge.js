@@ -0,0 +1,286 @@
+// page-bridge.js - Main-world script: answers content script requests that need the page's JS context
+
+import { logger } from '../shared/logger/index.js';
+import { YOUTUBE, BRIDGE } from '../shared/constants.js';
+import { BridgeProtocol } from './bridge-protocol.js';
+
+// Watch page player and Shorts player (both can be in the DOM at once)
+const PLAYER_IDS = ['movie_player', 'shorts-player'];
+
+// Chapter lists in the watch next response (creator chapters first)
+const CHAPTER_MARKER_KEYS = ['DESCRIPTION_CHAPTERS', 'AUTO_CHAPTERS'];
+
+/**
+ * PageBridge - Runs in the page world (same origin as YouTube, access to the player API)
+ * Listens for requests posted by the content script and replies via window.postMessage
+ */
+class PageBridge {
+  constructor() {
+    this.logger = logger.child('PageBridge');
+
+    this.handlers = {
+      [BRIDGE.ACTIONS.GET_CAPTION_TRACK]: (payload) => this.getCaptionTrack(payload),
+      [BRIDGE.ACTIONS.SEEK_TO]: (payload) => this.seekTo(payload),
+      [BRIDGE.ACTIONS.GET_PLAYER_STATE]: (payload) => this.getPlayerState(payload)
+    };
+
+    window.addEventListener('message', (event) => this.handleMessage(event));
+  }
+
+  /**
+   * Handle request from the content script
+   * @param {MessageEvent} event - Message event
+   */
+  async handleMessage(event) {
+    if (!BridgeProtocol.isRequest(event)) {
+      return;
+    }
+
+    const message = event.data;
+
+    try {
+      BridgeProtocol.validatePayload(message.action, message.payload);
+
+      const data = await this.handlers[message.action](message.payload);
+      this.respond(message.id, { success: true, data });
+    } catch (error) {
+      this.logger.debug('Bridge request failed', { action: message.action, error: error.message });
+      this.respond(message.id, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Post response back to the content script
+   * @param {string} id - Request ID
+   * @param {Object} result - {success, data} or {success, error}
+   */
+  respond(id, result) {
+    window.postMessage(BridgeProtocol.createResponse(id, result), window.location.origin);
+  }
+
+  /**
+   * Get the player response of a video (ytInitialPlayerResponse is stale after SPA navigation)
+   * @param {string} videoId - Video ID
+   * @returns {Object|null}
+   */
+  getPlayerResponse(videoId) {
+    return this.findPlayer(videoId)?.getPlayerResponse?.() || window.ytInitialPlayerResponse || null;
+  }
+
+  /**
+   * Find the player element that has a video loaded
+   * @param {string} videoId - Video ID
+   * @returns {HTMLElement|null} Player element exposing the YouTube player API
+   */
+  findPlayer(videoId) {
+    for (const id of PLAYER_IDS) {
+      const player = document.getElementById(id);
+      if (player?.getVideoData?.()?.video_id === videoId) {
+        return player;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the player of a video, failing when its API is not ready
+   * @param {string} videoId - Video ID
+   * @returns {HTMLElement}
+   */
+  requirePlayer(videoId) {
+    const player = this.findPlayer(videoId);
+
+    if (!player || typeof player.seekTo !== 'function') {
+      throw new Error('Player API not available for this video');
+    }
+
+    return player;
+  }
+
+  /**
+   * Seek with the player API (keeps YouTube's UI, chapters and resume point in sync)
+   * @param {Object} payload - {videoId, time}
+   * @returns {Object} {currentTime}
+   */
+  seekTo({ videoId, time }) {
+    const player = this.requirePlayer(videoId);
+
+    player.seekTo(time, true);
+
+    return { currentTime: player.getCurrentTime() };
+  }
+
+  /**
+   * Get state of the player
+   * @param {Object} payload - {videoId}
+   * @returns {Object} PlayerState (see bridge-protocol.js)
+   */
+  getPlayerState({ videoId }) {
+    const player = this.requirePlayer(videoId);
+
+    return {
+      videoId,
+      currentTime: player.getCurrentTime(),
+      duration: player.getDuration(),
+      adPlaying: YOUTUBE.AD_CLASSES.some(className => player.classList.contains(className)),
+      playerState: player.getPlayerState(),
+      chapters: this.getChapters(videoId)
+    };
+  }
+
+  /**
+   * Get chapters of a video from the watch next response
+   * @param {string} videoId - Video ID
+   * @returns {Array<{title: string, start: number}>}
+   */
+  getChapters(videoId) {
+    // ytd-app holds the response of the latest SPA navigation, ytInitialData the first page load
+    const data = [document.querySelector('ytd-app')?.data?.response, window.ytInitialData]
+      .find(response => response?.currentVideoEndpoint?.watchEndpoint?.videoId === videoId);
+
+    const markersMap = data?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+      ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+
+    for (const key of CHAPTER_MARKER_KEYS) {
+      const chapters = markersMap.find(marker => marker.key === key)?.value?.chapters;
+      if (chapters?.length) {
+        return chapters.map(({ chapterRenderer }) => ({
+          title: chapterRenderer.title?.simpleText || '',
+          start: chapterRenderer.timeRangeStartMillis / 1000
+        }));
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Fetch caption track of a video as json3 events
+   * @param {Object} payload - {videoId, languages, kind}
+   * @returns {Promise<Object>} {events, languageCode, kind}
+   */
+  async getCaptionTrack({ videoId, languages = [], kind = 'manual' }) {
+    const playerResponse = this.getPlayerResponse(videoId);
+
+    if (!playerResponse || playerResponse.videoDetails?.videoId !== videoId) {
+      throw new Error('Player response not available for this video');
+    }
+
+    const captionTracks = playerResponse.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+    if (!captionTracks || captionTracks.length === 0) {
+      throw new Error('No caption tracks found');
+    }
+
+    const track = this.selectCaptionTrack(captionTracks, languages, kind);
+
+    let events = null;
+    try {
+      events = await this.fetchJson3(track.baseUrl);
+    } catch (error) {
+      // Malformed or refused json3 responses happen, the XML format usually still works
+      this.logger.warn('json3 caption fetch failed, trying srv3', { videoId, error: error.message });
+    }
+
+    if (!events) {
+      events = await this.fetchSrv3(track.baseUrl);
+    }
+
+    if (!events || events.length === 0) {
+      throw new Error('Caption track is empty');
+    }
+
+    return {
+      events,
+      languageCode: track.languageCode,
+      kind: track.kind === 'asr' ? 'asr' : 'manual'
+    };
+  }
+
+  /**
+   * Pick the caption track that best matches the user's preferences
+   * @param {Array<Object>} tracks - captionTracks from the player response
+   * @param {Array<string>} languages - Preferred language codes in order
+   * @param {string} kind - Preferred kind ('manual' or 'asr'), the other kind is used when missing
+   * @returns {Object}
+   */
+  selectCaptionTrack(tracks, languages, kind) {
+    const isAsr = track => track.kind === 'asr';
+    const byKind = candidates => candidates.find(t => isAsr(t) === (kind === 'asr')) || candidates[0];
+
+    // 'pt' matches 'pt-BR' and the other way around
+    const matchesLanguage = (track, code) => {
+      const trackCode = track.languageCode.toLowerCase();
+      const wanted = code.toLowerCase();
+      return trackCode === wanted ||
+             trackCode.split('-')[0] === wanted ||
+             wanted.split('-')[0] === trackCode;
+    };
+
+    for (const code of languages) {
+      const candidates = tracks.filter(track => matchesLanguage(track, code));
+      if (candidates.length > 0) {
+        return byKind(candidates);
+      }
+    }
+
+    // No preference matched: the auto-generated track reveals the spoken language
+    const spoken = tracks.find(isAsr);
+    if (spoken) {
+      return byKind(tracks.filter(track => track.languageCode === spoken.languageCode));
+    }
+
+    return byKind(tracks);
+  }
+
+  /**
+   * Fetch track in json3 format
+   * @param {string} baseUrl - Caption track URL
+   * @returns {Promise<Array|null>} json3 events
+   */
+  async fetchJson3(baseUrl) {
+    const text = await this.fetchTrack(baseUrl, 'json3');
+    if (!text) return null;
+
+    const data = JSON.parse(text);
+    return data.events || null;
+  }
+
+  /**
+   * Fetch track in srv3 (XML) format and convert it to json3-style events
+   * @param {string} baseUrl - Caption track URL
+   * @returns {Promise<Array|null>}
+   */
+  async fetchSrv3(baseUrl) {
+    const text = await this.fetchTrack(baseUrl, 'srv3');
+    if (!text) return null;
+
+    const xml = new DOMParser().parseFromString(text, 'text/xml');
+
+    return Array.from(xml.querySelectorAll('body > p')).map(p => ({
+      tStartMs: parseInt(p.getAttribute('t'), 10) || 0,
+      dDurationMs: parseInt(p.getAttribute('d'), 10) || 0,
+      segs: [{ utf8: p.textContent }]
+    }));
+  }
+
+  /**
+   * Fetch caption track in a given format
+   * @param {string} baseUrl - Caption track URL
+   * @param {string} format - 'json3' or 'srv3'
+   * @returns {Promise<string>} Response body (empty when YouTube refuses the request)
+   */
+  async fetchTrack(baseUrl, format) {
+    const url = new URL(baseUrl, window.location.origin);
+    url.searchParams.set('fmt', format);
+
+    const response = await fetch(url.toString(), { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`Caption request failed: ${response.status}`);
+    }
+
+    return (await response.text()).trim();
+  }
+}
+
+new PageBridge();
@@ -0,0 +1,111 @@
+// player-controller.js - Drives the YouTube player through the page bridge
+
+import { logger } from '../shared/logger/index.js';
+import { BRIDGE } from '../shared/constants.js';
+
+// A 'seeking' event landing this close to our last target, this soon, is our own seek
+const OWN_SEEK_TOLERANCE = 0.5;
+const OWN_SEEK_WINDOW_MS = 2000;
+
+/**
+ * PlayerController - Seeks and reads player state with the YouTube player API
+ * The API lives in the page world; when the bridge does not answer in time
+ * the <video> element is used directly
+ */
+export class PlayerController {
+  /**
+   * @param {PageBridgeClient} pageBridge - Bridge to the page world
+   */
+  constructor(pageBridge) {
+    this.pageBridge = pageBridge;
+    this.video = null;
+    this.videoId = null;
+    this.lastSeek = null;
+    this.logger = logger.child('PlayerController');
+  }
+
+  /**
+   * Control a video
+   * @param {HTMLVideoElement} video - Video element (fallback target)
+   * @param {string} videoId - Video ID (selects the player in the page world)
+   */
+  attach(video, videoId) {
+    this.video = video;
+    this.videoId = videoId;
+  }
+
+  /**
+   * Stop controlling the video
+   */
+  detach() {
+    this.video = null;
+    this.videoId = null;
+    this.lastSeek = null;
+  }
+
+  /**
+   * Seek to a position
+   * @param {number} time - Target in seconds
+   * @returns {Promise<boolean>} true when the player API seeked, false when the element did
+   */
+  async seekTo(time) {
+    const video = this.video;
+    if (!video) return false;
+
+    this.lastSeek = { time, at: Date.now() };
+
+    try {
+      await this.pageBridge.request(
+        BRIDGE.ACTIONS.SEEK_TO,
+        { videoId: this.videoId, time },
+        BRIDGE.PLAYER_TIMEOUT_MS
+      );
+      return true;
+    } catch (error) {
+      this.logger.debug('Player API seek failed, seeking the element', { error: error.message });
+
+      // The video may have been left while waiting for the bridge
+      if (video === this.video) {
+        video.currentTime = time;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Check if a seek was started by seekTo() rather than by the user (matches it only once)
+   * @param {number} target - Position the video is seeking to
+   * @returns {boolean}
+   */
+  isOwnSeek(target) {
+    const seek = this.lastSeek;
+
+    if (!seek ||
+        Date.now() - seek.at > OWN_SEEK_WINDOW_MS ||
+        Math.abs(target - seek.time) > OWN_SEEK_TOLERANCE) {
+      return false;
+    }
+
+    this.lastSeek = null;
+    return true;
+  }
+
+  /**
+   * Get player state (content duration, ad mode, chapters)
+   * @returns {Promise<Object|null>} PlayerState (see bridge-protocol.js), null when unavailable
+   */
+  async getState() {
+    if (!this.videoId) return null;
+
+    try {
+      return await this.pageBridge.request(
+        BRIDGE.ACTIONS.GET_PLAYER_STATE,
+        { videoId: this.videoId },
+        BRIDGE.PLAYER_TIMEOUT_MS
+      );
+    } catch (error) {
+      this.logger.debug('Player state not available', { error: error.message });
+      return null;
+    }
+  }
+}
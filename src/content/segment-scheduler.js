@@ -0,0 +1,176 @@
+// segment-scheduler.js - Wakes the skip logic exactly at segment boundaries
+
+import { logger } from '../shared/logger/index.js';
+
+// Real seconds before a boundary where timers hand over to per-frame checks
+const FRAME_WATCH_WINDOW = 0.5;
+// Remaining real seconds treated as "at the boundary" when frame callbacks are unavailable
+const BOUNDARY_TOLERANCE = 0.02;
+
+/**
+ * SegmentScheduler - Calls back when playback reaches the next segment boundary
+ * timeupdate fires only every ~250ms; instead the wait until the next boundary is computed
+ * (scaled by playbackRate) and the last frames are followed with requestVideoFrameCallback
+ */
+export class SegmentScheduler {
+  /**
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.getNextBoundary - Called with (currentTime), returns the next media time to act at or null
+   * @param {Function} handlers.onEvaluate - Called with (time) at boundaries and when playback jumps or resumes
+   */
+  constructor({ getNextBoundary, onEvaluate }) {
+    this.getNextBoundary = getNextBoundary;
+    this.onEvaluate = onEvaluate;
+    this.video = null;
+    this.timerId = null;
+    this.frameHandle = null;
+    this.lastFrameTime = null;
+    this.logger = logger.child('SegmentScheduler');
+
+    this.listeners = {
+      seeking: () => this.cancel(),
+      seeked: () => this.refresh(),
+      pause: () => this.cancel(),
+      playing: () => this.refresh(),
+      ratechange: () => this.schedule()
+    };
+  }
+
+  /**
+   * Follow a video element (stops following the previous one)
+   * @param {HTMLVideoElement} video - Video element
+   */
+  attach(video) {
+    if (this.video === video) return;
+
+    this.detach();
+    this.video = video;
+
+    Object.entries(this.listeners).forEach(([event, listener]) => {
+      video.addEventListener(event, listener);
+    });
+  }
+
+  /**
+   * Stop following the video
+   */
+  detach() {
+    this.cancel();
+
+    if (this.video) {
+      Object.entries(this.listeners).forEach(([event, listener]) => {
+        this.video.removeEventListener(event, listener);
+      });
+    }
+
+    this.video = null;
+  }
+
+  /**
+   * Evaluate the current position and schedule the next boundary
+   * (call whenever segments or settings change)
+   */
+  refresh() {
+    if (!this.video) return;
+
+    if (!this.video.paused) {
+      this.onEvaluate(this.video.currentTime);
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Schedule a wake-up for the next boundary
+   * @param {number|null} after - Boundary just handled (firing a frame early must not find it again)
+   */
+  schedule(after = null) {
+    this.cancel();
+
+    const video = this.video;
+    if (!video || video.paused || video.ended || video.playbackRate <= 0) return;
+
+    const boundary = this.getNextBoundary(Math.max(after ?? video.currentTime, video.currentTime));
+    if (boundary === null) return;
+
+    this.approach(boundary);
+  }
+
+  /**
+   * Wait for a boundary: timers while far, frame callbacks for the last frames
+   * @param {number} boundary - Media time to act at
+   */
+  approach(boundary) {
+    const video = this.video;
+    const remaining = (boundary - video.currentTime) / video.playbackRate;
+    const canWatchFrames = typeof video.requestVideoFrameCallback === 'function';
+
+    if (remaining <= BOUNDARY_TOLERANCE) {
+      this.fire(boundary);
+    } else if (canWatchFrames && remaining <= FRAME_WATCH_WINDOW) {
+      this.watchFrames(boundary);
+    } else {
+      // Re-checked when the timer fires: buffering stalls media time but not timers
+      const wait = canWatchFrames ? remaining - FRAME_WATCH_WINDOW : remaining;
+      this.timerId = setTimeout(() => {
+        this.timerId = null;
+        this.approach(boundary);
+      }, wait * 1000);
+    }
+  }
+
+  /**
+   * Check every presented frame and fire on the last one before the boundary
+   * @param {number} boundary - Media time to act at
+   */
+  watchFrames(boundary) {
+    this.frameHandle = this.video.requestVideoFrameCallback((now, metadata) => {
+      this.frameHandle = null;
+
+      const mediaTime = metadata.mediaTime;
+      const frameStep = this.lastFrameTime !== null && mediaTime > this.lastFrameTime
+        ? mediaTime - this.lastFrameTime
+        : 0;
+      this.lastFrameTime = mediaTime;
+
+      // The next frame would already be past the boundary
+      if (mediaTime + frameStep >= boundary) {
+        this.fire(boundary);
+      } else {
+        this.watchFrames(boundary);
+      }
+    });
+  }
+
+  /**
+   * Boundary reached: evaluate and move on to the next one
+   * @param {number} boundary - Media time reached
+   */
+  fire(boundary) {
+    this.lastFrameTime = null;
+    this.logger.debug('Boundary reached', { boundary });
+    this.onEvaluate(Math.max(boundary, this.video.currentTime));
+
+    // The evaluation may have seeked, paused or detached
+    if (this.video && !this.video.seeking) {
+      this.schedule(boundary);
+    }
+  }
+
+  /**
+   * Cancel the pending wake-up
+   */
+  cancel() {
+    if (this.timerId) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+
+    if (this.frameHandle !== null && this.video) {
+      this.video.cancelVideoFrameCallback(this.frameHandle);
+    }
+
+    this.frameHandle = null;
+    this.lastFrameTime = null;
+  }
+}
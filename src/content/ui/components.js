@@ -0,0 +1,88 @@
+// components.js - Building blocks of the in-page overlays
+
+import { createElement } from './dom.js';
+
+// Matches the yss-slideOut animation in styles.js
+const LEAVE_ANIMATION_MS = 200;
+
+/**
+ * Create a button
+ * @param {string} label - Button text
+ * @param {string} variant - 'primary', 'outline', 'text', 'chip' or 'close'
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+export function createButton(label, variant, onClick) {
+  return createElement('button', {
+    className: `yss-button yss-button-${variant}`,
+    text: label,
+    attributes: { type: 'button' },
+    onClick
+  });
+}
+
+/**
+ * Create a card (notification, skip preview, skip prompt)
+ * @param {Object} options - Card options
+ * @param {string} options.className - Kind of card, also sets its position
+ * @param {string} options.icon - Emoji shown on the left
+ * @param {string} [options.accent] - Palette color of the left border ('info', 'success', 'warning', 'error')
+ * @param {Array<Node>} options.content - Body nodes
+ * @param {Array<HTMLButtonElement>} [options.actions] - Buttons on the right
+ * @param {Node} [options.footer] - Node below the row
+ * @returns {HTMLElement}
+ */
+export function createCard({ className, icon, accent = 'info', content, actions = [], footer = null }) {
+  return createElement('div', {
+    className: `yss-card ${className}`,
+    style: { '--yss-card-accent': `var(--yss-${accent})` },
+    attributes: { role: 'status' }
+  }, [
+    createElement('div', { className: 'yss-card-row' }, [
+      createElement('span', { className: 'yss-card-icon', text: icon }),
+      createElement('div', { className: 'yss-card-body' }, content),
+      ...actions
+    ]),
+    footer
+  ]);
+}
+
+/**
+ * Create a segment tooltip
+ * @param {Object} options - Tooltip content
+ * @param {string} options.color - Category color
+ * @param {string} options.title - Category label
+ * @param {string} options.meta - Time range and duration
+ * @param {string} options.description - Segment description
+ * @param {string} options.hint - Action hint
+ * @param {Array<HTMLButtonElement>} [options.actions] - Buttons below the hint (makes the tooltip hoverable)
+ * @returns {HTMLElement}
+ */
+export function createTooltip({ color, title, meta, description, hint, actions = [] }) {
+  const className = `yss-segment-tooltip${actions.length > 0 ? ' yss-interactive' : ''}`;
+
+  return createElement('div', { className }, [
+    createElement('div', { className: 'yss-tooltip-header' }, [
+      createElement('div', { className: 'yss-tooltip-swatch', style: { background: color } }),
+      createElement('div', { className: 'yss-tooltip-title', text: title })
+    ]),
+    createElement('div', { className: 'yss-tooltip-meta', text: meta }),
+    description ? createElement('div', { className: 'yss-tooltip-description', text: description }) : null,
+    createElement('div', { className: 'yss-tooltip-hint' }, [
+      createElement('span', { text: '👆' }),
+      createElement('span', { text: hint })
+    ]),
+    actions.length > 0 ? createElement('div', { className: 'yss-tooltip-actions' }, actions) : null
+  ]);
+}
+
+/**
+ * Slide a card out and remove it (safe to call more than once)
+ * @param {HTMLElement} element - Card to remove
+ */
+export function dismiss(element) {
+  if (!element || element.classList.contains('yss-leaving')) return;
+
+  element.classList.add('yss-leaving');
+  setTimeout(() => element.remove(), LEAVE_ANIMATION_MS);
+}
@@ -0,0 +1,50 @@
+// dom.js - Element builder for overlays (text is never parsed as HTML)
+
+/**
+ * Create an element
+ * @param {string} tag - Tag name
+ * @param {Object} options - Element options
+ * @param {string} [options.className] - Class names
+ * @param {string|number} [options.text] - Text content, set as a text node
+ * @param {Object} [options.style] - Inline styles (custom properties allowed)
+ * @param {Object} [options.attributes] - Attributes
+ * @param {Function} [options.onClick] - Click handler
+ * @param {Array<Node|string|null>} children - Child nodes, strings become text nodes, null is skipped
+ * @returns {HTMLElement}
+ */
+export function createElement(tag, options = {}, children = []) {
+  const { className, text, style, attributes, onClick } = options;
+  const element = document.createElement(tag);
+
+  if (className) {
+    element.className = className;
+  }
+
+  if (text !== undefined && text !== null) {
+    element.textContent = String(text);
+  }
+
+  if (style) {
+    Object.entries(style).forEach(([property, value]) => {
+      element.style.setProperty(property, value);
+    });
+  }
+
+  if (attributes) {
+    Object.entries(attributes).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+  }
+
+  if (onClick) {
+    element.addEventListener('click', onClick);
+  }
+
+  children
+    .filter(child => child !== null && child !== undefined)
+    .forEach(child => {
+      element.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+
+  return element;
+}
@@ -0,0 +1,9 @@
+// index.js - In-page UI kit exports
+
+export { OverlayHost } from './overlay-host.js';
+export { NotificationManager } from './notification-manager.js';
+export { SegmentPanel } from './segment-panel.js';
+export { ThemeWatcher, PALETTES, applyPalette } from './theme.js';
+export { createElement } from './dom.js';
+export { parseTime, formatTime } from './time-format.js';
+export { createButton, createCard, createTooltip, dismiss } from './components.js';
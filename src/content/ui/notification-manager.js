@@ -0,0 +1,238 @@
+// notification-manager.js - Stacks, replaces and queues in-page notifications
+
+import { logger } from '../../shared/logger/index.js';
+import { CONFIG } from '../../shared/config.js';
+import { NOTIFICATION_CHANNELS } from '../../shared/constants.js';
+import { createElement } from './dom.js';
+import { createButton, createCard, dismiss } from './components.js';
+
+// A new notification on these channels updates the one shown instead of stacking
+const REPLACING_CHANNELS = [NOTIFICATION_CHANNELS.ANALYSIS];
+
+// Emoji icons (more reliable than Material Icons)
+const ICONS = {
+  info: 'ℹ️',
+  success: '✅',
+  warning: '⚠️',
+  error: '❌'
+};
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} message - Text shown
+ * @property {string} type - NOTIFICATION_TYPES value
+ * @property {string} channel - NOTIFICATION_CHANNELS value
+ * @property {Object|null} action - Optional button {label, onClick}, closes the notification when clicked
+ * @property {Array<Object>} footerActions - Smaller buttons {label, onClick} below the message, close it too
+ */
+
+/**
+ * NotificationManager - Shows notifications in one stack at the top right of the overlay
+ * At most CONFIG.UI.MAX_VISIBLE_NOTIFICATIONS are visible, the rest wait in order;
+ * the stack follows the overlay host into fullscreen
+ */
+export class NotificationManager {
+  /**
+   * @param {OverlayHost} overlay - Overlay host
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.getLevel - Returns the notification level (CONFIG.NOTIFICATION_LEVELS)
+   */
+  constructor(overlay, { getLevel }) {
+    this.overlay = overlay;
+    this.getLevel = getLevel;
+    this.stack = null;
+    this.visible = []; // [{ channel, element, timerId }]
+    this.queue = [];
+    this.logger = logger.child('NotificationManager');
+  }
+
+  /**
+   * Show a notification (or queue it, or update the one of its channel)
+   * @param {Object} options - Notification
+   * @param {string} options.message - Text shown
+   * @param {string} [options.type] - NOTIFICATION_TYPES value
+   * @param {string} [options.channel] - NOTIFICATION_CHANNELS value
+   * @param {Object|null} [options.action] - Optional button {label, onClick}
+   * @param {Array<Object>} [options.footerActions] - Buttons {label, onClick} below the message
+   */
+  notify({ message, type = 'info', channel = NOTIFICATION_CHANNELS.GENERAL, action = null, footerActions = [] }) {
+    if (!this.isAllowed(channel)) {
+      this.logger.debug('Notification muted by level', { channel, message });
+      return;
+    }
+
+    const notification = { message, type, channel, action, footerActions };
+
+    if (REPLACING_CHANNELS.includes(channel)) {
+      const shown = this.visible.find(entry => entry.channel === channel);
+      if (shown) {
+        this.replace(shown, notification);
+        return;
+      }
+
+      const queued = this.queue.findIndex(waiting => waiting.channel === channel);
+      if (queued !== -1) {
+        this.queue[queued] = notification;
+        return;
+      }
+    }
+
+    if (this.visible.length >= CONFIG.UI.MAX_VISIBLE_NOTIFICATIONS) {
+      this.queue.push(notification);
+      return;
+    }
+
+    this.show(notification);
+  }
+
+  /**
+   * Add a card that stays above the notifications until the caller dismisses it
+   * (skip preview and skip prompt)
+   * @param {HTMLElement} element - Card
+   * @returns {HTMLElement} The card
+   */
+  pin(element) {
+    this.getStack().prepend(element);
+    return element;
+  }
+
+  /**
+   * Close notifications and drop the waiting ones
+   * @param {string|null} channel - Only this channel, all when null
+   */
+  clear(channel = null) {
+    this.queue = this.queue.filter(waiting => channel !== null && waiting.channel !== channel);
+
+    this.visible
+      .filter(entry => channel === null || entry.channel === channel)
+      .forEach(entry => this.close(entry));
+  }
+
+  /**
+   * Check a channel against the notification level
+   * @param {string} channel - NOTIFICATION_CHANNELS value
+   * @returns {boolean}
+   */
+  isAllowed(channel) {
+    switch (this.getLevel()) {
+      case 'silent':
+        return false;
+      case 'skips':
+        return channel === NOTIFICATION_CHANNELS.SKIP;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Add a notification to the stack
+   * @param {Notification} notification - Notification
+   */
+  show(notification) {
+    const entry = { channel: notification.channel, element: null, timerId: null };
+    entry.element = this.render(notification, entry);
+
+    this.getStack().appendChild(entry.element);
+    this.visible.push(entry);
+    this.startTimer(entry, notification);
+  }
+
+  /**
+   * Swap the content of a shown notification
+   * @param {Object} entry - Shown notification
+   * @param {Notification} notification - New content
+   */
+  replace(entry, notification) {
+    const element = this.render(notification, entry);
+
+    // Already on screen, no slide-in
+    element.style.animation = 'none';
+    entry.element.replaceWith(element);
+    entry.element = element;
+    this.startTimer(entry, notification);
+  }
+
+  /**
+   * Build the card of a notification
+   * @param {Notification} notification - Notification
+   * @param {Object} entry - Stack entry closed by the buttons
+   * @returns {HTMLElement}
+   */
+  render({ message, type, action, footerActions }, entry) {
+    const actions = [];
+
+    if (action) {
+      actions.push(createButton(action.label, 'outline', () => {
+        action.onClick();
+        this.close(entry);
+      }));
+    }
+
+    actions.push(createButton('×', 'close', () => this.close(entry)));
+
+    const footer = footerActions.length > 0
+      ? createElement('div', { className: 'yss-card-footer' }, footerActions.map(footerAction =>
+        createButton(footerAction.label, 'chip', () => {
+          footerAction.onClick();
+          this.close(entry);
+        })))
+      : null;
+
+    return createCard({
+      className: `yss-notification yss-${type}`,
+      icon: ICONS[type],
+      accent: type,
+      content: [createElement('div', { className: 'yss-card-message', text: message })],
+      actions,
+      footer
+    });
+  }
+
+  /**
+   * (Re)start the auto-close timer (longer when there is something to click)
+   * @param {Object} entry - Shown notification
+   * @param {Notification} notification - Its content
+   */
+  startTimer(entry, notification) {
+    clearTimeout(entry.timerId);
+    entry.timerId = setTimeout(
+      () => this.close(entry),
+      notification.action || notification.footerActions.length > 0
+        ? CONFIG.UI.UNDO_NOTIFICATION_DURATION_MS
+        : CONFIG.UI.NOTIFICATION_DURATION_MS
+    );
+  }
+
+  /**
+   * Close a notification and show the next waiting one
+   * @param {Object} entry - Shown notification
+   */
+  close(entry) {
+    const index = this.visible.indexOf(entry);
+    if (index === -1) return;
+
+    clearTimeout(entry.timerId);
+    this.visible.splice(index, 1);
+    dismiss(entry.element);
+
+    const next = this.queue.shift();
+    if (next) {
+      this.show(next);
+    }
+  }
+
+  /**
+   * Get the stack container, creating it on first use
+   * @returns {HTMLElement}
+   */
+  getStack() {
+    if (!this.stack) {
+      this.stack = this.overlay.append(createElement('div', { className: 'yss-notification-stack' }));
+    } else {
+      // Re-attaches the host if YouTube replaced the body or fullscreen changed
+      this.overlay.mount();
+    }
+
+    return this.stack;
+  }
+}
@@ -0,0 +1,73 @@
+// overlay-host.js - Shadow root holding the in-page overlays
+
+import { ThemeWatcher, applyPalette } from './theme.js';
+import { OVERLAY_STYLES } from './styles.js';
+
+const HOST_ID = 'yss-overlay-host';
+
+/**
+ * OverlayHost - Isolates overlays from YouTube's CSS and scripts in a closed shadow root
+ * Created on first use; re-attached if YouTube replaces the page body, and moved into the
+ * fullscreen element while one is shown (only its subtree is rendered then)
+ */
+export class OverlayHost {
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.themeWatcher = new ThemeWatcher(theme => applyPalette(this.host, theme));
+  }
+
+  /**
+   * Get the shadow root, creating and attaching the host when needed
+   * @returns {ShadowRoot}
+   */
+  mount() {
+    if (!this.host) {
+      this.host = document.createElement('div');
+      this.host.id = HOST_ID;
+      this.root = this.host.attachShadow({ mode: 'closed' });
+
+      const style = document.createElement('style');
+      style.textContent = OVERLAY_STYLES;
+      this.root.appendChild(style);
+
+      this.themeWatcher.start();
+      document.addEventListener('fullscreenchange', () => this.mount());
+    }
+
+    const container = document.fullscreenElement || document.body || document.documentElement;
+    if (this.host.parentNode !== container) {
+      container.appendChild(this.host);
+    }
+
+    return this.root;
+  }
+
+  /**
+   * Add an overlay
+   * @param {HTMLElement} element - Overlay element
+   * @returns {HTMLElement} The element
+   */
+  append(element) {
+    this.mount().appendChild(element);
+    return element;
+  }
+
+  /**
+   * Find an overlay
+   * @param {string} selector - CSS selector
+   * @returns {HTMLElement|null}
+   */
+  query(selector) {
+    return this.root ? this.root.querySelector(selector) : null;
+  }
+
+  /**
+   * Find all matching overlays
+   * @param {string} selector - CSS selector
+   * @returns {Array<HTMLElement>}
+   */
+  queryAll(selector) {
+    return this.root ? Array.from(this.root.querySelectorAll(selector)) : [];
+  }
+}
@@ -0,0 +1,330 @@
+// segment-panel.js - Collapsible list of the video's segments in the watch page secondary column
+
+import { logger } from '../../shared/logger/index.js';
+import { STORAGE_KEYS } from '../../shared/constants.js';
+import { selectorRegistry } from '../../shared/selector-registry.js';
+import { ThemeWatcher, applyPalette } from './theme.js';
+import { OVERLAY_STYLES, PANEL_STYLES } from './styles.js';
+import { createElement } from './dom.js';
+import { createButton } from './components.js';
+import { parseTime, formatTime } from './time-format.js';
+
+const HOST_ID = 'yss-segment-panel';
+// The secondary column renders after the player on first load
+const MOUNT_RETRY_MS = 1000;
+const MOUNT_RETRY_COUNT = 5;
+
+/**
+ * SegmentPanel - Lists segments with jump, skip, disable and edit actions, and the manual editor
+ * Only renders what the manager passes in; every action goes back through a handler
+ */
+export class SegmentPanel {
+  /**
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.getCategoryLabel - Called with (category), returns the display name
+   * @param {Function} handlers.getCategoryColor - Called with (category), returns the marker color
+   * @param {Function} handlers.getCategoryOptions - Returns [{value, label}] offered by the edit form
+   * @param {Function} handlers.onJump - Called with (segment) to watch it from the start
+   * @param {Function} handlers.onSkip - Called with (segment) to jump past it
+   * @param {Function} handlers.onToggle - Called with (segment) to disable or re-enable it for this video
+   * @param {Function} handlers.onEdit - Called with (segment, {start, end, category}), throws when invalid
+   * @param {Function} handlers.onToggleEditMode - Shows or hides the drag handles on the timeline
+   * @param {Function} handlers.onMarkStart - Marks the playback position as the start of a new segment
+   * @param {Function} handlers.onMarkEnd - Adds a segment from the marked start to the playback position
+   * @param {Function} handlers.onAdd - Adds a segment at the playback position
+   * @param {Function} handlers.onCategoryChange - Called with (category) picked for new segments
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.host = null;
+    this.root = null;
+    this.panel = null;
+    this.segments = [];
+    this.state = { disabled: new Set(), editMode: false, markedStart: null, category: '' };
+    this.collapsed = false;
+    this.editing = null;
+    this.retryTimer = null;
+    this.logger = logger.child('SegmentPanel');
+    this.themeWatcher = new ThemeWatcher(theme => applyPalette(this.host, theme));
+
+    this.loadCollapsed();
+  }
+
+  /**
+   * Show the segments and the editor
+   * @param {Array<Segment>} segments - Segments of the current video
+   * @param {Object} state - Manager state shown by the panel
+   * @param {Set<Segment>} state.disabled - Segments disabled for this video
+   * @param {boolean} state.editMode - Whether the timeline shows drag handles
+   * @param {number|null} state.markedStart - Start marked for the next segment
+   * @param {string} state.category - Category of new segments
+   * @param {number} attempt - Mount attempts so far
+   */
+  render(segments, state, attempt = 0) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.segments = segments;
+    this.state = state;
+
+    if (!this.mount()) {
+      if (attempt < MOUNT_RETRY_COUNT) {
+        this.retryTimer = setTimeout(() => this.render(segments, state, attempt + 1), MOUNT_RETRY_MS);
+      } else {
+        this.logger.warn('Secondary column not found, panel not shown');
+      }
+      return;
+    }
+
+    if (this.editing && !segments.includes(this.editing)) {
+      this.editing = null;
+    }
+
+    const sorted = [...segments].sort((a, b) => a.start - b.start);
+    const total = Math.round(sorted.reduce((sum, segment) => sum + segment.getDuration(), 0));
+
+    const panel = createElement('section', { className: `yss-panel${this.collapsed ? ' yss-collapsed' : ''}` }, [
+      createElement('button', {
+        className: 'yss-panel-header',
+        attributes: { type: 'button', 'aria-expanded': String(!this.collapsed) },
+        onClick: () => this.toggleCollapsed()
+      }, [
+        createElement('span', { className: 'yss-panel-title', text: 'Skippable segments' }),
+        createElement('span', { className: 'yss-panel-summary', text: `${sorted.length} · ${total}s` }),
+        createElement('span', { className: 'yss-panel-chevron', text: '▼' })
+      ]),
+      createElement('div', { className: 'yss-panel-body' }, [
+        this.renderToolbar(),
+        createElement('ul', { className: 'yss-panel-list' }, sorted.length > 0
+          ? sorted.map(segment => this.renderRow(segment, state.disabled.has(segment)))
+          : [createElement('li', { className: 'yss-panel-empty', text: 'No segments. Mark or add one while watching.' })])
+      ])
+    ]);
+
+    if (this.panel) {
+      this.panel.replaceWith(panel);
+    } else {
+      this.root.appendChild(panel);
+    }
+
+    this.panel = panel;
+  }
+
+  /**
+   * Remove the panel from the page
+   */
+  remove() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.editing = null;
+
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+
+    if (this.host) {
+      this.host.remove();
+      this.themeWatcher.stop();
+    }
+  }
+
+  /**
+   * Attach the host at the top of the secondary column
+   * @returns {boolean} false when the column is not rendered (yet)
+   */
+  mount() {
+    const container = selectorRegistry.query('WATCH_SECONDARY');
+    if (!container) return false;
+
+    if (!this.host) {
+      this.host = document.createElement('div');
+      this.host.id = HOST_ID;
+      this.root = this.host.attachShadow({ mode: 'closed' });
+
+      const style = document.createElement('style');
+      style.textContent = OVERLAY_STYLES + PANEL_STYLES;
+      this.root.appendChild(style);
+    }
+
+    if (this.host.parentNode !== container) {
+      container.prepend(this.host);
+      this.themeWatcher.stop();
+      this.themeWatcher.start();
+    }
+
+    return true;
+  }
+
+  /**
+   * Build the editor toolbar (edit mode, mark start/end, add)
+   * @returns {HTMLElement}
+   */
+  renderToolbar() {
+    const { getCategoryOptions, onToggleEditMode, onMarkStart, onMarkEnd, onAdd, onCategoryChange } = this.handlers;
+    const { editMode, markedStart, category } = this.state;
+
+    const categorySelect = createElement('select', { attributes: { 'aria-label': 'Category of new segments' } },
+      getCategoryOptions().map(option =>
+        createElement('option', { text: option.label, attributes: { value: option.value } })));
+    categorySelect.value = category;
+    categorySelect.addEventListener('change', () => onCategoryChange(categorySelect.value));
+
+    return createElement('div', { className: 'yss-panel-toolbar' }, [
+      createButton(editMode ? 'Done editing' : 'Edit timeline', editMode ? 'primary' : 'chip', () => onToggleEditMode()),
+      createButton('Mark start', 'chip', () => onMarkStart()),
+      createButton(markedStart === null ? 'Mark end' : `Mark end (from ${formatTime(markedStart)})`, 'chip', () => onMarkEnd()),
+      categorySelect,
+      createButton('Add here', 'chip', () => onAdd())
+    ]);
+  }
+
+  /**
+   * Build the row of a segment
+   * @param {Segment} segment - Segment
+   * @param {boolean} isDisabled - Whether it is disabled for this video
+   * @returns {HTMLElement}
+   */
+  renderRow(segment, isDisabled) {
+    const { getCategoryLabel, getCategoryColor, onJump, onSkip, onToggle } = this.handlers;
+    const isEditing = this.editing === segment;
+
+    return createElement('li', { className: `yss-segment-row${isDisabled ? ' yss-disabled' : ''}` }, [
+      createElement('div', { className: 'yss-row-info' }, [
+        createElement('div', { className: 'yss-row-header' }, [
+          createElement('div', { className: 'yss-tooltip-swatch', style: { background: getCategoryColor(segment.category) } }),
+          createElement('span', { className: 'yss-row-title', text: getCategoryLabel(segment.category) }),
+          createElement('span', {
+            className: 'yss-row-confidence',
+            text: segment.isUserDefined() ? 'manual' : `${Math.round(segment.confidence * 100)}%`
+          })
+        ]),
+        createElement('div', {
+          className: 'yss-row-meta',
+          text: `${segment.getTimeRange()} · ${Math.round(segment.getDuration())}s${isDisabled ? ' · disabled' : ''}`
+        }),
+        segment.description
+          ? createElement('div', { className: 'yss-row-description', text: segment.description })
+          : null
+      ]),
+      isEditing
+        ? this.renderEditForm(segment)
+        : createElement('div', { className: 'yss-row-actions' }, [
+          createButton('Jump', 'chip', () => onJump(segment)),
+          createButton('Skip', 'chip', () => onSkip(segment)),
+          createButton(isDisabled ? 'Enable' : 'Disable', 'chip', () => onToggle(segment)),
+          createButton('Edit', 'chip', () => this.startEditing(segment))
+        ])
+    ]);
+  }
+
+  /**
+   * Build the inline edit form of a segment
+   * @param {Segment} segment - Segment being edited
+   * @returns {HTMLElement}
+   */
+  renderEditForm(segment) {
+    const { getCategoryLabel, getCategoryOptions, onEdit } = this.handlers;
+
+    const startInput = createElement('input', { attributes: { type: 'text', value: formatTime(segment.start) } });
+    const endInput = createElement('input', { attributes: { type: 'text', value: formatTime(segment.end) } });
+
+    // Keep categories the form does not offer (merged or unmapped AI categories)
+    const options = getCategoryOptions();
+    if (!options.some(option => option.value === segment.category)) {
+      options.unshift({ value: segment.category, label: getCategoryLabel(segment.category) });
+    }
+
+    const categorySelect = createElement('select', {}, options.map(option =>
+      createElement('option', { text: option.label, attributes: { value: option.value } })));
+    categorySelect.value = segment.category;
+
+    const error = createElement('div', { className: 'yss-edit-error' });
+
+    // Untouched fields keep their exact value (the form rounds to tenths)
+    const readTime = (input, original) =>
+      input.value === formatTime(original) ? original : parseTime(input.value);
+
+    const save = () => {
+      const start = readTime(startInput, segment.start);
+      const end = readTime(endInput, segment.end);
+
+      if (Number.isNaN(start) || Number.isNaN(end)) {
+        error.textContent = 'Use seconds or m:ss';
+        return;
+      }
+
+      try {
+        this.editing = null;
+        onEdit(segment, { start, end, category: categorySelect.value });
+      } catch (editError) {
+        this.editing = segment;
+        error.textContent = editError.message;
+      }
+    };
+
+    return createElement('div', { className: 'yss-edit-form' }, [
+      createElement('label', { text: 'Start' }),
+      startInput,
+      createElement('label', { text: 'End' }),
+      endInput,
+      createElement('label', { text: 'Category' }),
+      categorySelect,
+      error,
+      createElement('div', { className: 'yss-edit-actions' }, [
+        createButton('Cancel', 'text', () => this.stopEditing()),
+        createButton('Save', 'primary', save)
+      ])
+    ]);
+  }
+
+  /**
+   * Open the edit form of a segment
+   * @param {Segment} segment - Segment
+   */
+  startEditing(segment) {
+    this.editing = segment;
+    this.rerender();
+  }
+
+  /**
+   * Close the edit form without saving
+   */
+  stopEditing() {
+    this.editing = null;
+    this.rerender();
+  }
+
+  /**
+   * Render again with the segments last passed in
+   */
+  rerender() {
+    this.render(this.segments, this.state);
+  }
+
+  /**
+   * Collapse or expand the list (remembered across videos)
+   */
+  toggleCollapsed() {
+    this.collapsed = !this.collapsed;
+
+    if (this.panel) {
+      this.panel.classList.toggle('yss-collapsed', this.collapsed);
+      this.panel.querySelector('.yss-panel-header').setAttribute('aria-expanded', String(!this.collapsed));
+    }
+
+    chrome.storage.local.set({ [STORAGE_KEYS.SEGMENT_PANEL_COLLAPSED]: this.collapsed })
+      .catch(error => this.logger.warn('Failed to save panel state', { error: error.message }));
+  }
+
+  /**
+   * Read the collapsed state
+   */
+  async loadCollapsed() {
+    try {
+      const stored = await chrome.storage.local.get([STORAGE_KEYS.SEGMENT_PANEL_COLLAPSED]);
+      this.collapsed = !!stored[STORAGE_KEYS.SEGMENT_PANEL_COLLAPSED];
+    } catch (error) {
+      this.logger.warn('Failed to read panel state', { error: error.message });
+    }
+  }
+}
@@ -0,0 +1,449 @@
+// styles.js - Stylesheet shared by every overlay in the shadow root
+
+import { CONFIG } from '../../shared/config.js';
+
+// Colors come from the --yss-* properties set on the host (see theme.js)
+export const OVERLAY_STYLES = `
+  :host {
+    all: initial;
+  }
+
+  * {
+    box-sizing: border-box;
+  }
+
+  @keyframes yss-slideIn {
+    from {
+      transform: translateX(100%);
+      opacity: 0;
+    }
+    to {
+      transform: translateX(0);
+      opacity: 1;
+    }
+  }
+
+  @keyframes yss-slideOut {
+    from {
+      transform: translateX(0);
+      opacity: 1;
+    }
+    to {
+      transform: translateX(100%);
+      opacity: 0;
+    }
+  }
+
+  /* Skip preview and prompt on top, notifications below */
+  .yss-notification-stack {
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    z-index: 10000;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    pointer-events: none;
+  }
+
+  /* Cards: notifications, skip preview and skip prompt */
+  .yss-card {
+    pointer-events: auto;
+    background: var(--yss-surface);
+    color: var(--yss-text);
+    padding: 14px 16px;
+    border-radius: 8px;
+    border-left: 4px solid var(--yss-card-accent, var(--yss-info));
+    box-shadow: var(--yss-shadow);
+    font-family: Roboto, Arial, sans-serif;
+    min-width: 300px;
+    animation: yss-slideIn 0.3s cubic-bezier(0.2, 0, 0, 1);
+    transition: box-shadow 0.2s cubic-bezier(0.2, 0, 0, 1);
+  }
+
+  .yss-card:hover {
+    box-shadow: var(--yss-shadow-raised);
+  }
+
+  .yss-card.yss-leaving {
+    animation: yss-slideOut 0.2s cubic-bezier(0.2, 0, 0, 1) forwards;
+    pointer-events: none;
+  }
+
+  .yss-notification {
+    min-width: 280px;
+    max-width: 400px;
+  }
+
+  .yss-category-picker {
+    max-width: 400px;
+  }
+
+  .yss-card-row {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+  }
+
+  .yss-card-icon {
+    font-size: 20px;
+    flex-shrink: 0;
+  }
+
+  .yss-card-body {
+    flex: 1;
+    min-width: 0;
+  }
+
+  .yss-card-title {
+    font-weight: 500;
+    font-size: 14px;
+    margin-bottom: 4px;
+  }
+
+  .yss-card-text {
+    font-size: 12px;
+    opacity: 0.9;
+  }
+
+  .yss-card-message {
+    font-size: 14px;
+    line-height: 20px;
+  }
+
+  /* Buttons */
+  .yss-button {
+    font-family: Roboto, Arial, sans-serif;
+    font-size: 13px;
+    font-weight: 500;
+    border-radius: 16px;
+    cursor: pointer;
+    white-space: nowrap;
+    flex-shrink: 0;
+    transition: background 0.2s cubic-bezier(0.2, 0, 0, 1), color 0.2s;
+  }
+
+  .yss-button-primary {
+    padding: 8px 16px;
+    background: var(--yss-accent);
+    color: #ffffff;
+    border: none;
+  }
+
+  .yss-button-primary:hover {
+    background: var(--yss-accent-hover);
+  }
+
+  .yss-button-outline {
+    padding: 6px 14px;
+    background: transparent;
+    color: var(--yss-accent-text);
+    border: 1px solid var(--yss-border);
+  }
+
+  .yss-button-text {
+    padding: 8px 12px;
+    background: transparent;
+    color: var(--yss-accent-text);
+    border: none;
+  }
+
+  .yss-button-close {
+    width: 20px;
+    height: 20px;
+    padding: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: none;
+    border: none;
+    color: var(--yss-text-secondary);
+    font-size: 18px;
+  }
+
+  .yss-button-close:hover {
+    color: var(--yss-text);
+  }
+
+  .yss-button-chip {
+    padding: 4px 10px;
+    font-size: 12px;
+    background: transparent;
+    color: var(--yss-accent-text);
+    border: 1px solid var(--yss-border);
+  }
+
+  .yss-button-chip:hover {
+    background: var(--yss-divider);
+  }
+
+  /* Secondary actions below a card (segment feedback) */
+  .yss-card-footer {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-top: 10px;
+    padding-left: 32px;
+  }
+
+  /* Countdown bar */
+  .yss-progress {
+    margin-top: 10px;
+    height: 3px;
+    background: var(--yss-divider);
+    border-radius: 2px;
+    overflow: hidden;
+  }
+
+  .yss-progress-bar {
+    height: 100%;
+    width: 100%;
+    background: var(--yss-warning);
+  }
+
+  /* Segment tooltip */
+  .yss-segment-tooltip {
+    position: fixed;
+    background: var(--yss-surface);
+    color: var(--yss-text);
+    padding: 12px 14px;
+    border-radius: 8px;
+    border: 1px solid var(--yss-border);
+    box-shadow: var(--yss-shadow-raised);
+    z-index: 10000;
+    pointer-events: none;
+    font-family: Roboto, Arial, sans-serif;
+    max-width: ${CONFIG.UI.TOOLTIP_MAX_WIDTH}px;
+  }
+
+  .yss-tooltip-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 8px;
+  }
+
+  .yss-tooltip-swatch {
+    width: 4px;
+    height: 16px;
+    border-radius: 2px;
+    flex-shrink: 0;
+  }
+
+  .yss-tooltip-title {
+    font-weight: 500;
+    font-size: 14px;
+  }
+
+  .yss-tooltip-meta {
+    font-size: 12px;
+    color: var(--yss-text-secondary);
+    margin-bottom: 6px;
+  }
+
+  .yss-tooltip-description {
+    font-size: 12px;
+    line-height: 1.5;
+    margin-bottom: 8px;
+  }
+
+  .yss-tooltip-hint {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    font-size: 11px;
+    color: var(--yss-text-secondary);
+    padding-top: 6px;
+    border-top: 1px solid var(--yss-divider);
+  }
+
+  /* Tooltips with buttons stay open while hovered */
+  .yss-segment-tooltip.yss-interactive {
+    pointer-events: auto;
+  }
+
+  .yss-tooltip-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-top: 8px;
+  }
+`;
+
+// Segment list panel in the watch page secondary column (added to OVERLAY_STYLES)
+export const PANEL_STYLES = `
+  :host {
+    display: block;
+    margin-bottom: 12px;
+  }
+
+  .yss-panel {
+    background: var(--yss-surface);
+    color: var(--yss-text);
+    border: 1px solid var(--yss-divider);
+    border-radius: 12px;
+    font-family: Roboto, Arial, sans-serif;
+    overflow: hidden;
+  }
+
+  .yss-panel-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    width: 100%;
+    padding: 12px 16px;
+    background: none;
+    border: none;
+    color: inherit;
+    font-family: inherit;
+    text-align: left;
+    cursor: pointer;
+  }
+
+  .yss-panel-title {
+    flex: 1;
+    font-size: 16px;
+    font-weight: 500;
+  }
+
+  .yss-panel-summary {
+    font-size: 12px;
+    color: var(--yss-text-secondary);
+  }
+
+  .yss-panel-chevron {
+    font-size: 12px;
+    color: var(--yss-text-secondary);
+    transition: transform 0.2s cubic-bezier(0.2, 0, 0, 1);
+  }
+
+  .yss-panel.yss-collapsed .yss-panel-chevron {
+    transform: rotate(-90deg);
+  }
+
+  .yss-panel.yss-collapsed .yss-panel-body {
+    display: none;
+  }
+
+  .yss-panel-toolbar {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px;
+    padding: 8px 16px;
+    border-top: 1px solid var(--yss-divider);
+  }
+
+  .yss-panel-toolbar select {
+    font-family: inherit;
+    font-size: 12px;
+    padding: 3px 6px;
+    border: 1px solid var(--yss-border);
+    border-radius: 8px;
+    background: var(--yss-surface);
+    color: var(--yss-text);
+  }
+
+  .yss-panel-toolbar .yss-button-primary {
+    padding: 4px 10px;
+    font-size: 12px;
+  }
+
+  .yss-panel-empty {
+    padding: 10px 16px;
+    border-top: 1px solid var(--yss-divider);
+    font-size: 12px;
+    color: var(--yss-text-secondary);
+  }
+
+  .yss-panel-list {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+    max-height: 420px;
+    overflow-y: auto;
+  }
+
+  .yss-segment-row {
+    padding: 10px 16px;
+    border-top: 1px solid var(--yss-divider);
+  }
+
+  .yss-segment-row.yss-disabled .yss-row-info {
+    opacity: 0.5;
+  }
+
+  .yss-row-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+  }
+
+  .yss-row-title {
+    flex: 1;
+    font-size: 14px;
+    font-weight: 500;
+  }
+
+  .yss-row-confidence,
+  .yss-row-meta {
+    font-size: 12px;
+    color: var(--yss-text-secondary);
+  }
+
+  .yss-row-meta,
+  .yss-row-description,
+  .yss-row-actions,
+  .yss-edit-form {
+    margin-left: 12px;
+  }
+
+  .yss-row-meta {
+    margin-top: 2px;
+  }
+
+  .yss-row-description {
+    margin-top: 4px;
+    font-size: 12px;
+    line-height: 1.5;
+  }
+
+  .yss-row-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-top: 8px;
+  }
+
+  .yss-edit-form {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    align-items: center;
+    gap: 6px 10px;
+    margin-top: 8px;
+    font-size: 12px;
+  }
+
+  .yss-edit-form input,
+  .yss-edit-form select {
+    font-family: inherit;
+    font-size: 12px;
+    padding: 4px 8px;
+    border: 1px solid var(--yss-border);
+    border-radius: 8px;
+    background: var(--yss-surface);
+    color: var(--yss-text);
+  }
+
+  .yss-edit-error {
+    grid-column: 1 / -1;
+    color: var(--yss-error);
+  }
+
+  .yss-edit-actions {
+    grid-column: 1 / -1;
+    display: flex;
+    justify-content: flex-end;
+    gap: 4px;
+  }
+`;
@@ -0,0 +1,127 @@
+// theme.js - Light and dark palettes of the in-page overlays
+
+import { logger } from '../../shared/logger/index.js';
+import { STORAGE_KEYS } from '../../shared/constants.js';
+
+// Colors exposed to the overlay stylesheet as --yss-* custom properties
+export const PALETTES = {
+  light: {
+    surface: '#ffffff',
+    text: '#202124',
+    textSecondary: '#5f6368',
+    border: '#dadce0',
+    divider: '#e8eaed',
+    accent: '#1a73e8',
+    accentHover: '#1765cc',
+    accentText: '#1a73e8',
+    info: '#1a73e8',
+    success: '#0f9d58',
+    warning: '#f9ab00',
+    error: '#d93025',
+    shadow: '0 4px 12px rgba(0, 0, 0, 0.15), 0 1px 3px rgba(0, 0, 0, 0.1)',
+    shadowRaised: '0 6px 16px rgba(0, 0, 0, 0.2), 0 2px 6px rgba(0, 0, 0, 0.15)'
+  },
+  dark: {
+    surface: '#1e1e1e',
+    text: '#f1f1f1',
+    textSecondary: '#aaaaaa',
+    border: '#5f6368',
+    divider: '#3a3a3a',
+    accent: '#1a73e8',
+    accentHover: '#1765cc',
+    accentText: '#8ab4f8',
+    info: '#1a73e8',
+    success: '#0f9d58',
+    warning: '#f9ab00',
+    error: '#d93025',
+    shadow: '0 4px 12px rgba(0, 0, 0, 0.5), 0 1px 3px rgba(0, 0, 0, 0.3)',
+    shadowRaised: '0 6px 16px rgba(0, 0, 0, 0.7), 0 2px 6px rgba(0, 0, 0, 0.5)'
+  }
+};
+
+/**
+ * Expose a palette to a stylesheet as --yss-* custom properties
+ * @param {HTMLElement} host - Shadow host
+ * @param {string} theme - 'light' or 'dark'
+ */
+export function applyPalette(host, theme) {
+  Object.entries(PALETTES[theme]).forEach(([name, value]) => {
+    const property = `--yss-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    host.style.setProperty(property, value);
+  });
+
+  host.dataset.theme = theme;
+}
+
+/**
+ * ThemeWatcher - Follows YouTube's theme and the extension's dark mode preference
+ * YouTube marks its dark theme with a `dark` attribute on <html>; either source turns the overlays dark
+ */
+export class ThemeWatcher {
+  /**
+   * @param {Function} onChange - Called with ('light'|'dark') whenever the theme changes
+   */
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.darkPreference = false;
+    this.theme = null;
+    this.mutationObserver = null;
+    this.logger = logger.child('ThemeWatcher');
+
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Start following both sources (reports the current theme right away)
+   */
+  async start() {
+    this.mutationObserver = new MutationObserver(() => this.update());
+    this.mutationObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['dark'] });
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+
+    this.update();
+
+    try {
+      const stored = await chrome.storage.local.get([STORAGE_KEYS.DARK_MODE]);
+      this.darkPreference = !!stored[STORAGE_KEYS.DARK_MODE];
+      this.update();
+    } catch (error) {
+      this.logger.warn('Dark mode preference not available', { error: error.message });
+    }
+  }
+
+  /**
+   * Stop following theme changes
+   */
+  stop() {
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    chrome.storage.onChanged.removeListener(this.handleStorageChange);
+  }
+
+  /**
+   * Track the dark mode preference
+   * @param {Object} changes - Changed storage keys
+   * @param {string} areaName - Storage area
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !changes[STORAGE_KEYS.DARK_MODE]) return;
+
+    this.darkPreference = !!changes[STORAGE_KEYS.DARK_MODE].newValue;
+    this.update();
+  }
+
+  /**
+   * Recompute the theme and report changes
+   */
+  update() {
+    const theme = this.darkPreference || document.documentElement.hasAttribute('dark') ? 'dark' : 'light';
+    if (theme === this.theme) return;
+
+    this.theme = theme;
+    this.onChange(theme);
+  }
+}
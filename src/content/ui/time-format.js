@@ -0,0 +1,29 @@
+// time-format.js - Times typed and shown in the segment editor (tenths of a second)
+
+/**
+ * Parse a time typed by the user
+ * @param {string} value - Seconds, m:ss or h:mm:ss
+ * @returns {number} Seconds, NaN when malformed
+ */
+export function parseTime(value) {
+  if (!value.trim()) return NaN;
+
+  const parts = value.trim().split(':').map(Number);
+  if (parts.length > 3 || parts.some(part => !Number.isFinite(part) || part < 0)) {
+    return NaN;
+  }
+
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Format a time for the editor (keeps tenths, unlike Segment.formatTime)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} m:ss or m:ss.s
+ */
+export function formatTime(seconds) {
+  const tenths = Math.round(seconds * 10) / 10;
+  const minutes = Math.floor(tenths / 60);
+  const rest = (tenths - minutes * 60).toFixed(1).replace(/\.0$/, '');
+  return `${minutes}:${rest.padStart(rest.includes('.') ? 4 : 2, '0')}`;
+}
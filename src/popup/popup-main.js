@@ -3,8 +3,41 @@
 import { logger } from '../shared/logger/index.js';
 import { StorageService } from '../shared/services/storage-service.js';
 import { AnalyticsService } from '../shared/services/analytics-service.js';
-import { AdvancedSettings } from '../shared/models/index.js';
-import { validateProviderAPIKey } from '../shared/services/providers/index.js';
+import { AIService } from '../shared/services/ai-service.js';
+import { validateProviderAPIKey, LocalProvider } from '../shared/services/providers/index.js';
+import { ChannelProfile } from '../shared/models/index.js';
+import { CONFIG } from '../shared/config.js';
+import { COMMANDS, HOTKEYS } from '../shared/constants.js';
+import { extractVideoId, isYouTubeWatchPage } from '../shared/utils.js';
+
+// Display names for AI providers
+const PROVIDER_LABELS = {
+  claude: 'Claude',
+  openai: 'OpenAI',
+  local: 'Local model',
+  heuristic: 'Offline rules'
+};
+
+// Descriptions of skip control commands (same wording as manifest.json)
+const COMMAND_LABELS = {
+  [COMMANDS.SKIP_SEGMENT]: 'Skip the current segment',
+  [COMMANDS.UNDO_SKIP]: 'Undo last skip',
+  [COMMANDS.NEXT_SEGMENT]: 'Next segment',
+  [COMMANDS.PREVIOUS_SEGMENT]: 'Previous segment',
+  [COMMANDS.TOGGLE_AUTO_SKIP]: 'Toggle auto-skip',
+  [COMMANDS.REANALYZE]: 'Re-analyze video',
+  [COMMANDS.TOGGLE_EDIT_MODE]: 'Edit segments on the timeline',
+  [COMMANDS.MARK_SEGMENT_START]: 'Mark segment start',
+  [COMMANDS.MARK_SEGMENT_END]: 'Mark segment end'
+};
+
+// Display names for category actions (CONFIG.CATEGORY_ACTIONS)
+const ACTION_LABELS = {
+  skip: 'Skip',
+  prompt: 'Ask',
+  mute: 'Mute',
+  mark: 'Mark only'
+};
 
 /**
  * PopupManager - Manages popup UI and interactions
@@ -14,6 +47,7 @@ class PopupManager {
     this.currentVideoId = null;
     this.isLoadingSettings = true;
     this.selectedProvider = 'claude'; // Track selected provider
+    this.editingProfileChannel = null; // Channel shown in the profile editor
 
     // Services
     this.logger = logger.child('PopupManager');
@@ -35,9 +69,11 @@ class PopupManager {
         this.loadAPIKey(),
         this.loadSettings(),
         this.loadStats(),
+        this.loadPrecisionReport(),
         this.loadCacheInfo(),
         this.loadCurrentVideoInfo(),
-        this.loadDarkMode()
+        this.loadDarkMode(),
+        this.loadChannelProfiles()
       ]);
 
       // Setup event listeners
@@ -70,6 +106,17 @@ class PopupManager {
       document.getElementById('skip-donations').checked = settings.skipDonations;
       document.getElementById('skip-selfpromo').checked = settings.skipSelfPromo;
       document.getElementById('master-toggle').checked = settings.autoSkip;
+      document.getElementById('enable-hotkeys').checked = settings.enableHotkeys;
+      document.getElementById('replay-policy').value = settings.replayPolicy;
+      document.getElementById('notification-level').value = settings.notificationLevel;
+      document.getElementById('enable-preview').checked = settings.enablePreview;
+      document.getElementById('preview-lead-slider').value = settings.previewLeadTime;
+      document.getElementById('preview-lead-value').textContent = settings.previewLeadTime + 's';
+      this.renderHotkeyList();
+      document.querySelectorAll('.category-action').forEach(select => {
+        select.value = settings.categoryActions[select.dataset.setting];
+      });
+      this.renderCustomCategories(settings.customCategories);
 
       this.updateStatus(settings.autoSkip);
 
@@ -85,6 +132,158 @@ class PopupManager {
     }
   }
 
+  /**
+   * Render user-defined categories with toggle and remove button
+   * @param {Array<Object>} customCategories - Categories from Settings
+   */
+  renderCustomCategories(customCategories) {
+    const list = document.getElementById('custom-categories-list');
+    list.textContent = '';
+
+    customCategories.forEach(category => {
+      const item = document.createElement('div');
+      item.className = 'setting-item';
+
+      const label = document.createElement('div');
+      label.className = 'setting-label';
+
+      const swatch = document.createElement('span');
+      swatch.style.cssText = `width: 14px; height: 14px; border-radius: 50%; background: ${category.color}; flex-shrink: 0; margin: 0 5px;`;
+
+      const name = document.createElement('span');
+      name.textContent = category.name;
+      name.title = category.description;
+
+      label.append(swatch, name);
+
+      const controls = document.createElement('div');
+      controls.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+
+      const action = document.createElement('select');
+      action.style.cssText = "padding: 4px 8px; border-radius: 12px; border: 1px solid #ccc; background: #f9f9f9; font-size: 12px; cursor: pointer; font-family: 'Roboto', 'Arial', sans-serif;";
+      CONFIG.CATEGORY_ACTIONS.forEach(value => {
+        action.add(new Option(ACTION_LABELS[value], value, false, value === category.action));
+      });
+      action.addEventListener('change', () => this.updateCustomCategory(category.id, { action: action.value }));
+
+      const remove = document.createElement('button');
+      remove.className = 'whitelist-item-remove';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => this.removeCustomCategory(category.id));
+
+      const checkboxWrapper = document.createElement('div');
+      checkboxWrapper.className = 'checkbox-wrapper';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `custom-category-${category.id}`;
+      checkbox.checked = category.enabled;
+      checkbox.addEventListener('change', () => this.updateCustomCategory(category.id, { enabled: checkbox.checked }));
+
+      const checkboxLabel = document.createElement('label');
+      checkboxLabel.htmlFor = checkbox.id;
+
+      checkboxWrapper.append(checkbox, checkboxLabel);
+      controls.append(remove, action, checkboxWrapper);
+      item.append(label, controls);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * List in-page hotkeys
+   */
+  renderHotkeyList() {
+    const list = document.getElementById('hotkey-list');
+    list.textContent = '';
+
+    Object.entries(COMMAND_LABELS).forEach(([command, label]) => {
+      const row = document.createElement('div');
+      row.textContent = `${HOTKEYS[command].label} – ${label}`;
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Add user-defined category from the form
+   */
+  async addCustomCategory() {
+    try {
+      const nameInput = document.getElementById('custom-category-name');
+      const descriptionInput = document.getElementById('custom-category-description');
+      const name = nameInput.value.trim();
+      const description = descriptionInput.value.trim();
+
+      if (!name || !description) {
+        this.showToast('Enter a name and what to look for', 'warning');
+        return;
+      }
+
+      const settings = await this.storageService.getSettings();
+
+      if (settings.customCategories.length >= CONFIG.CUSTOM_CATEGORIES.MAX_COUNT) {
+        this.showToast(`At most ${CONFIG.CUSTOM_CATEGORIES.MAX_COUNT} custom categories`, 'warning');
+        return;
+      }
+
+      settings.addCustomCategory({
+        name,
+        description,
+        color: document.getElementById('custom-category-color').value,
+        action: document.getElementById('custom-category-action').value
+      });
+
+      const updated = await this.storageService.updateSettings({ customCategories: settings.customCategories });
+      this.renderCustomCategories(updated.customCategories);
+      this.sendMessageToContentScript('updateSettings', updated.toJSON());
+
+      nameInput.value = '';
+      descriptionInput.value = '';
+      this.showToast(`Category "${name}" added`, 'success');
+    } catch (error) {
+      this.logger.error('Failed to add custom category', { error: error.message });
+      this.showToast('Failed to add category', 'error');
+    }
+  }
+
+  /**
+   * Update user-defined category (enabled state or action)
+   * @param {string} id - Category id
+   * @param {Object} changes - Changed fields ({enabled} and/or {action})
+   */
+  async updateCustomCategory(id, changes) {
+    try {
+      const settings = await this.storageService.getSettings();
+      const customCategories = settings.customCategories.map(category =>
+        category.id === id ? { ...category, ...changes } : category
+      );
+
+      const updated = await this.storageService.updateSettings({ customCategories });
+      this.sendMessageToContentScript('updateSettings', updated.toJSON());
+    } catch (error) {
+      this.logger.error('Failed to update custom category', { error: error.message });
+      this.showToast('Failed to save settings', 'error');
+    }
+  }
+
+  /**
+   * Remove user-defined category
+   * @param {string} id - Category id
+   */
+  async removeCustomCategory(id) {
+    try {
+      const settings = await this.storageService.getSettings();
+      settings.removeCustomCategory(id);
+
+      const updated = await this.storageService.updateSettings({ customCategories: settings.customCategories });
+      this.renderCustomCategories(updated.customCategories);
+      this.sendMessageToContentScript('updateSettings', updated.toJSON());
+    } catch (error) {
+      this.logger.error('Failed to remove custom category', { error: error.message });
+      this.showToast('Failed to remove category', 'error');
+    }
+  }
+
   /**
    * Load advanced settings UI
    * @param {AdvancedSettings} advancedSettings - Advanced settings
@@ -106,6 +305,13 @@ class PopupManager {
     bufferSlider.value = advancedSettings.skipBuffer * 10;
     bufferValue.textContent = advancedSettings.skipBuffer.toFixed(1) + 's';
 
+    // Provider fallback chain
+    this.renderFallbackList(advancedSettings.providerFallbacks);
+
+    // Caption preferences
+    document.getElementById('caption-languages-input').value = advancedSettings.captionLanguages.join(', ');
+    document.getElementById('caption-track-kind').value = advancedSettings.captionTrackKind;
+
     // Whitelist count
     const whitelistCount = advancedSettings.getWhitelistCount();
     document.getElementById('whitelist-count').textContent =
@@ -119,6 +325,112 @@ class PopupManager {
     });
   }
 
+  /**
+   * Render provider fallback chain and the options to extend it
+   * @param {Array<Object>} fallbacks - Ordered fallback entries ({provider, model})
+   */
+  renderFallbackList(fallbacks) {
+    const list = document.getElementById('fallback-list');
+    const select = document.getElementById('fallback-select');
+    const modelOptions = Array.from(document.querySelectorAll('#ai-model option'));
+
+    list.textContent = '';
+
+    if (fallbacks.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 12px; color: #606060;';
+      empty.textContent = 'No fallback providers';
+      list.appendChild(empty);
+    }
+
+    fallbacks.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.className = 'whitelist-item';
+
+      const name = document.createElement('span');
+      name.className = 'whitelist-item-name';
+      name.textContent = `${index + 1}. ${this.getModelLabel(entry.provider, entry.model)}`;
+
+      const remove = document.createElement('button');
+      remove.className = 'whitelist-item-remove';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => this.removeFallback(index));
+
+      row.append(name, remove);
+      list.appendChild(row);
+    });
+
+    select.textContent = '';
+    modelOptions.forEach(option => {
+      const provider = option.getAttribute('data-provider');
+      const item = document.createElement('option');
+      item.value = `${provider}:${option.value}`;
+      item.textContent = this.getModelLabel(provider, option.value);
+      select.appendChild(item);
+    });
+  }
+
+  /**
+   * Get display label of a provider/model pair
+   * @param {string} provider - AI provider
+   * @param {string} model - Model key
+   * @returns {string}
+   */
+  getModelLabel(provider, model) {
+    const option = Array.from(document.querySelectorAll('#ai-model option'))
+      .find(o => o.value === model && o.getAttribute('data-provider') === provider);
+    return `${PROVIDER_LABELS[provider]} – ${option ? option.textContent.trim() : model}`;
+  }
+
+  /**
+   * Append selected provider/model to the fallback chain
+   */
+  async addFallback() {
+    try {
+      const [provider, model] = document.getElementById('fallback-select').value.split(':');
+      const current = await this.storageService.getAdvancedSettings();
+
+      if (current.providerFallbacks.length >= CONFIG.AI_FALLBACK.MAX_FALLBACKS) {
+        this.showToast(`At most ${CONFIG.AI_FALLBACK.MAX_FALLBACKS} fallback providers`, 'warning');
+        return;
+      }
+
+      if (current.providerFallbacks.some(f => f.provider === provider && f.model === model)) {
+        this.showToast('Already in fallback list', 'warning');
+        return;
+      }
+
+      const updated = current.merge({
+        providerFallbacks: [...current.providerFallbacks, { provider, model }]
+      });
+      await this.storageService.saveAdvancedSettings(updated);
+      this.renderFallbackList(updated.providerFallbacks);
+
+      this.showToast(`${PROVIDER_LABELS[provider]} added as fallback`, 'success');
+    } catch (error) {
+      this.logger.error('Failed to add fallback provider', { error: error.message });
+      this.showToast('Failed to add fallback provider', 'error');
+    }
+  }
+
+  /**
+   * Remove entry from the fallback chain
+   * @param {number} index - Entry index
+   */
+  async removeFallback(index) {
+    try {
+      const current = await this.storageService.getAdvancedSettings();
+      const updated = current.merge({
+        providerFallbacks: current.providerFallbacks.filter((_, i) => i !== index)
+      });
+      await this.storageService.saveAdvancedSettings(updated);
+      this.renderFallbackList(updated.providerFallbacks);
+    } catch (error) {
+      this.logger.error('Failed to remove fallback provider', { error: error.message });
+      this.showToast('Failed to remove fallback provider', 'error');
+    }
+  }
+
   /**
    * Load statistics
    */
@@ -140,6 +452,52 @@ class PopupManager {
     }
   }
 
+  /**
+   * Load detection precision per model and category (from segment feedback)
+   */
+  async loadPrecisionReport() {
+    try {
+      const [report, { customCategories }] = await Promise.all([
+        this.storageService.getPrecisionReport(),
+        this.storageService.getSettings()
+      ]);
+
+      const list = document.getElementById('precision-list');
+      list.textContent = '';
+
+      if (report.length === 0) {
+        const empty = document.createElement('div');
+        empty.style.cssText = 'font-size: 12px; color: #606060;';
+        empty.textContent = 'No detections yet';
+        list.appendChild(empty);
+        return;
+      }
+
+      report.forEach(entry => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; font-size: 12px;';
+
+        const name = document.createElement('span');
+        name.style.cssText = 'color: #0f0f0f; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        name.textContent = `${entry.model} · ${AIService.translateCategory(entry.category, customCategories)}`;
+
+        const value = document.createElement('span');
+        value.style.cssText = 'color: #606060; flex-shrink: 0;';
+        value.textContent = entry.precision === null
+          ? `${entry.rejected} wrong`
+          : `${Math.round(entry.precision * 100)}% (${entry.rejected} wrong of ${entry.detected})`;
+        value.title = `${entry.adjusted} marked too long`;
+
+        row.append(name, value);
+        list.appendChild(row);
+      });
+
+      this.logger.debug('Precision report loaded', { entries: report.length });
+    } catch (error) {
+      this.logger.error('Failed to load precision report', { error: error.message });
+    }
+  }
+
   /**
    * Load cache info
    */
@@ -167,12 +525,11 @@ class PopupManager {
       const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
       const tab = tabs[0];
 
-      if (!tab || !tab.url || !tab.url.includes('youtube.com/watch')) {
+      if (!tab || !isYouTubeWatchPage(tab.url)) {
         return;
       }
 
-      const url = new URL(tab.url);
-      this.currentVideoId = url.searchParams.get('v');
+      this.currentVideoId = extractVideoId(tab.url);
 
       if (this.currentVideoId) {
         const result = await this.storageService.getCachedAnalysis(this.currentVideoId);
@@ -182,7 +539,10 @@ class PopupManager {
           document.getElementById('current-video-title').textContent =
             tab.title.replace(' - YouTube', '');
 
-          const categories = result.segments.map(s => s.category).join(', ');
+          const { customCategories } = await this.storageService.getSettings();
+          const categories = result.segments
+            .map(s => AIService.translateCategory(s.category, customCategories))
+            .join(', ');
           document.getElementById('current-video-segments').textContent =
             `${result.segments.length} segments detected: ${categories}`;
 
@@ -225,7 +585,7 @@ class PopupManager {
       document.getElementById('ai-provider-select').value = this.selectedProvider;
 
       // Load both API keys
-      const data = await chrome.storage.local.get(['claudeApiKey', 'openaiApiKey', 'apiKey']);
+      const data = await chrome.storage.local.get(['claudeApiKey', 'openaiApiKey', 'localApiKey', 'apiKey']);
 
       // Handle legacy single API key (migrate to Claude)
       if (data.apiKey && !data.claudeApiKey) {
@@ -252,6 +612,12 @@ class PopupManager {
         this.updateAPIKeyStatus('openai', false);
       }
 
+      // Load local server configuration (API key is optional)
+      document.getElementById('local-endpoint-input').value = advancedSettings.localEndpoint;
+      document.getElementById('local-model-input').value = advancedSettings.localModel;
+      document.getElementById('local-api-key-input').value = data.localApiKey || '';
+      this.updateAPIKeyStatus('local', !!(advancedSettings.localEndpoint && advancedSettings.localModel));
+
       // Update UI for selected provider
       this.updateProviderUI();
 
@@ -259,12 +625,13 @@ class PopupManager {
       this.logger.error('Failed to load API keys', { error: error.message });
       this.updateAPIKeyStatus('claude', false);
       this.updateAPIKeyStatus('openai', false);
+      this.updateAPIKeyStatus('local', false);
     }
   }
 
   /**
    * Update API key status indicator for a specific provider
-   * @param {string} provider - Provider name ('claude' or 'openai')
+   * @param {string} provider - Provider name ('claude', 'openai' or 'local')
    * @param {boolean} isConfigured - Whether API key is configured
    */
   updateAPIKeyStatus(provider, isConfigured) {
@@ -306,6 +673,11 @@ class PopupManager {
    * @param {string} provider - Provider name
    */
   async saveAPIKey(provider) {
+    if (provider === 'local') {
+      await this.saveLocalProvider();
+      return;
+    }
+
     try {
       const inputId = `${provider}-api-key-input`;
       const apiKey = document.getElementById(inputId).value.trim();
@@ -335,7 +707,7 @@ class PopupManager {
 
           if (response && response.success) {
             this.updateAPIKeyStatus(provider, true);
-            this.showToast(`${provider === 'claude' ? 'Claude' : 'OpenAI'} API key saved!`, 'success');
+            this.showToast(`${PROVIDER_LABELS[provider]} API key saved!`, 'success');
             this.logger.info(`${provider} API key saved`);
           } else {
             this.showToast('Failed to update API key', 'error');
@@ -348,21 +720,83 @@ class PopupManager {
     }
   }
 
+  /**
+   * Save local server endpoint, model and optional API key
+   */
+  async saveLocalProvider() {
+    try {
+      const endpointInput = document.getElementById('local-endpoint-input').value.trim();
+      const localModel = document.getElementById('local-model-input').value.trim();
+      const apiKey = document.getElementById('local-api-key-input').value.trim();
+
+      let localEndpoint;
+      try {
+        localEndpoint = LocalProvider.normalizeEndpoint(endpointInput);
+        const url = new URL(localEndpoint);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          throw new Error('Unsupported protocol');
+        }
+      } catch (error) {
+        this.showToast('Invalid server URL (e.g. http://localhost:11434/v1)', 'error', 5000);
+        return;
+      }
+
+      if (!localModel) {
+        this.showToast('Enter the model name served by your local server', 'error', 5000);
+        return;
+      }
+
+      if (!this.validateAPIKey('local', apiKey)) {
+        this.showToast('Invalid API key format', 'error', 5000);
+        return;
+      }
+
+      // Servers other than localhost need an explicit host permission
+      const granted = await chrome.permissions.request({
+        origins: [`${new URL(localEndpoint).origin}/*`]
+      });
+
+      if (!granted) {
+        this.showToast('Permission to reach the server was denied', 'error', 5000);
+        return;
+      }
+
+      // Save endpoint and model to advanced settings, key alongside the other provider keys
+      const current = await this.storageService.getAdvancedSettings();
+      await this.storageService.saveAdvancedSettings(current.merge({ localEndpoint, localModel }));
+      await chrome.storage.local.set({ localApiKey: apiKey });
+
+      document.getElementById('local-endpoint-input').value = localEndpoint;
+
+      // Notify background service so it recreates the provider with the new endpoint
+      chrome.runtime.sendMessage(
+        { action: 'updateAPIKey', data: { provider: 'local', apiKey } },
+        (response) => {
+          if (chrome.runtime.lastError || !response?.success) {
+            this.showToast('Failed to update background service', 'error');
+            return;
+          }
+
+          this.updateAPIKeyStatus('local', true);
+          this.showToast('Local model server saved!', 'success');
+          this.logger.info('Local provider saved', { localEndpoint, localModel });
+        }
+      );
+    } catch (error) {
+      this.logger.error('Failed to save local provider', { error: error.message });
+      this.showToast('Failed to save local model server', 'error');
+    }
+  }
+
   /**
    * Update provider UI (show/hide sections and models)
    */
   updateProviderUI() {
     // Show/hide API key sections
-    const claudeSection = document.getElementById('claude-api-key-section');
-    const openaiSection = document.getElementById('openai-api-key-section');
-
-    if (this.selectedProvider === 'claude') {
-      claudeSection.style.display = 'flex';
-      openaiSection.style.display = 'none';
-    } else {
-      claudeSection.style.display = 'none';
-      openaiSection.style.display = 'flex';
-    }
+    Object.keys(PROVIDER_LABELS).forEach(provider => {
+      const section = document.getElementById(`${provider}-api-key-section`);
+      section.style.display = provider === this.selectedProvider ? 'flex' : 'none';
+    });
 
     // Update AI model options
     const modelSelect = document.getElementById('ai-model');
@@ -418,7 +852,7 @@ class PopupManager {
         }
       );
 
-      this.showToast(`Switched to ${newProvider === 'claude' ? 'Claude' : 'OpenAI'}`, 'success');
+      this.showToast(`Switched to ${PROVIDER_LABELS[newProvider]}`, 'success');
     } catch (error) {
       this.logger.error('Failed to change provider', { error: error.message });
       this.showToast('Failed to change provider', 'error');
@@ -482,6 +916,23 @@ class PopupManager {
       }
     });
 
+    // Local server management
+    document.getElementById('save-local-api-key-btn').addEventListener('click', () => {
+      this.saveAPIKey('local');
+    });
+
+    document.getElementById('toggle-local-api-key-visibility').addEventListener('click', () => {
+      this.toggleAPIKeyVisibility('local');
+    });
+
+    ['local-endpoint-input', 'local-model-input', 'local-api-key-input'].forEach(id => {
+      document.getElementById(id).addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.saveAPIKey('local');
+        }
+      });
+    });
+
     // Master toggle
     document.getElementById('master-toggle').addEventListener('change', (e) => {
       if (this.isLoadingSettings) return;
@@ -490,7 +941,7 @@ class PopupManager {
     });
 
     // Category checkboxes
-    ['skip-sponsors', 'skip-intros', 'skip-outros', 'skip-donations', 'skip-selfpromo']
+    ['skip-sponsors', 'skip-intros', 'skip-outros', 'skip-donations', 'skip-selfpromo', 'enable-hotkeys', 'replay-policy', 'enable-preview', 'notification-level']
       .forEach(id => {
         document.getElementById(id).addEventListener('change', () => {
           if (this.isLoadingSettings) return;
@@ -498,6 +949,14 @@ class PopupManager {
         });
       });
 
+    // Category actions
+    document.querySelectorAll('.category-action').forEach(select => {
+      select.addEventListener('change', () => {
+        if (this.isLoadingSettings) return;
+        this.saveSettings();
+      });
+    });
+
     // Advanced settings
     document.getElementById('confidence-slider').addEventListener('input', (e) => {
       if (this.isLoadingSettings) return;
@@ -511,11 +970,33 @@ class PopupManager {
       this.saveAdvancedSettings();
     });
 
+    ['caption-languages-input', 'caption-track-kind'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        if (this.isLoadingSettings) return;
+        this.saveAdvancedSettings();
+      });
+    });
+
+    document.getElementById('add-custom-category-btn').addEventListener('click', () => {
+      this.addCustomCategory();
+    });
+
+    document.getElementById('add-fallback-btn').addEventListener('click', () => {
+      this.addFallback();
+    });
+
     document.getElementById('buffer-slider').addEventListener('input', (e) => {
       if (this.isLoadingSettings) return;
       const value = e.target.value / 10;
       document.getElementById('buffer-value').textContent = value.toFixed(1) + 's';
       this.saveAdvancedSettings();
+      this.saveSettings();
+    });
+
+    document.getElementById('preview-lead-slider').addEventListener('input', (e) => {
+      if (this.isLoadingSettings) return;
+      document.getElementById('preview-lead-value').textContent = e.target.value + 's';
+      this.saveSettings();
     });
 
     // Buttons
@@ -535,6 +1016,10 @@ class PopupManager {
       this.clearAllCache();
     });
 
+    document.getElementById('shortcuts-btn').addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
     document.getElementById('whitelist-btn').addEventListener('click', () => {
       this.openWhitelistManager();
     });
@@ -565,6 +1050,25 @@ class PopupManager {
       }
     });
 
+    // Channel profiles
+    document.getElementById('edit-profile-btn').addEventListener('click', () => {
+      this.openProfileEditor(document.getElementById('profile-channel-input').value.trim());
+    });
+
+    document.getElementById('profile-channel-input').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.openProfileEditor(e.target.value.trim());
+      }
+    });
+
+    document.getElementById('save-profile-btn').addEventListener('click', () => {
+      this.saveProfileFromEditor();
+    });
+
+    document.getElementById('cancel-profile-btn').addEventListener('click', () => {
+      this.closeProfileEditor();
+    });
+
     // Footer links
     document.getElementById('help').addEventListener('click', (e) => {
       e.preventDefault();
@@ -608,6 +1112,11 @@ class PopupManager {
    */
   async saveSettings() {
     try {
+      const categoryActions = {};
+      document.querySelectorAll('.category-action').forEach(select => {
+        categoryActions[select.dataset.setting] = select.value;
+      });
+
       const settings = {
         skipSponsors: document.getElementById('skip-sponsors').checked,
         skipIntros: document.getElementById('skip-intros').checked,
@@ -615,8 +1124,13 @@ class PopupManager {
         skipDonations: document.getElementById('skip-donations').checked,
         skipSelfPromo: document.getElementById('skip-selfpromo').checked,
         autoSkip: document.getElementById('master-toggle').checked,
-        skipBuffer: 0.5,
-        enablePreview: true
+        enableHotkeys: document.getElementById('enable-hotkeys').checked,
+        replayPolicy: document.getElementById('replay-policy').value,
+        notificationLevel: document.getElementById('notification-level').value,
+        categoryActions,
+        skipBuffer: parseFloat(document.getElementById('buffer-slider').value) / 10,
+        enablePreview: document.getElementById('enable-preview').checked,
+        previewLeadTime: parseInt(document.getElementById('preview-lead-slider').value, 10)
       };
 
       await this.storageService.updateSettings(settings);
@@ -636,19 +1150,25 @@ class PopupManager {
    */
   async saveAdvancedSettings() {
     try {
-      // Get current whitelist first
+      // Merge into current settings to preserve provider, local server and whitelist
       const current = await this.storageService.getAdvancedSettings();
 
       const advSettings = {
         confidenceThreshold: parseFloat(document.getElementById('confidence-slider').value) / 100,
         aiModel: document.getElementById('ai-model').value,
         skipBuffer: parseFloat(document.getElementById('buffer-slider').value) / 10,
-        channelWhitelist: current.channelWhitelist // Preserve whitelist
+        captionLanguages: document.getElementById('caption-languages-input').value
+          .split(',')
+          .map(code => code.trim())
+          .filter(code => code.length > 0),
+        captionTrackKind: document.getElementById('caption-track-kind').value
       };
 
-      await this.storageService.saveAdvancedSettings(
-        AdvancedSettings.fromJSON(advSettings)
-      );
+      const updated = current.merge(advSettings);
+      await this.storageService.saveAdvancedSettings(updated);
+
+      // Show the list as stored (invalid codes are dropped)
+      document.getElementById('caption-languages-input').value = updated.captionLanguages.join(', ');
 
       // Notify content script
       this.sendMessageToContentScript('updateAdvancedSettings', advSettings);
@@ -747,7 +1267,7 @@ class PopupManager {
 
     // Try to get current channel
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tabs[0] && tabs[0].url && tabs[0].url.includes('youtube.com/watch')) {
+    if (tabs[0] && isYouTubeWatchPage(tabs[0].url)) {
       chrome.tabs.sendMessage(tabs[0].id, { action: 'getCurrentChannel' }, (response) => {
         if (response && response.channelName) {
           const currentChannelInfo = document.getElementById('current-channel-info');
@@ -758,6 +1278,11 @@ class PopupManager {
           document.getElementById('add-current-channel-btn').onclick = () => {
             this.addChannelToWhitelist(response.channelName);
           };
+
+          // Profiles match the channel URL (handle or ID), not the display name
+          document.getElementById('edit-current-profile-btn').onclick = () => {
+            this.openProfileEditor(response.channelId || response.channelName);
+          };
         }
       });
     }
@@ -768,6 +1293,7 @@ class PopupManager {
    */
   closeWhitelistModal() {
     document.getElementById('whitelist-modal').classList.remove('active');
+    this.closeProfileEditor();
   }
 
   /**
@@ -846,6 +1372,194 @@ class PopupManager {
       this.showToast('Failed to remove channel', 'error');
     }
   }
+  /**
+   * Load channel profiles list and count
+   */
+  async loadChannelProfiles() {
+    try {
+      const profiles = await this.storageService.getChannelProfiles();
+      const list = document.getElementById('profile-list');
+
+      document.getElementById('profile-count').textContent =
+        profiles.length === 1 ? '1 channel profile' : `${profiles.length} channel profiles`;
+
+      list.textContent = '';
+
+      if (profiles.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-state';
+        empty.textContent = 'No channel profiles. All channels use the global settings.';
+        list.appendChild(empty);
+        return;
+      }
+
+      profiles.forEach(profile => {
+        const row = document.createElement('div');
+        row.className = 'whitelist-item';
+        row.style.cursor = 'pointer';
+        row.title = 'Edit profile';
+        row.addEventListener('click', () => this.openProfileEditor(profile.channelId));
+
+        const name = document.createElement('span');
+        name.className = 'whitelist-item-name';
+        name.textContent = profile.channelId;
+
+        const count = profile.getOverriddenKeys().length;
+        const summary = document.createElement('span');
+        summary.style.cssText = 'flex: 1; margin-left: 8px; font-size: 12px; color: #909090;';
+        summary.textContent = count === 1 ? '1 override' : `${count} overrides`;
+
+        const remove = document.createElement('button');
+        remove.className = 'whitelist-item-remove';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.removeChannelProfile(profile.channelId);
+        });
+
+        row.append(name, summary, remove);
+        list.appendChild(row);
+      });
+    } catch (error) {
+      this.logger.error('Failed to load channel profiles', { error: error.message });
+    }
+  }
+
+  /**
+   * Open editor with the profile of a channel (empty when the channel has none)
+   * @param {string} channelId - Channel ID or handle
+   */
+  async openProfileEditor(channelId) {
+    if (!channelId) {
+      this.showToast('Enter a valid channel name', 'warning');
+      return;
+    }
+
+    try {
+      const profile = await this.storageService.getChannelProfile(channelId);
+      const overrides = profile ? profile.overrides : {};
+
+      this.editingProfileChannel = profile ? profile.channelId : channelId;
+      document.getElementById('profile-editor-title').textContent = `📺 ${this.editingProfileChannel}`;
+
+      // Category select combines the enabled toggle and the action
+      document.querySelectorAll('.profile-category').forEach(select => {
+        const key = select.dataset.setting;
+        if (overrides[key] === false) {
+          select.value = 'off';
+        } else if (overrides[key] === true) {
+          select.value = overrides.categoryActions?.[key] || 'skip';
+        } else {
+          select.value = overrides.categoryActions?.[key] || '';
+        }
+      });
+
+      document.getElementById('profile-confidence').value = overrides.confidenceThreshold ?? '';
+      document.getElementById('profile-buffer').value = overrides.skipBuffer ?? '';
+
+      const modelSelect = document.getElementById('profile-model');
+      modelSelect.textContent = '';
+      modelSelect.add(new Option('Default', ''));
+      document.querySelectorAll('#ai-model option').forEach(option => {
+        const provider = option.getAttribute('data-provider');
+        modelSelect.add(new Option(this.getModelLabel(provider, option.value), `${provider}:${option.value}`));
+      });
+      modelSelect.value = overrides.aiProvider ? `${overrides.aiProvider}:${overrides.aiModel}` : '';
+
+      document.getElementById('profile-editor').style.display = 'block';
+    } catch (error) {
+      this.logger.error('Failed to open channel profile', { error: error.message });
+      this.showToast('Failed to load profile', 'error');
+    }
+  }
+
+  /**
+   * Close profile editor without saving
+   */
+  closeProfileEditor() {
+    document.getElementById('profile-editor').style.display = 'none';
+    this.editingProfileChannel = null;
+  }
+
+  /**
+   * Save profile from the editor fields ("Default" fields are not overridden)
+   */
+  async saveProfileFromEditor() {
+    const channelId = this.editingProfileChannel;
+    if (!channelId) return;
+
+    try {
+      const overrides = {};
+      const categoryActions = {};
+
+      document.querySelectorAll('.profile-category').forEach(select => {
+        const key = select.dataset.setting;
+        if (select.value === 'off') {
+          overrides[key] = false;
+        } else if (select.value) {
+          overrides[key] = true;
+          categoryActions[key] = select.value;
+        }
+      });
+
+      if (Object.keys(categoryActions).length > 0) {
+        overrides.categoryActions = categoryActions;
+      }
+
+      const confidence = document.getElementById('profile-confidence').value;
+      if (confidence !== '') {
+        overrides.confidenceThreshold = parseFloat(confidence);
+      }
+
+      const buffer = document.getElementById('profile-buffer').value;
+      if (buffer !== '') {
+        overrides.skipBuffer = parseFloat(buffer);
+      }
+
+      const model = document.getElementById('profile-model').value;
+      if (model) {
+        [overrides.aiProvider, overrides.aiModel] = model.split(':');
+      }
+
+      const profile = new ChannelProfile({ channelId, overrides });
+      await this.storageService.saveChannelProfile(profile);
+
+      this.closeProfileEditor();
+      await this.loadChannelProfiles();
+      this.sendMessageToContentScript('updateSettings');
+
+      this.showToast(
+        profile.isEmpty() ? `Profile for "${channelId}" removed` : `Profile for "${channelId}" saved`,
+        'success'
+      );
+    } catch (error) {
+      this.logger.error('Failed to save channel profile', { error: error.message });
+      this.showToast(`Failed to save profile: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Remove profile of a channel
+   * @param {string} channelId - Channel ID or handle
+   */
+  async removeChannelProfile(channelId) {
+    try {
+      await this.storageService.removeChannelProfile(channelId);
+
+      if (this.editingProfileChannel === channelId) {
+        this.closeProfileEditor();
+      }
+
+      await this.loadChannelProfiles();
+      this.sendMessageToContentScript('updateSettings');
+
+      this.showToast(`Profile for "${channelId}" removed`, 'info');
+    } catch (error) {
+      this.logger.error('Failed to remove channel profile', { error: error.message });
+      this.showToast('Failed to remove profile', 'error');
+    }
+  }
+
 
   /**
    * Toggle dark mode
@@ -875,7 +1589,7 @@ class PopupManager {
    */
   sendMessageToContentScript(action, data = {}) {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0] && tabs[0].url && tabs[0].url.includes('youtube.com/watch')) {
+      if (tabs[0] && isYouTubeWatchPage(tabs[0].url)) {
         chrome.tabs.sendMessage(tabs[0].id, { action, ...data }, (response) => {
           if (chrome.runtime.lastError) {
             this.logger.debug('Content script not available', {
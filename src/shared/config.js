@@ -21,9 +21,74 @@ export const CONFIG = {
         GPT_4O_MINI: 'gpt-4o-mini',
         GPT_4_TURBO: 'gpt-4-turbo'
       }
+    },
+    LOCAL: {
+      NAME: 'local',
+      ENDPOINT: 'http://localhost:11434/v1/chat/completions', // Ollama default
+      TIMEOUT: 180000, // Local models on consumer hardware can be slow
+      DEFAULT_MODEL: 'llama3.1'
+    },
+    HEURISTIC: {
+      NAME: 'heuristic', // Offline phrase rules, also the last-resort fallback
+      TIMEOUT: 5000,
+      DEFAULT_MODEL: 'rules',
+      // Highest threshold applied to rule results: a single clear cue scores 0.6-0.9,
+      // below the threshold meant for AI confidences
+      CONFIDENCE_THRESHOLD: 0.6
     }
   },
 
+  // User-defined skip categories
+  CUSTOM_CATEGORIES: {
+    MAX_COUNT: 10,
+    MAX_NAME_LENGTH: 40,
+    MAX_DESCRIPTION_LENGTH: 200,
+    ID_PREFIX: 'custom_', // Category name sent to the AI is ID_PREFIX + slug of the display name
+    DEFAULT_COLOR: '#3EA6FF'
+  },
+
+  // What happens when playback reaches a segment:
+  // 'skip' jumps over it, 'prompt' offers a Skip button, 'mute' silences it, 'mark' only shows it on the timeline
+  CATEGORY_ACTIONS: ['skip', 'prompt', 'mute', 'mark'],
+
+  // What happens to segments already passed when the user seeks back:
+  // 'once' plays skipped segments, 'always' skips them again, 'never' acts on nothing before the furthest point reached
+  REPLAY_POLICIES: ['once', 'always', 'never'],
+
+  // In-page notifications shown: 'all', 'skips' (skip, mute and undo events only) or 'silent'
+  NOTIFICATION_LEVELS: ['all', 'skips', 'silent'],
+
+  // Caption track selection
+  CAPTIONS: {
+    MAX_LANGUAGES: 10,
+    TRACK_KINDS: ['manual', 'asr']
+  },
+
+  // Per-channel overrides of settings and advanced settings
+  CHANNEL_PROFILES: {
+    MAX_COUNT: 50,
+    MAX_CHANNEL_ID_LENGTH: 100,
+    OVERRIDABLE: [
+      'skipSponsors',
+      'skipIntros',
+      'skipOutros',
+      'skipDonations',
+      'skipSelfPromo',
+      'categoryActions',
+      'skipBuffer',
+      'confidenceThreshold',
+      'aiProvider',
+      'aiModel'
+    ]
+  },
+
+  // Provider fallback chain (used when the primary provider is overloaded or times out)
+  AI_FALLBACK: {
+    MAX_FALLBACKS: 3,
+    RETRIES_PER_PROVIDER: 2,
+    RETRY_BASE_DELAY_MS: 1000
+  },
+
   // Legacy API Configuration (for backwards compatibility)
   API: {
     ENDPOINT: 'https://api.anthropic.com/v1/messages',
@@ -36,6 +101,14 @@ export const CONFIG = {
     MAX_TOKENS: 1000
   },
 
+  // Long transcript analysis (chunking)
+  ANALYSIS: {
+    CHUNK_THRESHOLD_SECONDS: 2700, // Transcripts longer than 45 minutes are chunked
+    CHUNK_WINDOW_SECONDS: 1800,
+    CHUNK_OVERLAP_SECONDS: 60,
+    CHUNK_MERGE_GAP_SECONDS: 2
+  },
+
   // Transcript extraction settings
   TRANSCRIPT: {
     RETRY_COUNT: 10,
@@ -60,10 +133,33 @@ export const CONFIG = {
   // UI settings
   UI: {
     NOTIFICATION_DURATION_MS: 3000,
+    UNDO_NOTIFICATION_DURATION_MS: 6000, // Skip notification with Undo button stays longer
+    PREVIEW_LEAD_TIME_MIN: 1, // Seconds the skip preview may appear before the skip
+    PREVIEW_LEAD_TIME_MAX: 10,
+    PREVIEW_COUNTDOWN_INTERVAL_MS: 100,
+    MAX_VISIBLE_NOTIFICATIONS: 3, // Further notifications wait for a free slot
     TOAST_DURATION_MS: 3000,
     SEGMENT_MARKER_OPACITY: 0.6,
     SEGMENT_MARKER_HOVER_OPACITY: 0.9,
-    TOOLTIP_MAX_WIDTH: 300
+    DISABLED_MARKER_OPACITY: 0.25, // Segments disabled from the segment panel
+    TOOLTIP_MAX_WIDTH: 300,
+    TOOLTIP_HIDE_DELAY_MS: 300 // Time to move the pointer from a marker onto its tooltip buttons
+  },
+
+  // Manual segment editor
+  EDITOR: {
+    NEW_SEGMENT_DURATION: 10, // Seconds covered by a segment added at the playback position
+    MIN_SEGMENT_DURATION: 1, // Drag handles stop this far from the opposite edge
+    HANDLE_WIDTH_PX: 8
+  },
+
+  // Segment feedback
+  FEEDBACK: {
+    MIN_DETECTIONS: 5, // Detections of a category before its precision changes the threshold
+    MAX_CONFIDENCE_ADJUSTMENT: 0.1, // Threshold increase for a category rejected every time
+    CHANNEL_REJECTION_STEP: 0.02, // Threshold increase per rejection on the same channel
+    MAX_VIDEOS: 500, // Videos whose feedback is kept to suppress segments
+    MIN_REJECTION_OVERLAP: 0.5 // Share of the shorter of a rejection and a detection they must overlap to suppress it
   },
 
   // Default settings
@@ -76,12 +172,30 @@ export const CONFIG = {
       skipSelfPromo: true,
       skipBuffer: 0.5,
       enablePreview: true,
-      autoSkip: true
+      previewLeadTime: 3, // Seconds the countdown is shown before an auto-skip
+      enableHotkeys: true, // In-page Alt+Shift hotkeys (chrome.commands shortcuts work regardless)
+      autoSkip: true,
+      replayPolicy: 'once',
+      notificationLevel: 'all',
+      // Action per built-in category, keyed by its toggle
+      categoryActions: {
+        skipSponsors: 'skip',
+        skipIntros: 'skip',
+        skipOutros: 'skip',
+        skipDonations: 'skip',
+        skipSelfPromo: 'skip'
+      },
+      customCategories: [] // [{ id, name, description, color, action, enabled }]
     },
     ADVANCED_SETTINGS: {
       confidenceThreshold: 0.85,
-      aiProvider: 'claude', // 'claude' or 'openai'
+      aiProvider: 'claude', // 'claude', 'openai' or 'local'
       aiModel: 'haiku',
+      localEndpoint: 'http://localhost:11434/v1/chat/completions',
+      localModel: 'llama3.1',
+      providerFallbacks: [], // Ordered [{ provider, model }] tried after the primary provider
+      captionLanguages: [], // Preferred caption languages in order (empty = spoken language)
+      captionTrackKind: 'manual', // Preferred track kind: 'manual' or 'asr' (auto-generated)
       skipBuffer: 0.5,
       channelWhitelist: []
     }
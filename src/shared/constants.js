@@ -11,6 +11,19 @@ export const CATEGORIES = {
   MERCHANDISE: 'Merchandise'
 };
 
+// Who produced a segment: hand-made segments survive re-analysis
+export const SEGMENT_SOURCES = {
+  AI: 'ai',
+  USER: 'user'
+};
+
+// Feedback on a detected segment
+export const FEEDBACK_TYPES = {
+  NOT_SKIPPABLE: 'not-skippable', // Thumbs down: nothing to skip there
+  WRONG_CATEGORY: 'wrong-category',
+  TOO_LONG: 'too-long'
+};
+
 // Category color scheme for visual markers
 export const CATEGORY_COLORS = {
   [CATEGORIES.SPONSOR]: '#FF0000',           // Red
@@ -43,18 +56,82 @@ export const CATEGORY_TRANSLATIONS = {
 };
 
 // DOM Selectors
+// Arrays are fallback lists tried in order by SelectorRegistry: when YouTube changes
+// its markup, add the new selector in front instead of changing code
 export const SELECTORS = {
   VIDEO: 'video',
+  PLAYER: [
+    '#movie_player',
+    '.html5-video-player'
+  ],
+  // Main video inside PLAYER (feed hover previews use other <video> elements)
+  PLAYER_VIDEO: [
+    'video.html5-main-video',
+    'video'
+  ],
+  // Shorts keep one renderer per short, only the visible one is [is-active]
+  SHORTS_PLAYER: [
+    'ytd-reel-video-renderer[is-active] #shorts-player',
+    '#shorts-player'
+  ],
   PROGRESS_BAR: '.ytp-progress-bar',
+  // Watch page column next to the player (recommendations), hosts the segment panel
+  WATCH_SECONDARY: [
+    '#secondary-inner',
+    '#secondary'
+  ],
   CHANNEL_NAME: 'ytd-channel-name a',
+  SHORTS_CHANNEL_NAME: [
+    'ytd-reel-video-renderer[is-active] ytd-channel-name a',
+    'ytd-reel-video-renderer[is-active] .ytReelChannelBarViewModelChannelName a',
+    'ytd-reel-video-renderer[is-active] a[href^="/@"]'
+  ],
+  // Embedded player title bar (the title links to the current video, also inside playlists)
+  EMBED_CHANNEL_NAME: [
+    'a.ytp-title-channel-logo',
+    '.ytp-title-expanded-title a'
+  ],
   VIDEO_TITLE: 'h1.ytd-watch-metadata yt-formatted-string',
+  EMBED_TITLE: [
+    'a.ytp-title-link',
+    '.ytp-title-text a'
+  ],
+  SHORTS_TITLE: [
+    'ytd-reel-video-renderer[is-active] h2.title yt-formatted-string',
+    'ytd-reel-video-renderer[is-active] .ytShortsVideoTitleViewModelShortsVideoTitle',
+    'ytd-reel-video-renderer[is-active] h2'
+  ],
   TRANSCRIPT_PANEL: [
     'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-searchable-transcript"]',
-    'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-transcript"]'
-  ].join(','),
-  TRANSCRIPT_SEGMENTS: 'ytd-transcript-segment-renderer',
-  SEGMENT_TIMESTAMP: '.segment-timestamp, [class*="timestamp"]',
-  SEGMENT_TEXT: '.segment-text, [class*="segment-text"], [class*="cue-text"]'
+    'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-transcript"]',
+    'ytd-engagement-panel-section-list-renderer[target-id*="transcript"]'
+  ],
+  // "Show transcript" button of the description (opens the transcript engagement panel)
+  TRANSCRIPT_BUTTON: [
+    'ytd-video-description-transcript-section-renderer #primary-button button',
+    'ytd-video-description-transcript-section-renderer button',
+    'ytd-video-description-transcript-section-renderer [role="button"]'
+  ],
+  TRANSCRIPT_SEGMENTS: [
+    'ytd-transcript-segment-renderer',
+    'transcript-segment-view-model'
+  ],
+  SEGMENT_TIMESTAMP: [
+    '.segment-timestamp',
+    '[class*="timestamp"]'
+  ],
+  SEGMENT_TEXT: [
+    '.segment-text',
+    '[class*="segment-text"]',
+    '[class*="cue-text"]'
+  ]
+};
+
+// SELECTORS keys for each player mode (see YOUTUBE.PLAYER_MODES)
+export const MODE_SELECTORS = {
+  watch: { player: 'PLAYER', channel: 'CHANNEL_NAME', title: 'VIDEO_TITLE' },
+  shorts: { player: 'SHORTS_PLAYER', channel: 'SHORTS_CHANNEL_NAME', title: 'SHORTS_TITLE' },
+  embed: { player: 'PLAYER', channel: 'EMBED_CHANNEL_NAME', title: 'EMBED_TITLE' }
 };
 
 // Message actions for chrome.runtime messaging
@@ -63,7 +140,35 @@ export const MESSAGE_ACTIONS = {
   UPDATE_SETTINGS: 'updateSettings',
   UPDATE_ADVANCED_SETTINGS: 'updateAdvancedSettings',
   MANUAL_ANALYZE: 'manualAnalyze',
-  GET_CURRENT_CHANNEL: 'getCurrentChannel'
+  GET_CURRENT_CHANNEL: 'getCurrentChannel',
+  RUN_COMMAND: 'runCommand'
+};
+
+// Skip control commands (names match "commands" in manifest.json)
+export const COMMANDS = {
+  SKIP_SEGMENT: 'skip-segment',
+  UNDO_SKIP: 'undo-skip',
+  NEXT_SEGMENT: 'next-segment',
+  PREVIOUS_SEGMENT: 'previous-segment',
+  TOGGLE_AUTO_SKIP: 'toggle-auto-skip',
+  REANALYZE: 'reanalyze',
+  TOGGLE_EDIT_MODE: 'toggle-edit-mode',
+  MARK_SEGMENT_START: 'mark-segment-start',
+  MARK_SEGMENT_END: 'mark-segment-end'
+};
+
+// In-page hotkeys for COMMANDS (Alt+Shift combinations are unused by YouTube's player);
+// keys are KeyboardEvent.code so they work on any keyboard layout
+export const HOTKEYS = {
+  [COMMANDS.SKIP_SEGMENT]: { code: 'KeyS', altKey: true, shiftKey: true, label: 'Alt+Shift+S' },
+  [COMMANDS.UNDO_SKIP]: { code: 'KeyZ', altKey: true, shiftKey: true, label: 'Alt+Shift+Z' },
+  [COMMANDS.NEXT_SEGMENT]: { code: 'Period', altKey: true, shiftKey: true, label: 'Alt+Shift+.' },
+  [COMMANDS.PREVIOUS_SEGMENT]: { code: 'Comma', altKey: true, shiftKey: true, label: 'Alt+Shift+,' },
+  [COMMANDS.TOGGLE_AUTO_SKIP]: { code: 'KeyA', altKey: true, shiftKey: true, label: 'Alt+Shift+A' },
+  [COMMANDS.REANALYZE]: { code: 'KeyR', altKey: true, shiftKey: true, label: 'Alt+Shift+R' },
+  [COMMANDS.TOGGLE_EDIT_MODE]: { code: 'KeyE', altKey: true, shiftKey: true, label: 'Alt+Shift+E' },
+  [COMMANDS.MARK_SEGMENT_START]: { code: 'BracketLeft', altKey: true, shiftKey: true, label: 'Alt+Shift+[' },
+  [COMMANDS.MARK_SEGMENT_END]: { code: 'BracketRight', altKey: true, shiftKey: true, label: 'Alt+Shift+]' }
 };
 
 // Notification types
@@ -74,6 +179,13 @@ export const NOTIFICATION_TYPES = {
   ERROR: 'error'
 };
 
+// Notification channels: analysis progress replaces itself, skip events and command feedback stack
+export const NOTIFICATION_CHANNELS = {
+  ANALYSIS: 'analysis',
+  SKIP: 'skip',
+  GENERAL: 'general'
+};
+
 // Notification colors
 export const NOTIFICATION_COLORS = {
   [NOTIFICATION_TYPES.INFO]: '#3498db',
@@ -85,8 +197,10 @@ export const NOTIFICATION_COLORS = {
 // CSS class names
 export const CSS_CLASSES = {
   SEGMENT_MARKER: 'yss-segment-marker',
+  SEGMENT_HANDLE: 'yss-segment-handle',
   SEGMENT_TOOLTIP: 'yss-segment-tooltip',
   SKIP_PREVIEW: 'yss-skip-preview',
+  SHORTS_TIMELINE: 'yss-shorts-timeline',
   NOTIFICATION: 'yss-notification'
 };
 
@@ -95,17 +209,62 @@ export const STORAGE_KEYS = {
   SETTINGS: 'settings',
   ADVANCED_SETTINGS: 'advancedSettings',
   STATS: 'stats',
-  DARK_MODE: 'darkMode'
+  DARK_MODE: 'darkMode',
+  SEGMENT_PANEL_COLLAPSED: 'segmentPanelCollapsed'
 };
 
 // YouTube-specific constants
 export const YOUTUBE = {
-  URL_PATTERN: /youtube\.com\/watch/,
+  TRANSCRIPT_PANEL_VISIBILITY: {
+    HIDDEN: 'ENGAGEMENT_PANEL_VISIBILITY_HIDDEN',
+    EXPANDED: 'ENGAGEMENT_PANEL_VISIBILITY_EXPANDED'
+  },
+  URL_PATTERN: /youtube\.com\/(watch\?|shorts\/)/,
+  // Shorts and embeds carry the video ID in the path instead of the v param
+  SHORTS_PATH_PATTERN: /^\/shorts\/([\w-]+)/,
+  EMBED_PATH_PATTERN: /^\/embed\/([\w-]+)/,
+  // Player classes while an ad plays in the content <video>
+  AD_CLASSES: ['ad-showing', 'ad-interrupting'],
+  // Path ID of embedded playlists (/embed/videoseries?list=...)
+  EMBED_PLAYLIST_ID: 'videoseries',
+  PLAYER_MODES: {
+    WATCH: 'watch',
+    SHORTS: 'shorts',
+    EMBED: 'embed'
+  },
+  // SPA navigation events dispatched on document by YouTube
+  NAVIGATION_EVENTS: {
+    START: 'yt-navigate-start',
+    FINISH: ['yt-navigate-finish', 'yt-page-data-updated']
+  },
+  // The player may be attached after navigation finishes
+  PLAYER_WAIT: {
+    RETRY_MS: 250,
+    MAX_ATTEMPTS: 40
+  },
   VIDEO_ID_PARAM: 'v',
-  TRANSCRIPT_BUTTON_TEXT: ['trascrizione', 'transcript'],
+  // Lowercase substrings of the "Show transcript" label, last resort when structural detection fails
+  TRANSCRIPT_BUTTON_TEXT: [
+    'transcript', 'trascrizione', 'transcripción', 'transcription', 'transkript',
+    'transcrição', 'transkrypcj', 'расшифровк', 'текст видео', '文字起こし', '스크립트', '转写文稿'
+  ],
   MESSAGE_TYPE: 'YSS_TRANSCRIPT'
 };
 
+// Page-world bridge protocol (window.postMessage between content script and page script)
+export const BRIDGE = {
+  SOURCE_CONTENT: 'yss-content',
+  SOURCE_PAGE: 'yss-page',
+  TIMEOUT_MS: 8000,
+  // Player calls answer at once, past this the element is driven directly
+  PLAYER_TIMEOUT_MS: 300,
+  ACTIONS: {
+    GET_CAPTION_TRACK: 'getCaptionTrack',
+    SEEK_TO: 'seekTo',
+    GET_PLAYER_STATE: 'getPlayerState'
+  }
+};
+
 // Error messages
 export const ERROR_MESSAGES = {
   API_KEY_NOT_CONFIGURED: 'API Key not configured. Insert your Claude/OpenAI API key in background.js line 5',
@@ -44,6 +44,29 @@ export class APIError extends BaseError {
   }
 }
 
+/**
+ * APIConnectionError - Server could not be reached (down, wrong URL or origin blocked)
+ * Another provider may well be reachable, so the analysis can move on to it
+ */
+export class APIConnectionError extends APIError {
+  constructor(message, responseData = null) {
+    super(message, 0, responseData);
+    this.code = 'API_CONNECTION_ERROR';
+  }
+
+  isRetryable() {
+    return true;
+  }
+
+  getUserMessage() {
+    return 'Unable to reach the AI server. Please check that it is running.';
+  }
+
+  getSeverity() {
+    return 'warning';
+  }
+}
+
 /**
  * APIKeyError - API key configuration errors
  */
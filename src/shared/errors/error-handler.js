@@ -117,9 +117,10 @@ export class ErrorHandler {
    * @param {Function} fn - Async function
    * @param {number} maxRetries - Max retry attempts
    * @param {number} baseDelay - Base delay in ms
+   * @param {Function} shouldRetry - Called with the handled error, retries when true (defaults to isRetryable)
    * @returns {Promise}
    */
-  async retry(fn, maxRetries = 3, baseDelay = 1000) {
+  async retry(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = error => error.isRetryable()) {
     let lastError;
 
     for (let i = 0; i < maxRetries; i++) {
@@ -129,7 +130,7 @@ export class ErrorHandler {
         lastError = this.handle(error, { attempt: i + 1, maxRetries });
 
         // Only retry if error is retryable
-        if (!lastError.isRetryable() || i === maxRetries - 1) {
+        if (!shouldRetry(lastError) || i === maxRetries - 1) {
           throw lastError;
         }
 
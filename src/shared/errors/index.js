@@ -1,7 +1,7 @@
 // index.js - Error module exports
 
 export { BaseError } from './base-error.js';
-export { APIError, APIKeyError, APITimeoutError, APIParseError } from './api-error.js';
+export { APIError, APIConnectionError, APIKeyError, APITimeoutError, APIParseError } from './api-error.js';
 export { StorageError, StorageQuotaError, CacheError } from './storage-error.js';
 export { ValidationError, SegmentValidationError, SettingsValidationError, TranscriptValidationError } from './validation-error.js';
 export { TranscriptError, TranscriptNotAvailableError, TranscriptExtractionError, TranscriptParseError } from './transcript-error.js';
@@ -105,6 +105,36 @@ export class AnalysisResult {
     return new AnalysisResult(this.videoId, merged, this.metadata);
   }
 
+  /**
+   * Get segments added or edited by the user
+   * @returns {Array<Segment>}
+   */
+  getUserSegments() {
+    return this.segments.filter(segment => segment.isUserDefined());
+  }
+
+  /**
+   * Add user segments, replacing the detected segments they overlap
+   * @param {Array<Segment>} userSegments - Segments added or edited by the user
+   * @returns {AnalysisResult}
+   */
+  withUserSegments(userSegments) {
+    if (userSegments.length === 0) return this;
+
+    const detected = this.segments.filter(segment =>
+      !segment.isUserDefined() && !userSegments.some(userSegment => userSegment.overlaps(segment)));
+
+    return new AnalysisResult(this.videoId, Segment.sort([...detected, ...userSegments]), this.metadata);
+  }
+
+  /**
+   * Check if the video still has to be analyzed (only user segments are stored)
+   * @returns {boolean}
+   */
+  needsAnalysis() {
+    return !!this.metadata.needsAnalysis;
+  }
+
   /**
    * Get segments for enabled categories
    * @param {Settings} settings - User settings
@@ -112,7 +142,7 @@ export class AnalysisResult {
    */
   getEnabledSegments(settings) {
     return this.segments.filter(segment => {
-      return settings.shouldSkipCategory(segment.category);
+      return settings.isCategoryEnabled(segment.category);
     });
   }
 
@@ -206,19 +236,33 @@ export class AnalysisResult {
     });
   }
 
+  /**
+   * Create a result holding only user segments, waiting for an analysis
+   * @param {string} videoId - Video ID
+   * @param {Array<Segment>} userSegments - Segments added or edited by the user
+   * @returns {AnalysisResult}
+   */
+  static createUserOnly(videoId, userSegments) {
+    return new AnalysisResult(videoId, Segment.sort([...userSegments]), {
+      model: 'user',
+      needsAnalysis: true
+    });
+  }
+
   /**
    * Merge multiple results
    * @param {Array<AnalysisResult>} results - Results to merge
+   * @param {number} tolerance - Gap in seconds bridged between same-category segments
    * @returns {AnalysisResult}
    */
-  static merge(results) {
+  static merge(results, tolerance = 0) {
     if (results.length === 0) {
       throw new Error('Cannot merge empty results array');
     }
 
     const first = results[0];
     const allSegments = results.flatMap(r => r.segments);
-    const merged = Segment.mergeOverlapping(allSegments);
+    const merged = Segment.mergeOverlapping(allSegments, tolerance);
 
     return new AnalysisResult(first.videoId, merged, {
       merged: true,
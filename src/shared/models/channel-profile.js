@@ -0,0 +1,140 @@
+// channel-profile.js - Per-channel settings profile domain model
+
+import { SettingsValidator } from '../validators/index.js';
+
+// Overrides applied to Settings / AdvancedSettings (skipBuffer lives in both)
+const SETTINGS_KEYS = [
+  'skipSponsors',
+  'skipIntros',
+  'skipOutros',
+  'skipDonations',
+  'skipSelfPromo',
+  'categoryActions',
+  'skipBuffer'
+];
+const ADVANCED_KEYS = ['confidenceThreshold', 'aiProvider', 'aiModel', 'skipBuffer'];
+
+/**
+ * ChannelProfile - Overrides of the global settings for one channel
+ */
+export class ChannelProfile {
+  /**
+   * @param {Object} profile - Profile object ({channelId, overrides})
+   */
+  constructor(profile = {}) {
+    SettingsValidator.validateChannelProfile(profile);
+
+    const sanitized = SettingsValidator.sanitizeChannelProfile(profile);
+
+    this.channelId = sanitized.channelId;
+    this.overrides = sanitized.overrides;
+  }
+
+  /**
+   * Normalize channel handle or ID for comparison ('@Name', '%40name' and 'name' are equal)
+   * @param {string} channelId - Channel ID or handle
+   * @returns {string}
+   */
+  static normalizeChannelId(channelId) {
+    let normalized = (channelId || '').trim();
+
+    try {
+      normalized = decodeURIComponent(normalized);
+    } catch (error) {
+      // Keep undecodable value as is
+    }
+
+    return normalized.replace(/^@/, '').toLowerCase();
+  }
+
+  /**
+   * Check if profile belongs to a channel
+   * @param {string} channelId - Channel ID or handle
+   * @returns {boolean}
+   */
+  matches(channelId) {
+    const normalized = ChannelProfile.normalizeChannelId(channelId);
+    return normalized.length > 0 && normalized === ChannelProfile.normalizeChannelId(this.channelId);
+  }
+
+  /**
+   * Check if profile overrides anything
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return Object.keys(this.overrides).length === 0;
+  }
+
+  /**
+   * Get overridden setting names
+   * @returns {Array<string>}
+   */
+  getOverriddenKeys() {
+    return Object.keys(this.overrides);
+  }
+
+  /**
+   * Apply overrides to user settings
+   * @param {Settings} settings - Global settings
+   * @returns {Settings} New settings instance
+   */
+  applyTo(settings) {
+    const partial = this.pick(SETTINGS_KEYS);
+
+    // Actions not overridden keep their global value
+    if (partial.categoryActions) {
+      partial.categoryActions = { ...settings.categoryActions, ...partial.categoryActions };
+    }
+
+    return settings.merge(partial);
+  }
+
+  /**
+   * Apply overrides to advanced settings
+   * @param {AdvancedSettings} advancedSettings - Global advanced settings
+   * @returns {AdvancedSettings} New advanced settings instance
+   */
+  applyToAdvanced(advancedSettings) {
+    return advancedSettings.merge(this.pick(ADVANCED_KEYS));
+  }
+
+  /**
+   * Get overrides limited to some keys
+   * @param {Array<string>} keys - Setting names
+   * @returns {Object}
+   */
+  pick(keys) {
+    const partial = {};
+
+    keys.forEach(key => {
+      if (this.overrides[key] !== undefined) {
+        partial[key] = this.overrides[key];
+      }
+    });
+
+    return partial;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      channelId: this.channelId,
+      overrides: {
+        ...this.overrides,
+        ...(this.overrides.categoryActions && { categoryActions: { ...this.overrides.categoryActions } })
+      }
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   * @returns {ChannelProfile}
+   */
+  static fromJSON(data) {
+    return new ChannelProfile(data);
+  }
+}
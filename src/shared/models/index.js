@@ -4,3 +4,4 @@ export { Segment } from './segment.js';
 export { Transcript } from './transcript.js';
 export { Settings, AdvancedSettings } from './settings.js';
 export { AnalysisResult } from './analysis-result.js';
+export { ChannelProfile } from './channel-profile.js';
@@ -1,6 +1,7 @@
 // segment.js - Segment domain model
 
 import { SegmentValidator } from '../validators/index.js';
+import { SEGMENT_SOURCES } from '../constants.js';
 
 /**
  * Segment - Represents a video segment to skip
@@ -12,8 +13,9 @@ export class Segment {
    * @param {string} category - Segment category
    * @param {string} description - Optional description
    * @param {number} confidence - AI confidence (0-1)
+   * @param {string} source - SEGMENT_SOURCES value (AI-detected or made by hand)
    */
-  constructor(start, end, category, description = '', confidence = 1.0) {
+  constructor(start, end, category, description = '', confidence = 1.0, source = SEGMENT_SOURCES.AI) {
     // Validate on construction
     SegmentValidator.validate({ start, end, category, description });
 
@@ -22,6 +24,15 @@ export class Segment {
     this.category = category;
     this.description = description;
     this.confidence = confidence;
+    this.source = source;
+  }
+
+  /**
+   * Check if the segment was added or edited by the user
+   * @returns {boolean}
+   */
+  isUserDefined() {
+    return this.source === SEGMENT_SOURCES.USER;
   }
 
   /**
@@ -75,10 +86,11 @@ export class Segment {
   /**
    * Check if this segment overlaps with another
    * @param {Segment} other - Other segment
+   * @param {number} tolerance - Optional gap in seconds still treated as overlap
    * @returns {boolean}
    */
-  overlaps(other) {
-    return this.start < other.end && this.end > other.start;
+  overlaps(other, tolerance = 0) {
+    return this.start < other.end + tolerance && this.end > other.start - tolerance;
   }
 
   /**
@@ -96,8 +108,9 @@ export class Segment {
       .filter(d => d.length > 0)
       .join(' | ');
     const confidence = Math.min(this.confidence, other.confidence);
+    const source = this.isUserDefined() || other.isUserDefined() ? SEGMENT_SOURCES.USER : SEGMENT_SOURCES.AI;
 
-    return new Segment(start, end, category, description, confidence);
+    return new Segment(start, end, category, description, confidence, source);
   }
 
   /**
@@ -110,7 +123,8 @@ export class Segment {
       this.end,
       this.category,
       this.description,
-      this.confidence
+      this.confidence,
+      this.source
     );
   }
 
@@ -134,6 +148,7 @@ export class Segment {
       category: this.category,
       description: this.description,
       confidence: this.confidence,
+      source: this.source,
       duration: this.getDuration()
     };
   }
@@ -149,7 +164,8 @@ export class Segment {
       data.end,
       data.category,
       data.description || '',
-      data.confidence || 1.0
+      data.confidence || 1.0,
+      data.source || SEGMENT_SOURCES.AI
     );
   }
 
@@ -180,9 +196,10 @@ export class Segment {
   /**
    * Merge overlapping segments
    * @param {Array<Segment>} segments - Segments to merge
+   * @param {number} tolerance - Gap in seconds bridged between segments of the same category
    * @returns {Array<Segment>}
    */
-  static mergeOverlapping(segments) {
+  static mergeOverlapping(segments, tolerance = 0) {
     if (segments.length === 0) return [];
 
     const sorted = Segment.sort(segments);
@@ -192,7 +209,11 @@ export class Segment {
       const current = sorted[i];
       const lastMerged = merged[merged.length - 1];
 
-      if (current.overlaps(lastMerged)) {
+      const sameCategoryNearby = tolerance > 0 &&
+        current.category === lastMerged.category &&
+        current.overlaps(lastMerged, tolerance);
+
+      if (current.overlaps(lastMerged) || sameCategoryNearby) {
         merged[merged.length - 1] = lastMerged.merge(current);
       } else {
         merged.push(current.clone());
@@ -21,7 +21,13 @@ export class Settings {
     this.skipSelfPromo = sanitized.skipSelfPromo;
     this.skipBuffer = sanitized.skipBuffer;
     this.enablePreview = sanitized.enablePreview;
+    this.previewLeadTime = sanitized.previewLeadTime;
+    this.enableHotkeys = sanitized.enableHotkeys;
     this.autoSkip = sanitized.autoSkip;
+    this.replayPolicy = sanitized.replayPolicy;
+    this.notificationLevel = sanitized.notificationLevel;
+    this.categoryActions = sanitized.categoryActions;
+    this.customCategories = sanitized.customCategories;
   }
 
   /**
@@ -35,6 +41,9 @@ export class Settings {
     if (this.skipOutros) categories.push('Outro');
     if (this.skipDonations) categories.push('Donations');
     if (this.skipSelfPromo) categories.push('Self-Promo');
+    this.customCategories
+      .filter(custom => custom.enabled)
+      .forEach(custom => categories.push(custom.name));
     return categories;
   }
 
@@ -44,19 +53,123 @@ export class Settings {
    * @returns {boolean}
    */
   shouldSkipCategory(category) {
+    return this.getCategoryAction(category) === 'skip';
+  }
+
+  /**
+   * Check if category is enabled (any action, including mark only)
+   * @param {string} category - Category name
+   * @returns {boolean}
+   */
+  isCategoryEnabled(category) {
+    return this.getCategoryAction(category) !== null;
+  }
+
+  /**
+   * Get action for a category
+   * @param {string} category - Category name (AI category or merged "a + b")
+   * @returns {string|null} One of CONFIG.CATEGORY_ACTIONS, null when disabled
+   */
+  getCategoryAction(category) {
+    const custom = this.getCustomCategory(category);
+
+    if (custom) {
+      return custom.enabled ? custom.action : null;
+    }
+
+    const key = this.getBuiltInCategoryKey(category);
+    return key && this[key] ? this.categoryActions[key] : null;
+  }
+
+  /**
+   * Set action for a built-in category
+   * @param {string} key - Category toggle (e.g. 'skipSponsors')
+   * @param {string} action - One of CONFIG.CATEGORY_ACTIONS
+   */
+  setCategoryAction(key, action) {
+    if (key in this.categoryActions && CONFIG.CATEGORY_ACTIONS.includes(action)) {
+      this.categoryActions[key] = action;
+    }
+  }
+
+  /**
+   * Find user-defined category for an AI category name
+   * @param {string} category - Category name (merged segments use "a + b")
+   * @returns {Object|null}
+   */
+  getCustomCategory(category) {
+    const parts = category.split(' + ');
+    return this.customCategories.find(custom => parts.includes(custom.id)) || null;
+  }
+
+  /**
+   * Add user-defined category
+   * @param {Object} category - {name, description, color, action}
+   * @returns {Object} Created category
+   */
+  addCustomCategory({ name, description, color, action }) {
+    const { ID_PREFIX, DEFAULT_COLOR } = CONFIG.CUSTOM_CATEGORIES;
+    const slug = name.toLowerCase().normalize('NFKD')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .substring(0, 40) || 'category';
+
+    // Keep ids unique when two names produce the same slug
+    let id = `${ID_PREFIX}${slug}`;
+    for (let n = 2; this.customCategories.some(custom => custom.id === id); n++) {
+      id = `${ID_PREFIX}${slug}_${n}`;
+    }
+
+    const category = {
+      id,
+      name: name.trim(),
+      description: description.trim(),
+      color: color || DEFAULT_COLOR,
+      action: action || CONFIG.CATEGORY_ACTIONS[0],
+      enabled: true
+    };
+
+    this.customCategories.push(category);
+    return category;
+  }
+
+  /**
+   * Remove user-defined category
+   * @param {string} id - Category id
+   */
+  removeCustomCategory(id) {
+    this.customCategories = this.customCategories.filter(custom => custom.id !== id);
+  }
+
+  /**
+   * Check if built-in category is enabled
+   * @param {string} category - Category name
+   * @returns {boolean}
+   */
+  isBuiltInCategoryEnabled(category) {
+    const key = this.getBuiltInCategoryKey(category);
+    return key ? this[key] : false;
+  }
+
+  /**
+   * Get toggle of the built-in category an AI category belongs to
+   * @param {string} category - Category name
+   * @returns {string|null} e.g. 'skipSponsors', null when not built-in
+   */
+  getBuiltInCategoryKey(category) {
     const categoryLower = category.toLowerCase();
 
-    if (categoryLower.includes('sponsor')) return this.skipSponsors;
-    if (categoryLower.includes('intro')) return this.skipIntros;
-    if (categoryLower.includes('outro')) return this.skipOutros;
+    if (categoryLower.includes('sponsor')) return 'skipSponsors';
+    if (categoryLower.includes('intro')) return 'skipIntros';
+    if (categoryLower.includes('outro')) return 'skipOutros';
     if (categoryLower.includes('donation') || categoryLower.includes('acknowledgment')) {
-      return this.skipDonations;
+      return 'skipDonations';
     }
     if (categoryLower.includes('promo') || categoryLower.includes('merch')) {
-      return this.skipSelfPromo;
+      return 'skipSelfPromo';
     }
 
-    return false;
+    return null;
   }
 
   /**
@@ -120,6 +233,7 @@ export class Settings {
     this.skipOutros = true;
     this.skipDonations = true;
     this.skipSelfPromo = true;
+    this.customCategories.forEach(custom => { custom.enabled = true; });
   }
 
   /**
@@ -131,6 +245,7 @@ export class Settings {
     this.skipOutros = false;
     this.skipDonations = false;
     this.skipSelfPromo = false;
+    this.customCategories.forEach(custom => { custom.enabled = false; });
   }
 
   /**
@@ -157,7 +272,13 @@ export class Settings {
       skipSelfPromo: this.skipSelfPromo,
       skipBuffer: this.skipBuffer,
       enablePreview: this.enablePreview,
-      autoSkip: this.autoSkip
+      previewLeadTime: this.previewLeadTime,
+      enableHotkeys: this.enableHotkeys,
+      autoSkip: this.autoSkip,
+      replayPolicy: this.replayPolicy,
+      notificationLevel: this.notificationLevel,
+      categoryActions: { ...this.categoryActions },
+      customCategories: this.customCategories.map(custom => ({ ...custom }))
     };
   }
 
@@ -211,8 +332,13 @@ export class AdvancedSettings {
     const sanitized = SettingsValidator.sanitizeAdvanced(settings);
 
     this.confidenceThreshold = sanitized.confidenceThreshold;
-    this.aiProvider = sanitized.aiProvider || 'claude'; // 'claude' or 'openai'
+    this.aiProvider = sanitized.aiProvider || 'claude'; // 'claude', 'openai' or 'local'
     this.aiModel = sanitized.aiModel;
+    this.localEndpoint = sanitized.localEndpoint;
+    this.localModel = sanitized.localModel;
+    this.providerFallbacks = sanitized.providerFallbacks;
+    this.captionLanguages = sanitized.captionLanguages;
+    this.captionTrackKind = sanitized.captionTrackKind;
     this.skipBuffer = sanitized.skipBuffer;
     this.channelWhitelist = sanitized.channelWhitelist;
   }
@@ -276,10 +402,42 @@ export class AdvancedSettings {
         'gpt-4-turbo': 'GPT-4 Turbo (Balanced)'
       };
       return modelNames[this.aiModel] || this.aiModel;
+    } else if (this.aiProvider === 'local') {
+      return `Local: ${this.localModel}`;
+    } else if (this.aiProvider === 'heuristic') {
+      return 'Offline rules (basic)';
     }
     return this.aiModel;
   }
 
+  /**
+   * Get ordered provider chain (primary first, then fallbacks, without duplicates)
+   * @returns {Array<Object>} Entries as {provider, model}
+   */
+  getProviderChain() {
+    const chain = [{ provider: this.aiProvider, model: this.aiModel }];
+
+    this.providerFallbacks.forEach(entry => {
+      const duplicate = chain.some(c => c.provider === entry.provider && c.model === entry.model);
+      if (!duplicate) {
+        chain.push({ provider: entry.provider, model: entry.model });
+      }
+    });
+
+    return chain;
+  }
+
+  /**
+   * Get caption track preferences for transcript extraction
+   * @returns {Object} {languages, kind}
+   */
+  getCaptionPreferences() {
+    return {
+      languages: [...this.captionLanguages],
+      kind: this.captionTrackKind
+    };
+  }
+
   /**
    * Get confidence threshold as percentage
    * @returns {string}
@@ -297,6 +455,11 @@ export class AdvancedSettings {
       confidenceThreshold: this.confidenceThreshold,
       aiProvider: this.aiProvider,
       aiModel: this.aiModel,
+      localEndpoint: this.localEndpoint,
+      localModel: this.localModel,
+      providerFallbacks: this.providerFallbacks.map(entry => ({ ...entry })),
+      captionLanguages: [...this.captionLanguages],
+      captionTrackKind: this.captionTrackKind,
       skipBuffer: this.skipBuffer,
       channelWhitelist: [...this.channelWhitelist]
     };
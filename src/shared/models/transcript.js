@@ -11,8 +11,10 @@ export class Transcript {
    * @param {string} videoId - YouTube video ID
    * @param {string} channelId - YouTube channel ID
    * @param {Array} segments - Optional transcript segments
+   * @param {string|null} language - Caption language code (null when unknown)
+   * @param {string|null} captionKind - 'manual' or 'asr' (auto-generated), null when unknown
    */
-  constructor(text, videoId, channelId = '', segments = []) {
+  constructor(text, videoId, channelId = '', segments = [], language = null, captionKind = null) {
     // Validate on construction
     TranscriptValidator.validate({ text, segments });
     TranscriptValidator.validateVideoId(videoId);
@@ -21,6 +23,8 @@ export class Transcript {
     this.videoId = videoId;
     this.channelId = channelId;
     this.segments = segments;
+    this.language = language;
+    this.captionKind = captionKind;
     this.extractedAt = new Date().toISOString();
   }
 
@@ -119,6 +123,8 @@ export class Transcript {
       wordCount: this.getWordCount(),
       charCount: this.getCharCount(),
       segmentCount: this.segments.length,
+      language: this.language,
+      captionKind: this.captionKind,
       extractedAt: this.extractedAt,
       hasSufficientContent: this.hasSufficientContent()
     };
@@ -134,6 +140,8 @@ export class Transcript {
       videoId: this.videoId,
       channelId: this.channelId,
       segments: this.segments,
+      language: this.language,
+      captionKind: this.captionKind,
       extractedAt: this.extractedAt,
       metadata: this.getMetadata()
     };
@@ -149,7 +157,9 @@ export class Transcript {
       data.text,
       data.videoId,
       data.channelId || '',
-      data.segments || []
+      data.segments || [],
+      data.language || null,
+      data.captionKind || null
     );
 
     if (data.extractedAt) {
@@ -164,14 +174,16 @@ export class Transcript {
    * @param {Array} domSegments - Segments extracted from DOM
    * @param {string} videoId - Video ID
    * @param {string} channelId - Channel ID
+   * @param {string|null} language - Caption language code
+   * @param {string|null} captionKind - 'manual' or 'asr'
    * @returns {Transcript}
    */
-  static fromDOM(domSegments, videoId, channelId = '') {
+  static fromDOM(domSegments, videoId, channelId = '', language = null, captionKind = null) {
     // Combine all text
     const text = domSegments.map(s => s.text).join(' ');
 
     // Create transcript with segments
-    return new Transcript(text, videoId, channelId, domSegments);
+    return new Transcript(text, videoId, channelId, domSegments, language, captionKind);
   }
 
   /**
@@ -182,11 +194,36 @@ export class Transcript {
    * @returns {Transcript}
    */
   static fromAPI(apiData, videoId, channelId = '') {
-    // Parse API format (could be various formats)
-    const segments = apiData.events || apiData.segments || [];
-    const text = segments.map(s => s.segs?.[0]?.utf8 || s.text || '').join(' ');
+    // json3 caption events ({tStartMs, dDurationMs, segs}) or already normalized segments
+    const segments = apiData.events
+      ? Transcript.normalizeCaptionEvents(apiData.events)
+      : apiData.segments || [];
+    const text = segments.map(s => s.text).join(' ');
 
-    return new Transcript(text, videoId, channelId, segments);
+    return new Transcript(
+      text,
+      videoId,
+      channelId,
+      segments,
+      apiData.languageCode || null,
+      apiData.kind || null
+    );
+  }
+
+  /**
+   * Convert json3 caption events to {time, end, text} segments
+   * @param {Array} events - Caption events
+   * @returns {Array}
+   */
+  static normalizeCaptionEvents(events) {
+    return events
+      .filter(event => Array.isArray(event.segs))
+      .map(event => ({
+        time: (event.tStartMs || 0) / 1000,
+        end: ((event.tStartMs || 0) + (event.dDurationMs || 0)) / 1000,
+        text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+      }))
+      .filter(segment => segment.text.length > 0);
   }
 
   /**
@@ -207,7 +244,9 @@ export class Transcript {
       allText,
       first.videoId,
       first.channelId,
-      allSegments
+      allSegments,
+      first.language,
+      first.captionKind
     );
   }
 
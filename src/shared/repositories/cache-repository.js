@@ -2,7 +2,22 @@
 
 import { CacheError, StorageError } from '../errors/index.js';
 import { logger } from '../logger/index.js';
-import { AnalysisResult } from '../models/index.js';
+import { AnalysisResult, Segment } from '../models/index.js';
+
+/**
+ * Check if a cached segment is the one shown to the user, or one of those merged into it
+ * (user segments are only matched exactly)
+ * @param {Segment} cachedSegment - Segment of the cached result
+ * @param {Segment} segment - Segment shown to the user
+ * @returns {boolean}
+ */
+function isCoveredBy(cachedSegment, segment) {
+  const isSame = cachedSegment.start === segment.start &&
+    cachedSegment.end === segment.end &&
+    cachedSegment.category === segment.category;
+
+  return isSame || (!cachedSegment.isUserDefined() && cachedSegment.overlaps(segment));
+}
 
 /**
  * CacheRepository - Manages analysis cache storage
@@ -12,6 +27,22 @@ export class CacheRepository {
     this.storagePrefix = 'analysis_';
     this.memoryCache = new Map();
     this.logger = logger.child('CacheRepository');
+
+    this.watchStorage();
+  }
+
+  /**
+   * Drop memory entries written by another extension context
+   * (segment edits are saved by the content script, analyses by the background)
+   */
+  watchStorage() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+
+      Object.keys(changes)
+        .filter(key => key.startsWith(this.storagePrefix))
+        .forEach(key => this.memoryCache.delete(key.slice(this.storagePrefix.length)));
+    });
   }
 
   /**
@@ -307,12 +338,58 @@ export class CacheRepository {
   }
 
   /**
-   * Invalidate cache for video
+   * Invalidate cache for video (user segments are kept for the next analysis)
    * @param {string} videoId - Video ID
    * @returns {Promise<void>}
    */
   async invalidate(videoId) {
     this.logger.info(`Invalidating cache`, { videoId });
-    await this.delete(videoId);
+
+    const result = await this.getFromStorage(videoId);
+    const userSegments = result ? result.getUserSegments() : [];
+
+    if (userSegments.length > 0) {
+      await this.set(videoId, AnalysisResult.createUserOnly(videoId, userSegments));
+    } else {
+      await this.delete(videoId);
+    }
+  }
+
+  /**
+   * Save a segment added or edited by the user into the cached result
+   * @param {string} videoId - Video ID
+   * @param {Segment} segment - User segment
+   * @param {Segment|null} replaced - Segment it was edited from
+   * @returns {Promise<AnalysisResult>}
+   */
+  async saveUserSegment(videoId, segment, replaced = null) {
+    const cached = await this.getFromStorage(videoId);
+    // Not analyzed or not cached (offline rules): keep the segment until an analysis is cached
+    const result = cached || AnalysisResult.createUserOnly(videoId, []);
+
+    // The edited segment may be a merge of several cached ones: the user's version replaces them all
+    const isReplaced = (cachedSegment) =>
+      (replaced && isCoveredBy(cachedSegment, replaced)) ||
+      (!cachedSegment.isUserDefined() && cachedSegment.overlaps(segment));
+
+    const segments = Segment.sort([...result.segments.filter(cachedSegment => !isReplaced(cachedSegment)), segment]);
+    const updated = new AnalysisResult(videoId, segments, result.metadata);
+
+    await this.set(videoId, updated);
+    return updated;
+  }
+
+  /**
+   * Remove a segment from the cached result
+   * @param {string} videoId - Video ID
+   * @param {Segment} segment - Segment removed (or a merge of cached segments)
+   * @returns {Promise<void>}
+   */
+  async removeSegment(videoId, segment) {
+    const cached = await this.getFromStorage(videoId);
+    if (!cached) return;
+
+    const segments = cached.segments.filter(cachedSegment => !isCoveredBy(cachedSegment, segment));
+    await this.set(videoId, new AnalysisResult(videoId, segments, cached.metadata));
   }
 }
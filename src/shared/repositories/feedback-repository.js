@@ -0,0 +1,282 @@
+// feedback-repository.js - Segment feedback data access layer
+
+import { StorageError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+import { FEEDBACK_TYPES } from '../constants.js';
+import { CONFIG } from '../config.js';
+
+// Feedback meaning the segment should not have been detected as its category
+const REJECTING_TYPES = [FEEDBACK_TYPES.NOT_SKIPPABLE, FEEDBACK_TYPES.WRONG_CATEGORY];
+
+/**
+ * Get the key feedback is aggregated under for a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {string}
+ */
+function getModelKey(provider, model) {
+  return `${provider || 'unknown'}/${model || 'unknown'}`;
+}
+
+/**
+ * Check if a detection covers most of a rejected range, or the other way around
+ * (touching a short rejected false positive does not suppress a longer real segment)
+ * @param {Segment} segment - Detected segment
+ * @param {Object} entry - Feedback entry ({start, end})
+ * @returns {boolean}
+ */
+function isRejectedBy(segment, entry) {
+  const overlap = Math.min(segment.end, entry.end) - Math.max(segment.start, entry.start);
+  const shorter = Math.min(segment.end - segment.start, entry.end - entry.start);
+
+  return overlap > 0 && overlap > shorter * CONFIG.FEEDBACK.MIN_REJECTION_OVERLAP;
+}
+
+/**
+ * FeedbackRepository - Manages feedback on detected segments
+ * Feedback is written by the content script and detection counts by the background,
+ * under separate keys so neither overwrites the other's updates
+ */
+export class FeedbackRepository {
+  constructor() {
+    this.storageKey = 'segment_feedback';
+    this.detectionsKey = 'segment_detections';
+    this.logger = logger.child('FeedbackRepository');
+  }
+
+  /**
+   * Get default feedback structure
+   * @returns {Object}
+   */
+  getDefaultFeedback() {
+    return {
+      videos: {}, // { [videoId]: { channelId, updatedAt, entries: [FeedbackEntry] } }
+      channels: {}, // { [channelId]: { [category]: rejected count } }
+      models: {} // { [provider/model]: { [category]: { rejected, adjusted } } }
+    };
+  }
+
+  /**
+   * Get feedback from storage
+   * @returns {Promise<Object>}
+   */
+  async getFeedback() {
+    try {
+      const result = await chrome.storage.local.get(this.storageKey);
+      return result[this.storageKey] || this.getDefaultFeedback();
+    } catch (error) {
+      this.logger.error(`Failed to get feedback`, { error: error.message });
+      throw new StorageError('Failed to read feedback', error);
+    }
+  }
+
+  /**
+   * Get detection counts from storage
+   * @returns {Promise<Object>} { [provider/model]: { [category]: count } }
+   */
+  async getDetections() {
+    try {
+      const result = await chrome.storage.local.get(this.detectionsKey);
+      return result[this.detectionsKey] || {};
+    } catch (error) {
+      this.logger.error(`Failed to get detections`, { error: error.message });
+      throw new StorageError('Failed to read detection counts', error);
+    }
+  }
+
+  /**
+   * Record feedback on a segment
+   * @param {Object} feedback - Feedback
+   * @param {string} feedback.videoId - Video ID
+   * @param {string} feedback.channelId - Channel ID (may be empty)
+   * @param {Segment} feedback.segment - Segment the feedback is about
+   * @param {string} feedback.type - FEEDBACK_TYPES value
+   * @param {string|null} feedback.correction - Category it should have had (wrong category)
+   * @param {string} feedback.provider - Provider that detected the segment
+   * @param {string} feedback.model - Model that detected the segment
+   * @returns {Promise<void>}
+   */
+  async recordFeedback({ videoId, channelId, segment, type, correction = null, provider, model }) {
+    try {
+      const data = await this.getFeedback();
+      const category = segment.category;
+      const modelKey = getModelKey(provider, model);
+      const rejected = REJECTING_TYPES.includes(type);
+
+      const video = data.videos[videoId] || { channelId, entries: [] };
+      video.entries.push({
+        start: segment.start,
+        end: segment.end,
+        category,
+        type,
+        correction,
+        model: modelKey,
+        createdAt: new Date().toISOString()
+      });
+      video.updatedAt = new Date().toISOString();
+      data.videos[videoId] = video;
+
+      if (rejected && channelId) {
+        const channel = data.channels[channelId] || {};
+        channel[category] = (channel[category] || 0) + 1;
+        data.channels[channelId] = channel;
+      }
+
+      const models = data.models[modelKey] || {};
+      const counts = models[category] || { rejected: 0, adjusted: 0 };
+      counts[rejected ? 'rejected' : 'adjusted']++;
+      models[category] = counts;
+      data.models[modelKey] = models;
+
+      this.pruneVideos(data);
+      await chrome.storage.local.set({ [this.storageKey]: data });
+
+      this.logger.info(`Feedback recorded`, { videoId, category, type, model: modelKey });
+    } catch (error) {
+      this.logger.error(`Failed to record feedback`, { error: error.message });
+      throw new StorageError('Failed to save feedback', error);
+    }
+  }
+
+  /**
+   * Keep the most recently rated videos (channel and model counts are kept whole)
+   * @param {Object} data - Feedback data, changed in place
+   */
+  pruneVideos(data) {
+    const videoIds = Object.keys(data.videos);
+    if (videoIds.length <= CONFIG.FEEDBACK.MAX_VIDEOS) return;
+
+    videoIds
+      .sort((a, b) => new Date(data.videos[a].updatedAt) - new Date(data.videos[b].updatedAt))
+      .slice(0, videoIds.length - CONFIG.FEEDBACK.MAX_VIDEOS)
+      .forEach(videoId => delete data.videos[videoId]);
+  }
+
+  /**
+   * Count segments a model detected, per category
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {Array<Segment>} segments - Segments detected
+   * @returns {Promise<void>}
+   */
+  async recordDetections(provider, model, segments) {
+    if (segments.length === 0) return;
+
+    try {
+      const detections = await this.getDetections();
+      const modelKey = getModelKey(provider, model);
+      const counts = detections[modelKey] || {};
+
+      segments.forEach(segment => {
+        counts[segment.category] = (counts[segment.category] || 0) + 1;
+      });
+
+      detections[modelKey] = counts;
+      await chrome.storage.local.set({ [this.detectionsKey]: detections });
+
+      this.logger.debug(`Detections recorded`, { model: modelKey, count: segments.length });
+    } catch (error) {
+      this.logger.error(`Failed to record detections`, { error: error.message });
+      throw new StorageError('Failed to update detection counts', error);
+    }
+  }
+
+  /**
+   * Remove segments the user rejected on this video
+   * Matched on time only: a re-analysis may label the same stretch with another category
+   * @param {string} videoId - Video ID
+   * @param {Array<Segment>} segments - Detected segments
+   * @returns {Promise<Array<Segment>>}
+   */
+  async removeRejected(videoId, segments) {
+    const data = await this.getFeedback();
+    const video = data.videos[videoId];
+    if (!video) return segments;
+
+    const rejections = video.entries.filter(entry => entry.type === FEEDBACK_TYPES.NOT_SKIPPABLE);
+
+    return segments.filter(segment => !rejections.some(entry => isRejectedBy(segment, entry)));
+  }
+
+  /**
+   * Get confidence threshold increases per category for a model and channel
+   * Categories the user often rejects need a more confident detection
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {string} channelId - Channel ID (may be empty)
+   * @returns {Promise<Object>} { [category]: threshold increase }
+   */
+  async getConfidenceAdjustments(provider, model, channelId = '') {
+    const { MIN_DETECTIONS, MAX_CONFIDENCE_ADJUSTMENT, CHANNEL_REJECTION_STEP } = CONFIG.FEEDBACK;
+    const [data, detections] = await Promise.all([this.getFeedback(), this.getDetections()]);
+    const modelKey = getModelKey(provider, model);
+    const detected = detections[modelKey] || {};
+    const adjustments = {};
+
+    Object.entries(data.models[modelKey] || {}).forEach(([category, counts]) => {
+      const total = detected[category] || 0;
+      if (total < MIN_DETECTIONS) return;
+
+      adjustments[category] = Math.min(1, counts.rejected / total) * MAX_CONFIDENCE_ADJUSTMENT;
+    });
+
+    Object.entries((channelId && data.channels[channelId]) || {}).forEach(([category, rejected]) => {
+      const channelAdjustment = rejected * CHANNEL_REJECTION_STEP;
+      adjustments[category] = Math.min(MAX_CONFIDENCE_ADJUSTMENT, Math.max(adjustments[category] || 0, channelAdjustment));
+    });
+
+    return adjustments;
+  }
+
+  /**
+   * Get precision per model and category (share of detections not rejected)
+   * @returns {Promise<Array<Object>>} [{model, category, detected, rejected, adjusted, precision}], precision null when nothing was detected
+   */
+  async getPrecisionReport() {
+    try {
+      const [data, detections] = await Promise.all([this.getFeedback(), this.getDetections()]);
+      const report = [];
+
+      const models = new Set([...Object.keys(detections), ...Object.keys(data.models)]);
+
+      models.forEach(model => {
+        const detectedByCategory = detections[model] || {};
+        const feedbackByCategory = data.models[model] || {};
+        const categories = new Set([...Object.keys(detectedByCategory), ...Object.keys(feedbackByCategory)]);
+
+        categories.forEach(category => {
+          const detected = detectedByCategory[category] || 0;
+          const counts = feedbackByCategory[category] || { rejected: 0, adjusted: 0 };
+
+          report.push({
+            model,
+            category,
+            detected,
+            rejected: counts.rejected,
+            adjusted: counts.adjusted,
+            precision: detected > 0 ? Math.max(0, 1 - counts.rejected / detected) : null
+          });
+        });
+      });
+
+      return report.sort((a, b) => a.model.localeCompare(b.model) || b.detected - a.detected);
+    } catch (error) {
+      this.logger.error(`Failed to get precision report`, { error: error.message });
+      throw new StorageError('Failed to get precision report', error);
+    }
+  }
+
+  /**
+   * Reset feedback and detection counts
+   * @returns {Promise<void>}
+   */
+  async resetFeedback() {
+    try {
+      await chrome.storage.local.remove([this.storageKey, this.detectionsKey]);
+      this.logger.info(`Feedback reset`);
+    } catch (error) {
+      this.logger.error(`Failed to reset feedback`, { error: error.message });
+      throw new StorageError('Failed to reset feedback', error);
+    }
+  }
+}
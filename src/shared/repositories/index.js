@@ -3,3 +3,4 @@
 export { CacheRepository } from './cache-repository.js';
 export { SettingsRepository } from './settings-repository.js';
 export { StatsRepository } from './stats-repository.js';
+export { FeedbackRepository } from './feedback-repository.js';
@@ -1,8 +1,9 @@
 // settings-repository.js - Settings data access layer
 
-import { StorageError } from '../errors/index.js';
+import { StorageError, SettingsValidationError } from '../errors/index.js';
 import { logger } from '../logger/index.js';
-import { Settings, AdvancedSettings } from '../models/index.js';
+import { Settings, AdvancedSettings, ChannelProfile } from '../models/index.js';
+import { SettingsValidator } from '../validators/index.js';
 import { CONFIG } from '../config.js';
 
 /**
@@ -12,6 +13,7 @@ export class SettingsRepository {
   constructor() {
     this.storageKey = 'user_settings';
     this.advancedKey = 'advanced_settings';
+    this.profilesKey = 'channel_profiles';
     this.logger = logger.child('SettingsRepository');
   }
 
@@ -170,6 +172,115 @@ export class SettingsRepository {
     };
   }
 
+  /**
+   * Get settings with the profile of a channel applied
+   * @param {string} channelId - Channel ID or handle (empty for global settings)
+   * @returns {Promise<Object>} {settings, advancedSettings, profile}
+   */
+  async getSettingsForChannel(channelId) {
+    const [{ settings, advancedSettings }, profile] = await Promise.all([
+      this.getAllSettings(),
+      channelId ? this.getChannelProfile(channelId) : Promise.resolve(null)
+    ]);
+
+    if (!profile) {
+      return { settings, advancedSettings, profile: null };
+    }
+
+    this.logger.debug(`Channel profile applied`, {
+      channelId,
+      overrides: profile.getOverriddenKeys()
+    });
+
+    return {
+      settings: profile.applyTo(settings),
+      advancedSettings: profile.applyToAdvanced(advancedSettings),
+      profile
+    };
+  }
+
+  /**
+   * Get all channel profiles
+   * @returns {Promise<Array<ChannelProfile>>}
+   */
+  async getChannelProfiles() {
+    try {
+      const result = await chrome.storage.local.get(this.profilesKey);
+      const stored = Array.isArray(result[this.profilesKey]) ? result[this.profilesKey] : [];
+
+      return stored
+        .map(data => SettingsValidator.sanitizeChannelProfile(data))
+        .filter(Boolean)
+        .map(data => ChannelProfile.fromJSON(data));
+    } catch (error) {
+      this.logger.error(`Failed to get channel profiles`, { error: error.message });
+      throw new StorageError('Failed to read channel profiles', error);
+    }
+  }
+
+  /**
+   * Save all channel profiles
+   * @param {Array<ChannelProfile>} profiles - Profiles to save
+   * @returns {Promise<void>}
+   */
+  async saveChannelProfiles(profiles) {
+    try {
+      const data = profiles.map(profile => profile.toJSON());
+      await chrome.storage.local.set({ [this.profilesKey]: data });
+
+      this.logger.info(`Channel profiles saved`, { count: profiles.length });
+    } catch (error) {
+      this.logger.error(`Failed to save channel profiles`, { error: error.message });
+      throw new StorageError('Failed to save channel profiles', error);
+    }
+  }
+
+  /**
+   * Get profile of a channel
+   * @param {string} channelId - Channel ID or handle
+   * @returns {Promise<ChannelProfile|null>}
+   */
+  async getChannelProfile(channelId) {
+    const profiles = await this.getChannelProfiles();
+    return profiles.find(profile => profile.matches(channelId)) || null;
+  }
+
+  /**
+   * Create or replace the profile of a channel (an empty profile is removed)
+   * @param {ChannelProfile} profile - Profile to save
+   * @returns {Promise<void>}
+   */
+  async saveChannelProfile(profile) {
+    const profiles = (await this.getChannelProfiles())
+      .filter(existing => !existing.matches(profile.channelId));
+
+    if (!profile.isEmpty()) {
+      if (profiles.length >= CONFIG.CHANNEL_PROFILES.MAX_COUNT) {
+        throw new SettingsValidationError(
+          `At most ${CONFIG.CHANNEL_PROFILES.MAX_COUNT} channel profiles`,
+          'channelProfiles',
+          profiles.length
+        );
+      }
+
+      profiles.push(profile);
+    }
+
+    await this.saveChannelProfiles(profiles);
+  }
+
+  /**
+   * Remove profile of a channel
+   * @param {string} channelId - Channel ID or handle
+   * @returns {Promise<void>}
+   */
+  async removeChannelProfile(channelId) {
+    const profiles = await this.getChannelProfiles();
+    await this.saveChannelProfiles(profiles.filter(profile => !profile.matches(channelId)));
+
+    this.logger.info(`Channel profile removed`, { channelId });
+  }
+
   /**
    * Export settings to JSON
    * @returns {Promise<string>}
@@ -181,7 +292,8 @@ export class SettingsRepository {
         version: CONFIG.VERSION,
         exportedAt: new Date().toISOString(),
         settings: all.settings.toJSON(),
-        advancedSettings: all.advancedSettings.toJSON()
+        advancedSettings: all.advancedSettings.toJSON(),
+        channelProfiles: (await this.getChannelProfiles()).map(profile => profile.toJSON())
       };
 
       return JSON.stringify(exportData, null, 2);
@@ -210,6 +322,15 @@ export class SettingsRepository {
       await this.saveSettings(settings);
       await this.saveAdvancedSettings(advancedSettings);
 
+      // Exports from older versions have no profiles
+      if (Array.isArray(data.channelProfiles)) {
+        const profiles = data.channelProfiles
+          .map(profile => SettingsValidator.sanitizeChannelProfile(profile))
+          .filter(Boolean)
+          .map(profile => ChannelProfile.fromJSON(profile));
+        await this.saveChannelProfiles(profiles);
+      }
+
       this.logger.info(`Settings imported`, { version: data.version });
     } catch (error) {
       this.logger.error(`Failed to import settings`, { error: error.message });
@@ -261,7 +382,7 @@ export class SettingsRepository {
     chrome.storage.onChanged.addListener((changes, areaName) => {
       if (areaName !== 'local') return;
 
-      if (changes[this.storageKey] || changes[this.advancedKey]) {
+      if (changes[this.storageKey] || changes[this.advancedKey] || changes[this.profilesKey]) {
         this.logger.debug(`Settings changed externally`);
         callback();
       }
@@ -20,6 +20,7 @@ export class StatsRepository {
     return {
       totalSkips: 0,
       totalTimeSaved: 0,
+      undoneSkips: 0,
       videosAnalyzed: 0,
       categoryStats: {
         'Sponsor': 0,
@@ -100,6 +101,33 @@ export class StatsRepository {
     }
   }
 
+  /**
+   * Revert a skip the user undid (the time was watched after all)
+   * @param {string} category - Category name used when the skip was recorded
+   * @param {number} duration - Skip duration in seconds
+   * @returns {Promise<void>}
+   */
+  async recordUndo(category, duration = 0) {
+    try {
+      const stats = await this.getStats();
+
+      stats.totalSkips = Math.max(0, stats.totalSkips - 1);
+      stats.totalTimeSaved = Math.max(0, stats.totalTimeSaved - duration);
+      stats.undoneSkips = (stats.undoneSkips || 0) + 1;
+
+      if (stats.categoryStats[category]) {
+        stats.categoryStats[category]--;
+      }
+
+      await this.saveStats(stats);
+
+      this.logger.debug(`Undo recorded`, { category, duration });
+    } catch (error) {
+      this.logger.error(`Failed to record undo`, { error: error.message });
+      throw new StorageError('Failed to update statistics', error);
+    }
+  }
+
   /**
    * Increment videos analyzed count
    * @returns {Promise<void>}
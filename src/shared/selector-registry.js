@@ -0,0 +1,97 @@
+// selector-registry.js - DOM lookups with ordered selector fallbacks
+
+import { SELECTORS } from './constants.js';
+import { logger } from './logger/index.js';
+
+/**
+ * SelectorRegistry - Resolves a selector key to the first candidate that matches
+ * Candidates come from SELECTORS (string or ordered array); the last working
+ * candidate is tried first on the next lookup
+ */
+export class SelectorRegistry {
+  /**
+   * @param {Object} selectors - Map of key to selector or array of selectors
+   */
+  constructor(selectors = SELECTORS) {
+    this.selectors = selectors;
+    this.lastMatch = new Map();
+    this.logger = logger.child('SelectorRegistry');
+  }
+
+  /**
+   * Get candidate selectors for a key, last working one first
+   * @param {string} key - Key in SELECTORS
+   * @returns {Array<string>}
+   */
+  getCandidates(key) {
+    const entry = this.selectors[key];
+
+    if (!entry) {
+      throw new Error(`Unknown selector key: ${key}`);
+    }
+
+    const candidates = Array.isArray(entry) ? entry : [entry];
+    const preferred = this.lastMatch.get(key);
+
+    return preferred
+      ? [preferred, ...candidates.filter(selector => selector !== preferred)]
+      : candidates;
+  }
+
+  /**
+   * Find first element matching any candidate
+   * @param {string} key - Key in SELECTORS
+   * @param {ParentNode} root - Search root
+   * @returns {Element|null}
+   */
+  query(key, root = document) {
+    for (const selector of this.getCandidates(key)) {
+      const element = root.querySelector(selector);
+      if (element) {
+        this.remember(key, selector);
+        return element;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find all elements for the first candidate that matches anything
+   * @param {string} key - Key in SELECTORS
+   * @param {ParentNode} root - Search root
+   * @returns {Array<Element>}
+   */
+  queryAll(key, root = document) {
+    for (const selector of this.getCandidates(key)) {
+      const elements = root.querySelectorAll(selector);
+      if (elements.length > 0) {
+        this.remember(key, selector);
+        return Array.from(elements);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Remember working selector for a key
+   * @param {string} key - Key in SELECTORS
+   * @param {string} selector - Matching selector
+   */
+  remember(key, selector) {
+    if (this.lastMatch.get(key) === selector) {
+      return;
+    }
+
+    const candidates = Array.isArray(this.selectors[key]) ? this.selectors[key] : [this.selectors[key]];
+    if (candidates.indexOf(selector) > 0) {
+      this.logger.debug('Primary selector failed, using fallback', { key, selector });
+    }
+
+    this.lastMatch.set(key, selector);
+  }
+}
+
+// Export singleton instance
+export const selectorRegistry = new SelectorRegistry();
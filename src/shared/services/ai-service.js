@@ -3,7 +3,7 @@
 import { APIError, APIKeyError } from '../errors/index.js';
 import { logger } from '../logger/index.js';
 import { APIValidator } from '../validators/index.js';
-import { AnalysisResult, Segment } from '../models/index.js';
+import { AnalysisResult, Segment, Transcript } from '../models/index.js';
 import { CONFIG } from '../config.js';
 import { AIProvider } from './providers/index.js';
 
@@ -25,9 +25,10 @@ export class AIService {
    * @param {Transcript} transcript - Transcript to analyze
    * @param {AdvancedSettings} advancedSettings - Advanced settings
    * @param {Settings} userSettings - User settings (for enabled categories)
+   * @param {Object} confidenceAdjustments - Threshold increase per category, from user feedback
    * @returns {Promise<AnalysisResult>}
    */
-  async analyzeTranscript(transcript, advancedSettings, userSettings = null) {
+  async analyzeTranscript(transcript, advancedSettings, userSettings = null, confidenceAdjustments = {}) {
     const stopTimer = this.logger.time(`AI analysis for ${transcript.videoId}`);
 
     try {
@@ -36,48 +37,34 @@ export class AIService {
         ? this.getEnabledAICategories(userSettings)
         : null; // null means all categories
 
+      // Split long transcripts into overlapping time windows
+      const windows = this.splitIntoWindows(transcript);
+
       this.logger.info(`Starting AI analysis`, {
         videoId: transcript.videoId,
         model: advancedSettings.aiModel,
         wordCount: transcript.getWordCount(),
-        enabledCategories: enabledCategories || 'all'
+        enabledCategories: enabledCategories || 'all',
+        language: transcript.language || 'unknown',
+        windows: windows.length
       });
 
-      // Format transcript for AI
-      const formattedText = transcript.formatForAI();
-
-      // Create prompts
-      const systemPrompt = this.getSystemPrompt(enabledCategories);
-      const userMessage = this.getUserMessage(formattedText);
-
-      // Create request payload with enabled categories
-      const payload = this.provider.createPayload(systemPrompt, userMessage, advancedSettings.aiModel);
-
-      // Validate payload
-      APIValidator.validateRequestPayload(payload);
-
-      // Send request
-      const response = await this.provider.sendRequest(payload);
-
-      // Parse response (each provider handles its own response structure)
-      const parsed = this.provider.parseResponse(response);
-
-      // Validate parsed response
-      APIValidator.validateParsedResponse(parsed);
-
-      // Filter by confidence threshold
-      const filteredSegments = this.filterByConfidence(
-        parsed.segments,
-        advancedSettings.confidenceThreshold
-      );
+      const systemPrompt = this.getSystemPrompt(enabledCategories, transcript.language);
+      const categoryNames = enabledCategories ? enabledCategories.map(category => category.name) : null;
 
-      // Create segments
-      const segments = filteredSegments.map(s => Segment.fromAPI(s));
+      // Analyze the whole transcript at once, or window by window for long ones
+      const segments = windows.length > 1
+        ? await this.analyzeWindows(transcript, windows, systemPrompt, advancedSettings, confidenceAdjustments, categoryNames)
+        : await this.analyzeText(transcript.formatForAI(), systemPrompt, advancedSettings, confidenceAdjustments, categoryNames);
 
       // Create result
       const result = new AnalysisResult(transcript.videoId, segments, {
+        provider: this.provider.getName(),
         model: advancedSettings.aiModel,
         transcriptLength: transcript.getCharCount(),
+        language: transcript.language,
+        captionKind: transcript.captionKind,
+        chunkCount: windows.length,
         processingTime: stopTimer()
       });
 
@@ -98,6 +85,135 @@ export class AIService {
     }
   }
 
+  /**
+   * Send formatted transcript text to the provider and return segments
+   * @param {string} formattedText - Transcript formatted for AI
+   * @param {string} systemPrompt - System prompt
+   * @param {AdvancedSettings} advancedSettings - Advanced settings
+   * @param {Object} confidenceAdjustments - Threshold increase per category
+   * @param {Array<string>|null} categories - Enabled category names (null for all)
+   * @returns {Promise<Array<Segment>>}
+   */
+  async analyzeText(formattedText, systemPrompt, advancedSettings, confidenceAdjustments = {}, categories = null) {
+    const userMessage = this.getUserMessage(formattedText);
+
+    // Create request payload with enabled categories
+    const payload = this.provider.createPayload(systemPrompt, userMessage, advancedSettings.aiModel, { categories });
+
+    // Validate payload
+    APIValidator.validateRequestPayload(payload);
+
+    // Send request
+    const response = await this.provider.sendRequest(payload);
+
+    // Parse response (each provider handles its own response structure)
+    const parsed = this.provider.parseResponse(response);
+
+    // Validate parsed response
+    APIValidator.validateParsedResponse(parsed);
+
+    // Filter by confidence threshold
+    const filteredSegments = this.filterByConfidence(
+      parsed.segments,
+      advancedSettings.confidenceThreshold,
+      confidenceAdjustments
+    );
+
+    return filteredSegments.map(s => Segment.fromAPI(s));
+  }
+
+  /**
+   * Analyze each window separately and stitch the results together
+   * @param {Transcript} transcript - Full transcript
+   * @param {Array<Object>} windows - Time windows ({start, end})
+   * @param {string} systemPrompt - System prompt
+   * @param {AdvancedSettings} advancedSettings - Advanced settings
+   * @param {Object} confidenceAdjustments - Threshold increase per category
+   * @param {Array<string>|null} categories - Enabled category names (null for all)
+   * @returns {Promise<Array<Segment>>}
+   */
+  async analyzeWindows(transcript, windows, systemPrompt, advancedSettings, confidenceAdjustments = {}, categories = null) {
+    const results = [];
+
+    // Sequential on purpose: parallel requests quickly hit provider rate limits
+    for (const [index, window] of windows.entries()) {
+      const windowSegments = transcript.getSegmentsInRange(window.start, window.end);
+
+      if (windowSegments.length === 0) {
+        this.logger.debug(`Skipping empty window`, { index, ...window });
+        continue;
+      }
+
+      const windowTranscript = Transcript.fromDOM(
+        windowSegments,
+        transcript.videoId,
+        transcript.channelId,
+        transcript.language,
+        transcript.captionKind
+      );
+
+      this.logger.debug(`Analyzing window ${index + 1}/${windows.length}`, {
+        start: window.start,
+        end: window.end,
+        transcriptSegments: windowSegments.length
+      });
+
+      const segments = await this.analyzeText(
+        windowTranscript.formatForAI(),
+        systemPrompt,
+        advancedSettings,
+        confidenceAdjustments,
+        categories
+      );
+
+      results.push(new AnalysisResult(transcript.videoId, segments, {
+        model: advancedSettings.aiModel
+      }));
+    }
+
+    if (results.length === 0) {
+      return [];
+    }
+
+    // Segments crossing a window boundary are reported by both windows;
+    // merging overlaps (and near-touching same-category segments) rejoins them
+    const merged = AnalysisResult.merge(results, CONFIG.ANALYSIS.CHUNK_MERGE_GAP_SECONDS);
+
+    this.logger.debug(`Windows merged`, {
+      windows: results.length,
+      segments: merged.getSegmentCount()
+    });
+
+    return merged.segments;
+  }
+
+  /**
+   * Split transcript into overlapping time windows
+   * @param {Transcript} transcript - Transcript to split
+   * @returns {Array<Object>} Windows as {start, end} in seconds (single window if short or the provider has no context limit)
+   */
+  splitIntoWindows(transcript) {
+    const { CHUNK_THRESHOLD_SECONDS, CHUNK_WINDOW_SECONDS, CHUNK_OVERLAP_SECONDS } = CONFIG.ANALYSIS;
+
+    const lastSegment = transcript.segments[transcript.segments.length - 1];
+    const duration = lastSegment?.time || 0;
+
+    if (duration <= CHUNK_THRESHOLD_SECONDS || this.provider.handlesLongTranscripts()) {
+      return [{ start: 0, end: Infinity }];
+    }
+
+    const step = CHUNK_WINDOW_SECONDS - CHUNK_OVERLAP_SECONDS;
+    const windows = [];
+
+    for (let start = 0; start < duration; start += step) {
+      windows.push({ start, end: start + CHUNK_WINDOW_SECONDS });
+
+      if (start + CHUNK_WINDOW_SECONDS > duration) break;
+    }
+
+    return windows;
+  }
+
   /**
    * Get enabled AI categories from user settings
    * @param {Settings} userSettings - User settings
@@ -141,15 +257,26 @@ export class AIService {
       });
     }
 
+    // User-defined categories are sent under their id, described in the user's words
+    userSettings.customCategories
+      .filter(custom => custom.enabled)
+      .forEach(custom => {
+        categories.push({
+          name: custom.id,
+          description: custom.description
+        });
+      });
+
     return categories;
   }
 
   /**
    * Get system prompt
    * @param {Array<Object>} enabledCategories - Enabled categories (null = all)
+   * @param {string|null} language - Transcript language code (null = unknown)
    * @returns {string}
    */
-  getSystemPrompt(enabledCategories = null) {
+  getSystemPrompt(enabledCategories = null, language = null) {
     // Default categories if none specified
     const defaultCategories = [
       { name: 'sponsorships', description: 'Paid promotions, sponsored content' },
@@ -171,6 +298,15 @@ export class AIService {
     // Build allowed categories for validation
     const allowedCategories = categoriesToUse.map(cat => cat.name).join(', ');
 
+    // Tell the model which language it is reading (cues below are English examples)
+    const languageSection = language
+      ? `
+<transcript_language>
+The transcript is in ${AIService.getLanguageName(language)} (${language}). Look for the equivalent phrases in that language. Write descriptions in English.
+</transcript_language>
+`
+      : '';
+
     return `Analyze this YouTube video transcript to identify segments viewers might want to skip.
 
 <objective>
@@ -178,7 +314,7 @@ Your task is to identify time ranges in the transcript that fall into these spec
 
 ${categoryList}
 </objective>
-
+${languageSection}
 <analysis_steps>
 Follow these steps to analyze the transcript:
 
@@ -242,6 +378,19 @@ Example of what NOT to flag:
 </examples>`;
   }
 
+  /**
+   * Get English display name of a language code
+   * @param {string} code - Language code (e.g. 'it', 'pt-BR')
+   * @returns {string}
+   */
+  static getLanguageName(code) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
   /**
    * Get user message
    * @param {string} text - Formatted transcript
@@ -259,17 +408,19 @@ Analyze the transcript above and return your analysis as a JSON object containin
    * Filter segments by confidence threshold
    * @param {Array} segments - Segments from AI
    * @param {number} threshold - Minimum confidence
+   * @param {Object} adjustments - Threshold increase per category (categories the user often rejects)
    * @returns {Array}
    */
-  filterByConfidence(segments, threshold) {
+  filterByConfidence(segments, threshold, adjustments = {}) {
     const filtered = segments.filter(segment => {
-      return segment.confidence >= threshold;
+      return segment.confidence >= Math.min(1, threshold + (adjustments[segment.category] || 0));
     });
 
     this.logger.debug(`Filtered by confidence`, {
       original: segments.length,
       filtered: filtered.length,
-      threshold
+      threshold,
+      adjustments
     });
 
     return filtered;
@@ -277,10 +428,21 @@ Analyze the transcript above and return your analysis as a JSON object containin
 
   /**
    * Translate AI category to display name
-   * @param {string} category - AI category
+   * @param {string} category - AI category (merged segments use "a + b")
+   * @param {Array<Object>} customCategories - User-defined categories ({id, name})
    * @returns {string}
    */
-  static translateCategory(category) {
+  static translateCategory(category, customCategories = []) {
+    if (category.includes(' + ')) {
+      return category
+        .split(' + ')
+        .map(part => AIService.translateCategory(part, customCategories))
+        .join(' + ');
+    }
+
+    const custom = customCategories.find(c => c.id === category);
+    if (custom) return custom.name;
+
     const categoryLower = category.toLowerCase();
 
     if (categoryLower.includes('sponsor')) return 'Sponsor';
@@ -37,8 +37,9 @@ export class AnalyticsService {
    * Track segment skip
    * @param {Segment} segment - Skipped segment
    * @param {string} videoId - Video ID
+   * @param {string} categoryName - Display name used as stats key (defaults to the AI category)
    */
-  async trackSegmentSkip(segment, videoId) {
+  async trackSegmentSkip(segment, videoId, categoryName = segment.category) {
     try {
       const duration = segment.getDuration();
 
@@ -47,11 +48,11 @@ export class AnalyticsService {
       this.sessionData.totalTimeSaved += duration;
 
       // Update persistent stats
-      await this.statsRepo.incrementSkip(segment.category, duration);
+      await this.statsRepo.incrementSkip(categoryName, duration);
 
       this.logger.info(`Segment skip tracked`, {
         videoId,
-        category: segment.category,
+        category: categoryName,
         duration,
         sessionTotal: this.sessionData.segmentsSkipped
       });
@@ -60,6 +61,31 @@ export class AnalyticsService {
     }
   }
 
+  /**
+   * Track skip undone by the user (not counted as time saved)
+   * @param {Segment} segment - Segment whose skip was undone
+   * @param {string} videoId - Video ID
+   * @param {string} categoryName - Category name passed to trackSegmentSkip
+   */
+  async trackSkipUndo(segment, videoId, categoryName = segment.category) {
+    try {
+      const duration = segment.getDuration();
+
+      this.sessionData.segmentsSkipped = Math.max(0, this.sessionData.segmentsSkipped - 1);
+      this.sessionData.totalTimeSaved = Math.max(0, this.sessionData.totalTimeSaved - duration);
+
+      await this.statsRepo.recordUndo(categoryName, duration);
+
+      this.logger.info(`Skip undo tracked`, {
+        videoId,
+        category: categoryName,
+        duration
+      });
+    } catch (error) {
+      this.logger.error(`Failed to track undo`, { error: error.message });
+    }
+  }
+
   /**
    * Track analysis completion
    * @param {string} videoId - Video ID
@@ -13,16 +13,33 @@ export class AIProvider {
       throw new Error('AIProvider is an abstract class and cannot be instantiated directly');
     }
 
-    if (!apiKey || apiKey.length < 20) {
+    if (this.requiresAPIKey() && (!apiKey || apiKey.length < 20)) {
       throw new APIKeyError('Valid API key required');
     }
 
-    this.apiKey = apiKey;
+    this.apiKey = apiKey || null;
     this.config = config;
     this.logger = logger.child(`${this.constructor.name}`);
     this.timeout = config.timeout || 60000; // 60 seconds default
   }
 
+  /**
+   * Whether this provider needs an API key (can be overridden)
+   * @returns {boolean}
+   */
+  requiresAPIKey() {
+    return true;
+  }
+
+  /**
+   * Whether whole long transcripts can be sent at once (can be overridden)
+   * Otherwise AIService splits them into windows that fit the model's context
+   * @returns {boolean}
+   */
+  handlesLongTranscripts() {
+    return false;
+  }
+
   /**
    * Get provider name
    * @returns {string}
@@ -53,9 +70,11 @@ export class AIProvider {
    * @param {string} systemPrompt - System prompt
    * @param {string} userMessage - User message
    * @param {string} model - Model identifier
+   * @param {Object} options - Request details outside the prompt
+   * @param {Array<string>|null} options.categories - Enabled category names (null for all)
    * @returns {Object} Provider-specific payload
    */
-  createPayload(systemPrompt, userMessage, model) {
+  createPayload(systemPrompt, userMessage, model, options = {}) {
     throw new Error('createPayload() must be implemented by subclass');
   }
 
@@ -1,7 +1,7 @@
 // claude-provider.js - Anthropic Claude AI provider
 
 import { AIProvider } from './base-provider.js';
-import { APIError, APITimeoutError } from '../../errors/index.js';
+import { APIError, APIConnectionError, APITimeoutError } from '../../errors/index.js';
 
 /**
  * ClaudeProvider - Anthropic Claude implementation
@@ -124,6 +124,14 @@ export class ClaudeProvider extends AIProvider {
         throw new APITimeoutError(this.timeout);
       }
 
+      // fetch rejects with TypeError when offline or the connection fails
+      if (error instanceof TypeError) {
+        throw new APIConnectionError(
+          `Cannot reach the Claude API. Check your internet connection.`,
+          { originalError: error.message }
+        );
+      }
+
       throw error;
     }
   }
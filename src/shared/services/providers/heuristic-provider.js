@@ -0,0 +1,350 @@
+// heuristic-provider.js - Offline rule-based segment detector (no API key, no network)
+
+import { AIProvider } from './base-provider.js';
+import { APIError } from '../../errors/index.js';
+
+/**
+ * Phrase rules per AI category (same cues as the analysis_steps of the AI prompt)
+ * - weight: confidence contributed by a single matching line
+ * - maxGap: seconds between cues that still belong to the same segment
+ * - tail: seconds kept after the last cue
+ * - position: 'start' / 'end' restricts cues to the beginning / end of the video
+ */
+const RULES = {
+  sponsorships: {
+    maxGap: 45,
+    tail: 20,
+    patterns: [
+      { pattern: /\b(this|today's) (video|episode) is (sponsored|brought to you) by\b/i, weight: 0.9 },
+      { pattern: /\btoday's sponsor\b/i, weight: 0.9 },
+      { pattern: /\b(thanks|thank you) to [\w .'-]+ for sponsoring\b/i, weight: 0.9 },
+      { pattern: /\bsponsored by\b/i, weight: 0.8 },
+      { pattern: /\bbrought to you by\b/i, weight: 0.75 },
+      { pattern: /\b(use|with) (my |the )?(promo |discount |coupon )?code\b/i, weight: 0.6 },
+      { pattern: /\b\d+ ?(%|percent) off\b/i, weight: 0.5 },
+      { pattern: /\bfirst \d+ (people|viewers|customers)\b/i, weight: 0.5 },
+      { pattern: /\bfree trial\b/i, weight: 0.45 },
+      { pattern: /\blink (is )?(below|in the description)\b/i, weight: 0.35 }
+    ]
+  },
+  intro: {
+    position: 'start',
+    maxGap: 20,
+    tail: 5,
+    patterns: [
+      { pattern: /\bwelcome (back )?to (my|the|this|our) (channel|video|show|podcast)\b/i, weight: 0.85 },
+      { pattern: /\bwelcome back\b/i, weight: 0.75 },
+      { pattern: /\b(hey|hi|hello|what's up),? (guys|everyone|everybody|folks)\b/i, weight: 0.7 },
+      { pattern: /\b(episode|part) (number )?\d+\b/i, weight: 0.4 },
+      { pattern: /^\s*\[(music|intro music)\]\s*$/i, weight: 0.5 }
+    ]
+  },
+  outro: {
+    position: 'end',
+    maxGap: 30,
+    tail: 0,
+    patterns: [
+      { pattern: /\bthanks? (you )?(so much )?for watching\b/i, weight: 0.9 },
+      { pattern: /\b(see you|catch you) (guys )?(in the )?next (time|video|one|week)\b/i, weight: 0.85 },
+      { pattern: /\buntil next time\b/i, weight: 0.8 },
+      { pattern: /\bthat's (it|all) for (today|this video|this episode)\b/i, weight: 0.8 },
+      { pattern: /\bdon't forget to (like|subscribe|hit)\b/i, weight: 0.7 },
+      { pattern: /\b(like and subscribe|hit (that|the) subscribe)\b/i, weight: 0.7 },
+      { pattern: /\bbell (icon|notification)\b/i, weight: 0.5 }
+    ]
+  },
+  donations: {
+    maxGap: 40,
+    tail: 10,
+    patterns: [
+      { pattern: /\bsuper ?chats?\b/i, weight: 0.8 },
+      { pattern: /\b(thanks|thank you) (so much )?(to )?(all )?(my |our )?(patrons|patreon supporters|channel members)\b/i, weight: 0.85 },
+      { pattern: /\bpatreon\b/i, weight: 0.6 },
+      { pattern: /\b(thanks|thank you) (so much )?for the (donation|tip|dono)\b/i, weight: 0.8 },
+      { pattern: /\bdonat(ed|ion|ions)\b/i, weight: 0.45 }
+    ]
+  },
+  channel_self_promo: {
+    maxGap: 30,
+    tail: 10,
+    patterns: [
+      { pattern: /\b(check out|grab|get) (my|our) (merch|new merch)\b/i, weight: 0.85 },
+      { pattern: /\bjoin (the|my|our) discord\b/i, weight: 0.85 },
+      { pattern: /\b(my|our) (second|other) channel\b/i, weight: 0.7 },
+      { pattern: /\b(my|our) (new )?(course|newsletter|podcast|book)\b/i, weight: 0.5 },
+      { pattern: /\bfollow (me|us) on (twitter|instagram|tiktok|x)\b/i, weight: 0.75 },
+      { pattern: /\bmerch\b/i, weight: 0.5 }
+    ]
+  }
+};
+
+// Share of the video (and minimum seconds) where intro/outro cues are believable
+const EDGE_FRACTION = 0.15;
+const EDGE_MIN_SECONDS = 90;
+
+// Rules never claim the certainty of a model reading the whole context
+const MAX_CONFIDENCE = 0.95;
+const MIN_CONFIDENCE = 0.5;
+
+/**
+ * HeuristicProvider - Detects segments with phrase rules, usable without an API key
+ * Exposes the AIProvider interface so AIService can treat it like any other provider:
+ * the "request" is evaluated locally from the formatted transcript and the enabled categories.
+ */
+export class HeuristicProvider extends AIProvider {
+  constructor(apiKey, config = {}) {
+    super(apiKey, config);
+    this.model = config.model || 'keyword-rules-v1';
+  }
+
+  /**
+   * Rules run locally, no key needed
+   * @returns {boolean}
+   */
+  requiresAPIKey() {
+    return false;
+  }
+
+  /**
+   * No context limit, and start/end rules need the whole video's duration
+   * @returns {boolean}
+   */
+  handlesLongTranscripts() {
+    return true;
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getName() {
+    return 'heuristic';
+  }
+
+  /**
+   * Get available models
+   * @returns {Object}
+   */
+  getAvailableModels() {
+    return {
+      'rules': this.model
+    };
+  }
+
+  /**
+   * Any value is accepted (key is unused)
+   * @param {string} apiKey - API key to validate
+   * @returns {boolean}
+   */
+  static validateAPIKey(apiKey) {
+    return true;
+  }
+
+  /**
+   * Create request payload in chat format
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userMessage - User message
+   * @param {string} model - Model identifier
+   * @param {Object} options - Request details outside the prompt
+   * @param {Array<string>|null} options.categories - Enabled category names (null for all)
+   * @returns {Object}
+   */
+  createPayload(systemPrompt, userMessage, model, { categories = null } = {}) {
+    const models = this.getAvailableModels();
+
+    return {
+      model: models[model] || this.model,
+      categories,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user',
+          content: userMessage
+        }
+      ]
+    };
+  }
+
+  /**
+   * Evaluate the rules against the transcript in the payload
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Response as {segments}
+   */
+  async sendRequest(payload) {
+    const userMessage = payload.messages.find(m => m.role === 'user')?.content || '';
+
+    const lines = HeuristicProvider.parseTranscriptLines(userMessage);
+    const categories = HeuristicProvider.getRuleCategories(payload.categories);
+
+    const segments = this.detectSegments(lines, categories);
+
+    this.logger.debug('Heuristic detection complete', {
+      lines: lines.length,
+      categories,
+      segments: segments.length
+    });
+
+    return { segments };
+  }
+
+  /**
+   * Response is already in the standard format
+   * @param {Object} response - Response from sendRequest
+   * @returns {Object}
+   */
+  parseResponse(response) {
+    if (!response || !Array.isArray(response.segments)) {
+      throw new APIError('Invalid heuristic detector response', 0);
+    }
+
+    return { segments: response.segments };
+  }
+
+  /**
+   * Create test payload
+   * @returns {Object}
+   */
+  createTestPayload() {
+    return this.createPayload('test', '[0s] test', 'rules');
+  }
+
+  /**
+   * Extract timestamped lines ("[12s] text") from the user message
+   * @param {string} userMessage - User message containing the formatted transcript
+   * @returns {Array<Object>} Lines as {time, text}
+   */
+  static parseTranscriptLines(userMessage) {
+    const lines = [];
+    const linePattern = /^\[(\d+)s\] (.*)$/gm;
+    let match;
+
+    while ((match = linePattern.exec(userMessage)) !== null) {
+      lines.push({ time: parseInt(match[1], 10), text: match[2] });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Get the enabled categories that have rules (custom categories have none)
+   * @param {Array<string>|null} categories - Enabled category names, null for all
+   * @returns {Array<string>}
+   */
+  static getRuleCategories(categories) {
+    if (!categories) {
+      return Object.keys(RULES);
+    }
+
+    return categories.filter(name => RULES[name]);
+  }
+
+  /**
+   * Detect segments for the given categories
+   * @param {Array<Object>} lines - Transcript lines ({time, text})
+   * @param {Array<string>} categories - Category names
+   * @returns {Array<Object>} Segments in API format
+   */
+  detectSegments(lines, categories) {
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const duration = lines[lines.length - 1].time;
+    const edge = Math.max(EDGE_MIN_SECONDS, duration * EDGE_FRACTION);
+    const segments = [];
+
+    categories.forEach(category => {
+      const rule = RULES[category];
+
+      const hits = [];
+      lines.forEach((line, index) => {
+        if (rule.position === 'start' && line.time > edge) return;
+        if (rule.position === 'end' && line.time < duration - edge) return;
+
+        const matches = rule.patterns.filter(p => p.pattern.test(line.text));
+        if (matches.length === 0) return;
+
+        const best = matches.reduce((a, b) => (b.weight > a.weight ? b : a));
+        hits.push({ index, time: line.time, weight: best.weight, phrase: line.text.match(best.pattern)[0] });
+      });
+
+      this.clusterHits(hits, rule.maxGap).forEach(cluster => {
+        const segment = this.buildSegment(category, rule, cluster, lines, duration);
+        if (segment) {
+          segments.push(segment);
+        }
+      });
+    });
+
+    return segments.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Group hits that are close together
+   * @param {Array<Object>} hits - Matching lines sorted by time
+   * @param {number} maxGap - Maximum seconds between hits of one cluster
+   * @returns {Array<Array<Object>>}
+   */
+  clusterHits(hits, maxGap) {
+    const clusters = [];
+
+    hits.forEach(hit => {
+      const current = clusters[clusters.length - 1];
+      const last = current?.[current.length - 1];
+
+      if (last && hit.time - last.time <= maxGap) {
+        current.push(hit);
+      } else {
+        clusters.push([hit]);
+      }
+    });
+
+    return clusters;
+  }
+
+  /**
+   * Turn a cluster of hits into a segment with heuristic confidence
+   * @param {string} category - Category name
+   * @param {Object} rule - Category rule
+   * @param {Array<Object>} cluster - Hits in the cluster
+   * @param {Array<Object>} lines - All transcript lines
+   * @param {number} duration - Time of the last transcript line
+   * @returns {Object|null} Segment in API format, null when too uncertain
+   */
+  buildSegment(category, rule, cluster, lines, duration) {
+    // Independent cues reinforce each other: 1 - Π(1 - weight)
+    const miss = cluster.reduce((product, hit) => product * (1 - hit.weight), 1);
+    const confidence = Math.min(MAX_CONFIDENCE, Math.round((1 - miss) * 100) / 100);
+
+    if (confidence < MIN_CONFIDENCE) {
+      return null;
+    }
+
+    const first = cluster[0];
+    const last = cluster[cluster.length - 1];
+
+    // A line lasts until the next one starts
+    const lastLineEnd = lines[last.index + 1]?.time ?? duration;
+
+    let start = first.time;
+    let end = Math.min(duration, Math.max(lastLineEnd, last.time + rule.tail));
+
+    if (rule.position === 'start') start = 0;
+    if (rule.position === 'end') end = Math.max(end, duration);
+
+    if (end <= start) {
+      end = start + 1;
+    }
+
+    return {
+      start: Math.floor(start),
+      end: Math.ceil(end),
+      category,
+      confidence,
+      description: `Matched "${first.phrase}"`
+    };
+  }
+}
@@ -3,12 +3,17 @@
 import { AIProvider } from './base-provider.js';
 import { ClaudeProvider } from './claude-provider.js';
 import { OpenAIProvider } from './openai-provider.js';
+import { LocalProvider } from './local-provider.js';
+import { HeuristicProvider } from './heuristic-provider.js';
 
-export { AIProvider, ClaudeProvider, OpenAIProvider };
+export { AIProvider, ClaudeProvider, OpenAIProvider, LocalProvider, HeuristicProvider };
+
+// Providers that work without an API key
+const KEYLESS_PROVIDERS = ['local', 'heuristic'];
 
 /**
  * Create AI provider instance based on type
- * @param {string} providerType - Provider type ('claude' or 'openai')
+ * @param {string} providerType - Provider type ('claude', 'openai', 'local' or 'heuristic')
  * @param {string} apiKey - API key
  * @param {Object} config - Provider configuration
  * @returns {AIProvider}
@@ -16,7 +21,9 @@ export { AIProvider, ClaudeProvider, OpenAIProvider };
 export function createProvider(providerType, apiKey, config = {}) {
   const providers = {
     'claude': () => new ClaudeProvider(apiKey, config),
-    'openai': () => new OpenAIProvider(apiKey, config)
+    'openai': () => new OpenAIProvider(apiKey, config),
+    'local': () => new LocalProvider(apiKey, config),
+    'heuristic': () => new HeuristicProvider(apiKey, config)
   };
 
   const providerFactory = providers[providerType.toLowerCase()];
@@ -37,7 +44,9 @@ export function createProvider(providerType, apiKey, config = {}) {
 export function validateProviderAPIKey(providerType, apiKey) {
   const validators = {
     'claude': () => ClaudeProvider.validateAPIKey(apiKey),
-    'openai': () => OpenAIProvider.validateAPIKey(apiKey)
+    'openai': () => OpenAIProvider.validateAPIKey(apiKey),
+    'local': () => LocalProvider.validateAPIKey(apiKey),
+    'heuristic': () => HeuristicProvider.validateAPIKey(apiKey)
   };
 
   const validator = validators[providerType.toLowerCase()];
@@ -48,3 +57,12 @@ export function validateProviderAPIKey(providerType, apiKey) {
 
   return validator();
 }
+
+/**
+ * Check whether a provider needs an API key to work
+ * @param {string} providerType - Provider type
+ * @returns {boolean}
+ */
+export function providerRequiresAPIKey(providerType) {
+  return !KEYLESS_PROVIDERS.includes(providerType.toLowerCase());
+}
@@ -0,0 +1,230 @@
+// local-provider.js - Local / OpenAI-compatible AI provider (Ollama, LM Studio, llama.cpp)
+
+import { AIProvider } from './base-provider.js';
+import { APIError, APIConnectionError, APITimeoutError } from '../../errors/index.js';
+
+/**
+ * LocalProvider - OpenAI-compatible chat completions server running on the user's machine or network
+ */
+export class LocalProvider extends AIProvider {
+  constructor(apiKey, config = {}) {
+    super(apiKey, config);
+    this.baseUrl = LocalProvider.normalizeEndpoint(
+      config.baseUrl || 'http://localhost:11434/v1/chat/completions'
+    );
+    this.model = config.model || 'llama3.1';
+  }
+
+  /**
+   * Local servers usually run without authentication
+   * @returns {boolean}
+   */
+  requiresAPIKey() {
+    return false;
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getName() {
+    return 'local';
+  }
+
+  /**
+   * Get available models
+   * @returns {Object}
+   */
+  getAvailableModels() {
+    return {
+      'local': this.model
+    };
+  }
+
+  /**
+   * Validate optional API key (empty is allowed)
+   * @param {string} apiKey - API key to validate
+   * @returns {boolean}
+   */
+  static validateAPIKey(apiKey) {
+    if (apiKey === undefined || apiKey === null || apiKey === '') {
+      return true;
+    }
+
+    if (typeof apiKey !== 'string') {
+      return false;
+    }
+
+    // Keys are sent as a bearer token, so whitespace is never valid
+    return !/\s/.test(apiKey);
+  }
+
+  /**
+   * Normalize a base URL to a chat completions endpoint
+   * Accepts "http://host:port", "http://host:port/v1" or the full endpoint
+   * @param {string} url - User-provided URL
+   * @returns {string}
+   */
+  static normalizeEndpoint(url) {
+    const trimmed = url.trim().replace(/\/+$/, '');
+
+    if (trimmed.endsWith('/chat/completions')) {
+      return trimmed;
+    }
+
+    if (trimmed.endsWith('/v1')) {
+      return `${trimmed}/chat/completions`;
+    }
+
+    return `${trimmed}/v1/chat/completions`;
+  }
+
+  /**
+   * Create request payload for an OpenAI-compatible server
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userMessage - User message
+   * @param {string} model - Model identifier (ignored, the configured local model is used)
+   * @returns {Object}
+   */
+  createPayload(systemPrompt, userMessage, model) {
+    const models = this.getAvailableModels();
+    const modelId = models[model] || this.model;
+
+    // response_format is omitted: support for json_object varies between servers
+    return {
+      model: modelId,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user',
+          content: userMessage
+        }
+      ],
+      temperature: 0.3,
+      max_tokens: 4096,
+      stream: false
+    };
+  }
+
+  /**
+   * Send request to the local server
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>}
+   */
+  async sendRequest(payload) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      this.logger.debug('Sending request to local model server', {
+        endpoint: this.baseUrl,
+        model: payload.model
+      });
+
+      const headers = {
+        'Content-Type': 'application/json'
+      };
+
+      if (this.apiKey) {
+        headers['Authorization'] = `Bearer ${this.apiKey}`;
+      }
+
+      const response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        // Servers answer {error: {message}}, {error: 'text'} or an error object without message
+        const serverMessage = typeof errorData.error === 'string' ? errorData.error : errorData.error?.message;
+        throw new APIError(
+          serverMessage || `Local model request failed: ${response.status} ${response.statusText}`.trim(),
+          response.status,
+          errorData
+        );
+      }
+
+      const data = await response.json();
+      return data;
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      if (error.name === 'AbortError') {
+        throw new APITimeoutError(this.timeout);
+      }
+
+      // fetch rejects with TypeError when the server is down or blocks the extension origin
+      if (error instanceof TypeError) {
+        throw new APIConnectionError(
+          `Cannot reach local model server at ${this.baseUrl}. Check that it is running and allows requests from the extension.`,
+          { originalError: error.message }
+        );
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Parse OpenAI-compatible response
+   * @param {Object} response - Server response
+   * @returns {Object}
+   */
+  parseResponse(response) {
+    try {
+      const messageContent = response.choices?.[0]?.message?.content;
+
+      if (!messageContent) {
+        throw new Error('No message content in local model response');
+      }
+
+      let jsonText = messageContent.trim();
+
+      // Remove markdown code blocks if present
+      jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+
+      // Smaller models often wrap the JSON in prose; keep the outermost object
+      const firstBrace = jsonText.indexOf('{');
+      const lastBrace = jsonText.lastIndexOf('}');
+      if (firstBrace > 0 || (lastBrace !== -1 && lastBrace < jsonText.length - 1)) {
+        jsonText = jsonText.substring(firstBrace, lastBrace + 1);
+      }
+
+      const parsed = JSON.parse(jsonText);
+
+      return parsed;
+    } catch (error) {
+      this.logger.error('Failed to parse local model response', {
+        error: error.message,
+        response: JSON.stringify(response).substring(0, 200)
+      });
+      throw new APIError('Failed to parse local model response', 0, { originalError: error.message });
+    }
+  }
+
+  /**
+   * Create test payload
+   * @returns {Object}
+   */
+  createTestPayload() {
+    return {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: 'Hello'
+        }
+      ],
+      max_tokens: 10,
+      stream: false
+    };
+  }
+}
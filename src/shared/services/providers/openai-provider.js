@@ -1,7 +1,7 @@
 // openai-provider.js - OpenAI AI provider
 
 import { AIProvider } from './base-provider.js';
-import { APIError, APITimeoutError } from '../../errors/index.js';
+import { APIError, APIConnectionError, APITimeoutError } from '../../errors/index.js';
 
 /**
  * OpenAIProvider - OpenAI implementation
@@ -126,6 +126,14 @@ export class OpenAIProvider extends AIProvider {
         throw new APITimeoutError(this.timeout);
       }
 
+      // fetch rejects with TypeError when offline or the connection fails
+      if (error instanceof TypeError) {
+        throw new APIConnectionError(
+          `Cannot reach the OpenAI API. Check your internet connection.`,
+          { originalError: error.message }
+        );
+      }
+
       throw error;
     }
   }
@@ -2,7 +2,7 @@
 
 import { StorageError, StorageQuotaError } from '../errors/index.js';
 import { logger } from '../logger/index.js';
-import { CacheRepository, SettingsRepository, StatsRepository } from '../repositories/index.js';
+import { CacheRepository, SettingsRepository, StatsRepository, FeedbackRepository } from '../repositories/index.js';
 
 /**
  * StorageService - Orchestrates all storage operations
@@ -12,6 +12,7 @@ export class StorageService {
     this.cacheRepo = new CacheRepository();
     this.settingsRepo = new SettingsRepository();
     this.statsRepo = new StatsRepository();
+    this.feedbackRepo = new FeedbackRepository();
     this.logger = logger.child('StorageService');
   }
 
@@ -23,7 +24,10 @@ export class StorageService {
    * @returns {Promise<AnalysisResult|null>}
    */
   async getCachedAnalysis(videoId) {
-    return await this.cacheRepo.get(videoId);
+    const result = await this.cacheRepo.get(videoId);
+
+    // Only user segments are stored, the video has not been analyzed (again) yet
+    return result && !result.needsAnalysis() ? result : null;
   }
 
   /**
@@ -45,6 +49,37 @@ export class StorageService {
     await this.cacheRepo.invalidate(videoId);
   }
 
+  /**
+   * Get segments added or edited by the user, analyzed or not
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Array<Segment>>}
+   */
+  async getUserSegments(videoId) {
+    const result = await this.cacheRepo.get(videoId);
+    return result ? result.getUserSegments() : [];
+  }
+
+  /**
+   * Save a segment added or edited by the user
+   * @param {string} videoId - Video ID
+   * @param {Segment} segment - User segment
+   * @param {Segment|null} replaced - Segment it was edited from
+   * @returns {Promise<AnalysisResult>}
+   */
+  async saveUserSegment(videoId, segment, replaced = null) {
+    return await this.cacheRepo.saveUserSegment(videoId, segment, replaced);
+  }
+
+  /**
+   * Remove a segment from the cached analysis
+   * @param {string} videoId - Video ID
+   * @param {Segment} segment - Segment removed
+   * @returns {Promise<void>}
+   */
+  async removeCachedSegment(videoId, segment) {
+    await this.cacheRepo.removeSegment(videoId, segment);
+  }
+
   /**
    * Clean stale cache entries
    * @param {number} maxAgeMs - Maximum age
@@ -123,6 +158,50 @@ export class StorageService {
     return await this.settingsRepo.getAllSettings();
   }
 
+  /**
+   * Get settings with the profile of a channel applied
+   * @param {string} channelId - Channel ID or handle
+   * @returns {Promise<Object>} {settings, advancedSettings, profile}
+   */
+  async getSettingsForChannel(channelId) {
+    return await this.settingsRepo.getSettingsForChannel(channelId);
+  }
+
+  /**
+   * Get all channel profiles
+   * @returns {Promise<Array<ChannelProfile>>}
+   */
+  async getChannelProfiles() {
+    return await this.settingsRepo.getChannelProfiles();
+  }
+
+  /**
+   * Get profile of a channel
+   * @param {string} channelId - Channel ID or handle
+   * @returns {Promise<ChannelProfile|null>}
+   */
+  async getChannelProfile(channelId) {
+    return await this.settingsRepo.getChannelProfile(channelId);
+  }
+
+  /**
+   * Create or replace the profile of a channel
+   * @param {ChannelProfile} profile - Profile to save
+   * @returns {Promise<void>}
+   */
+  async saveChannelProfile(profile) {
+    await this.settingsRepo.saveChannelProfile(profile);
+  }
+
+  /**
+   * Remove profile of a channel
+   * @param {string} channelId - Channel ID or handle
+   * @returns {Promise<void>}
+   */
+  async removeChannelProfile(channelId) {
+    await this.settingsRepo.removeChannelProfile(channelId);
+  }
+
   /**
    * Check if channel is whitelisted
    * @param {string} channelId - Channel ID
@@ -227,6 +306,57 @@ export class StorageService {
     return await this.statsRepo.exportStats();
   }
 
+  // ==================== Feedback Operations ====================
+
+  /**
+   * Record feedback on a segment
+   * @param {Object} feedback - Feedback (see FeedbackRepository.recordFeedback)
+   * @returns {Promise<void>}
+   */
+  async recordFeedback(feedback) {
+    await this.feedbackRepo.recordFeedback(feedback);
+  }
+
+  /**
+   * Count segments a model detected
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {Array<Segment>} segments - Segments detected
+   * @returns {Promise<void>}
+   */
+  async recordDetections(provider, model, segments) {
+    await this.feedbackRepo.recordDetections(provider, model, segments);
+  }
+
+  /**
+   * Remove segments the user rejected on a video (matched by time, whatever their category)
+   * @param {string} videoId - Video ID
+   * @param {Array<Segment>} segments - Detected segments
+   * @returns {Promise<Array<Segment>>}
+   */
+  async removeRejectedSegments(videoId, segments) {
+    return await this.feedbackRepo.removeRejected(videoId, segments);
+  }
+
+  /**
+   * Get confidence threshold increases per category
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>}
+   */
+  async getConfidenceAdjustments(provider, model, channelId) {
+    return await this.feedbackRepo.getConfidenceAdjustments(provider, model, channelId);
+  }
+
+  /**
+   * Get precision per model and category
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPrecisionReport() {
+    return await this.feedbackRepo.getPrecisionReport();
+  }
+
   // ==================== Combined Operations ====================
 
   /**
@@ -343,7 +473,8 @@ export class StorageService {
         this.clearCache(),
         this.settingsRepo.resetSettings(),
         this.settingsRepo.resetAdvancedSettings(),
-        this.resetStats()
+        this.resetStats(),
+        this.feedbackRepo.resetFeedback()
       ]);
 
       this.logger.info(`All data cleared`);
@@ -4,17 +4,46 @@ import { TranscriptError, TranscriptNotAvailableError, TranscriptExtractionError
 import { logger } from '../logger/index.js';
 import { TranscriptValidator } from '../validators/index.js';
 import { Transcript } from '../models/index.js';
+import { BRIDGE, YOUTUBE } from '../constants.js';
+import { selectorRegistry } from '../selector-registry.js';
 
 /**
  * TranscriptService - Handles transcript extraction and processing
  */
 export class TranscriptService {
-  constructor() {
+  /**
+   * @param {PageBridgeClient} pageBridge - Bridge to the page world (null disables caption fetching)
+   */
+  constructor(pageBridge = null) {
+    this.pageBridge = pageBridge;
     this.logger = logger.child('TranscriptService');
     this.maxRetries = 10;
     this.retryDelay = 800;
   }
 
+  /**
+   * Extract transcript, fetching the caption track first and scraping the panel as fallback
+   * @param {string} videoId - Video ID
+   * @param {string} channelId - Channel ID
+   * @param {Object} captionPreferences - {languages, kind} from AdvancedSettings.getCaptionPreferences()
+   * @param {Object} options - Extraction options
+   * @param {boolean} options.captionsOnly - Skip the panel fallback (Shorts and embeds have no transcript panel)
+   * @returns {Promise<Transcript>}
+   */
+  async extract(videoId, channelId = '', captionPreferences = {}, { captionsOnly = false } = {}) {
+    const transcript = await this.extractFromPlayerConfig(videoId, channelId, captionPreferences);
+
+    if (transcript) {
+      return transcript;
+    }
+
+    if (captionsOnly) {
+      throw new TranscriptNotAvailableError(videoId);
+    }
+
+    return await this.extractFromDOM(videoId, channelId);
+  }
+
   /**
    * Extract transcript from DOM
    * @param {string} videoId - Video ID
@@ -67,32 +96,32 @@ export class TranscriptService {
 
   /**
    * Open transcript panel
+   * Works in any UI language: structural lookups first, localized labels last
    * @returns {Promise<boolean>}
    */
   async openTranscriptPanel() {
     try {
-      // Look for transcript button (multi-language support)
-      const transcriptButton = Array.from(document.querySelectorAll('button'))
-        .find(btn => {
-          const text = btn.textContent?.toLowerCase() || '';
-          return text.includes('transcript') || text.includes('trascrizione');
-        });
-
-      if (!transcriptButton) {
-        this.logger.debug(`Transcript button not found`);
-        return false;
-      }
-
       // Check if already open
-      const panel = document.querySelector('ytd-engagement-panel-section-list-renderer[target-id*="transcript"]');
+      const panel = selectorRegistry.query('TRANSCRIPT_PANEL');
       if (panel && panel.offsetParent !== null) {
         this.logger.debug(`Transcript panel already open`);
         return true;
       }
 
-      // Click button
-      transcriptButton.click();
-      this.logger.debug(`Clicked transcript button`);
+      // 1. "Show transcript" button of the description section
+      const transcriptButton = selectorRegistry.query('TRANSCRIPT_BUTTON') || this.findTranscriptButtonByLabel();
+
+      if (transcriptButton) {
+        transcriptButton.click();
+        this.logger.debug(`Clicked transcript button`);
+      } else if (panel) {
+        // 2. Panel is in the DOM but hidden: expand it through its visibility attribute
+        panel.setAttribute('visibility', YOUTUBE.TRANSCRIPT_PANEL_VISIBILITY.EXPANDED);
+        this.logger.debug(`Expanded hidden transcript panel`, { targetId: panel.getAttribute('target-id') });
+      } else {
+        this.logger.debug(`Transcript button not found`);
+        return false;
+      }
 
       // Wait for panel to appear
       await this.delay(500);
@@ -104,6 +133,18 @@ export class TranscriptService {
     }
   }
 
+  /**
+   * Find transcript button by aria-label or text (localized labels)
+   * @returns {Element|null}
+   */
+  findTranscriptButtonByLabel() {
+    return Array.from(document.querySelectorAll('button, [role="button"]'))
+      .find(btn => {
+        const label = `${btn.getAttribute('aria-label') || ''} ${btn.textContent || ''}`.toLowerCase();
+        return YOUTUBE.TRANSCRIPT_BUTTON_TEXT.some(text => label.includes(text));
+      }) || null;
+  }
+
   /**
    * Wait for transcript to load in DOM
    * @returns {Promise<Array>}
@@ -132,21 +173,21 @@ export class TranscriptService {
    */
   extractTranscriptData() {
     try {
-      const panel = document.querySelector('ytd-engagement-panel-section-list-renderer[target-id*="transcript"]');
+      const panel = selectorRegistry.query('TRANSCRIPT_PANEL');
 
       if (!panel) {
         return null;
       }
 
-      const segments = panel.querySelectorAll('ytd-transcript-segment-renderer');
+      const segments = selectorRegistry.queryAll('TRANSCRIPT_SEGMENTS', panel);
 
-      if (!segments || segments.length === 0) {
+      if (segments.length === 0) {
         return null;
       }
 
-      const transcriptData = Array.from(segments).map(segment => {
-        const timeElement = segment.querySelector('.segment-timestamp');
-        const textElement = segment.querySelector('.segment-text');
+      const transcriptData = segments.map(segment => {
+        const timeElement = selectorRegistry.query('SEGMENT_TIMESTAMP', segment);
+        const textElement = selectorRegistry.query('SEGMENT_TEXT', segment);
 
         if (!timeElement || !textElement) {
           return null;
@@ -181,44 +222,42 @@ export class TranscriptService {
   }
 
   /**
-   * Extract from player config (fallback method)
+   * Extract from the player's caption track via the page-world bridge
    * @param {string} videoId - Video ID
-   * @returns {Promise<Transcript|null>}
+   * @param {string} channelId - Channel ID
+   * @param {Object} captionPreferences - {languages, kind}
+   * @returns {Promise<Transcript|null>} null when the track cannot be fetched
    */
-  async extractFromPlayerConfig(videoId) {
-    try {
-      this.logger.debug(`Trying player config extraction`, { videoId });
-
-      // Access ytInitialPlayerResponse
-      if (typeof window.ytInitialPlayerResponse === 'undefined') {
-        this.logger.debug(`ytInitialPlayerResponse not available`);
-        return null;
-      }
+  async extractFromPlayerConfig(videoId, channelId = '', captionPreferences = {}) {
+    if (!this.pageBridge) {
+      return null;
+    }
 
-      const captions = window.ytInitialPlayerResponse?.captions;
-      if (!captions) {
-        this.logger.debug(`No captions in player config`);
-        return null;
-      }
+    try {
+      this.logger.debug(`Trying caption track extraction`, { videoId });
 
-      const captionTracks = captions.playerCaptionsTracklistRenderer?.captionTracks;
-      if (!captionTracks || captionTracks.length === 0) {
-        this.logger.debug(`No caption tracks found`);
-        return null;
-      }
+      const track = await this.pageBridge.request(BRIDGE.ACTIONS.GET_CAPTION_TRACK, {
+        videoId,
+        languages: captionPreferences.languages || [],
+        kind: captionPreferences.kind || 'manual'
+      });
+      const transcript = Transcript.fromAPI(track, videoId, channelId);
 
-      // Find English track or first available
-      const track = captionTracks.find(t => t.languageCode === 'en') || captionTracks[0];
+      TranscriptValidator.validate(transcript);
 
-      this.logger.info(`Found caption track`, {
+      this.logger.info(`Transcript fetched from caption track`, {
         videoId,
-        language: track.languageCode
+        language: track.languageCode,
+        kind: track.kind,
+        segmentCount: transcript.segments.length
       });
 
-      // Note: Cannot fetch due to CORS, but we know transcript exists
-      return null;
+      return transcript;
     } catch (error) {
-      this.logger.warn(`Player config extraction failed`, { error: error.message });
+      this.logger.warn(`Caption track extraction failed, falling back to transcript panel`, {
+        videoId,
+        error: error.message
+      });
       return null;
     }
   }
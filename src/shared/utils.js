@@ -1,5 +1,7 @@
 // utils.js - Utility functions
 
+import { YOUTUBE } from './constants.js';
+
 /**
  * Promisify Chrome API callback-based functions
  * @param {Function} fn - Chrome API function
@@ -77,26 +79,28 @@ export function formatHoursMinutes(totalSeconds) {
 }
 
 /**
- * Extract video ID from URL
+ * Extract video ID from URL (watch page or Shorts)
  * @param {string} url - YouTube URL
  * @returns {string|null} - Video ID or null
  */
 export function extractVideoId(url) {
   try {
     const urlObj = new URL(url);
-    return urlObj.searchParams.get('v');
+    const shortsMatch = urlObj.pathname.match(YOUTUBE.SHORTS_PATH_PATTERN);
+
+    return shortsMatch ? shortsMatch[1] : urlObj.searchParams.get(YOUTUBE.VIDEO_ID_PARAM);
   } catch {
     return null;
   }
 }
 
 /**
- * Check if URL is a YouTube watch page
+ * Check if URL is a YouTube video page (watch page or Shorts)
  * @param {string} url - URL to check
  * @returns {boolean}
  */
 export function isYouTubeWatchPage(url) {
-  return url && url.includes('youtube.com/watch');
+  return !!url && YOUTUBE.URL_PATTERN.test(url);
 }
 
 /**
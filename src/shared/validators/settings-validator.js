@@ -26,6 +26,7 @@ export class SettingsValidator {
       'skipDonations',
       'skipSelfPromo',
       'enablePreview',
+      'enableHotkeys',
       'autoSkip'
     ];
 
@@ -40,9 +41,235 @@ export class SettingsValidator {
       this.validateSkipBuffer(settings.skipBuffer);
     }
 
+    if (settings.previewLeadTime !== undefined) {
+      this.validatePreviewLeadTime(settings.previewLeadTime);
+    }
+
+    if (settings.replayPolicy !== undefined) {
+      this.validateReplayPolicy(settings.replayPolicy);
+    }
+
+    if (settings.notificationLevel !== undefined) {
+      this.validateNotificationLevel(settings.notificationLevel);
+    }
+
+    // Validate per-category actions
+    if (settings.categoryActions !== undefined) {
+      this.validateCategoryActions(settings.categoryActions);
+    }
+
+    // Validate user-defined categories
+    if (settings.customCategories !== undefined) {
+      this.validateCustomCategories(settings.customCategories);
+    }
+
     return true;
   }
 
+  /**
+   * Validate replay policy
+   * @param {string} value - Policy applied after a manual seek-back
+   * @throws {SettingsValidationError}
+   */
+  static validateReplayPolicy(value) {
+    if (!CONFIG.REPLAY_POLICIES.includes(value)) {
+      throw new SettingsValidationError(
+        `Replay policy must be one of: ${CONFIG.REPLAY_POLICIES.join(', ')}`,
+        'replayPolicy',
+        value
+      );
+    }
+  }
+
+  /**
+   * Validate notification level
+   * @param {string} value - Notifications shown in the page
+   * @throws {SettingsValidationError}
+   */
+  static validateNotificationLevel(value) {
+    if (!CONFIG.NOTIFICATION_LEVELS.includes(value)) {
+      throw new SettingsValidationError(
+        `Notification level must be one of: ${CONFIG.NOTIFICATION_LEVELS.join(', ')}`,
+        'notificationLevel',
+        value
+      );
+    }
+  }
+
+  /**
+   * Validate actions of built-in categories
+   * @param {Object} value - Map of category toggle to action
+   * @throws {SettingsValidationError}
+   */
+  static validateCategoryActions(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new SettingsValidationError('Must be an object', 'categoryActions', value);
+    }
+
+    const keys = Object.keys(CONFIG.DEFAULTS.SETTINGS.categoryActions);
+
+    Object.entries(value).forEach(([key, action]) => {
+      if (!keys.includes(key)) {
+        throw new SettingsValidationError(`Unknown category: ${key}`, 'categoryActions', value);
+      }
+
+      if (!CONFIG.CATEGORY_ACTIONS.includes(action)) {
+        throw new SettingsValidationError(
+          `Action must be one of: ${CONFIG.CATEGORY_ACTIONS.join(', ')}`,
+          `categoryActions.${key}`,
+          action
+        );
+      }
+    });
+  }
+
+  /**
+   * Sanitize actions of built-in categories (unknown keys dropped, missing ones defaulted)
+   * @param {Object} categoryActions - Map of category toggle to action
+   * @returns {Object}
+   */
+  static sanitizeCategoryActions(categoryActions) {
+    const defaults = CONFIG.DEFAULTS.SETTINGS.categoryActions;
+    const sanitized = {};
+
+    Object.keys(defaults).forEach(key => {
+      const action = categoryActions?.[key];
+      sanitized[key] = CONFIG.CATEGORY_ACTIONS.includes(action) ? action : defaults[key];
+    });
+
+    return sanitized;
+  }
+
+  /**
+   * Validate user-defined categories
+   * @param {Array<Object>} value - Categories ({id, name, description, color, action, enabled})
+   * @throws {SettingsValidationError}
+   */
+  static validateCustomCategories(value) {
+    const { MAX_COUNT, MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH } = CONFIG.CUSTOM_CATEGORIES;
+
+    if (!Array.isArray(value)) {
+      throw new SettingsValidationError('Must be an array', 'customCategories', value);
+    }
+
+    if (value.length > MAX_COUNT) {
+      throw new SettingsValidationError(
+        `Must contain at most ${MAX_COUNT} categories`,
+        'customCategories',
+        value
+      );
+    }
+
+    const ids = new Set();
+
+    value.forEach((category, index) => {
+      if (!category || typeof category !== 'object') {
+        throw new SettingsValidationError(
+          `Category at index ${index} must be an object`,
+          'customCategories',
+          category
+        );
+      }
+
+      if (!this.isValidCustomCategoryId(category.id) || ids.has(category.id)) {
+        throw new SettingsValidationError(
+          `Category at index ${index} has an invalid or duplicate id`,
+          'customCategories',
+          category.id
+        );
+      }
+      ids.add(category.id);
+
+      if (typeof category.name !== 'string' ||
+          category.name.trim().length === 0 ||
+          category.name.length > MAX_NAME_LENGTH) {
+        throw new SettingsValidationError(
+          `Name must be 1-${MAX_NAME_LENGTH} characters`,
+          'customCategories',
+          category.name
+        );
+      }
+
+      if (typeof category.description !== 'string' ||
+          category.description.trim().length === 0 ||
+          category.description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new SettingsValidationError(
+          `Description must be 1-${MAX_DESCRIPTION_LENGTH} characters`,
+          'customCategories',
+          category.description
+        );
+      }
+
+      if (!this.isValidColor(category.color)) {
+        throw new SettingsValidationError(
+          'Color must be a hex color (#RRGGBB)',
+          'customCategories',
+          category.color
+        );
+      }
+
+      if (!CONFIG.CATEGORY_ACTIONS.includes(category.action)) {
+        throw new SettingsValidationError(
+          `Action must be one of: ${CONFIG.CATEGORY_ACTIONS.join(', ')}`,
+          'customCategories',
+          category.action
+        );
+      }
+
+      this.validateBoolean('customCategories.enabled', category.enabled);
+    });
+  }
+
+  /**
+   * Check if value is a valid custom category id (e.g. 'custom_recap')
+   * @param {string} id - Category id
+   * @returns {boolean}
+   */
+  static isValidCustomCategoryId(id) {
+    return typeof id === 'string' &&
+           id.startsWith(CONFIG.CUSTOM_CATEGORIES.ID_PREFIX) &&
+           /^[a-z0-9_]{1,60}$/.test(id);
+  }
+
+  /**
+   * Check if value is a #RRGGBB color
+   * @param {string} color - Color
+   * @returns {boolean}
+   */
+  static isValidColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+  }
+
+  /**
+   * Sanitize user-defined categories (invalid entries are dropped)
+   * @param {Array<Object>} categories - Categories
+   * @returns {Array<Object>}
+   */
+  static sanitizeCustomCategories(categories) {
+    const { MAX_COUNT, MAX_NAME_LENGTH, MAX_DESCRIPTION_LENGTH, DEFAULT_COLOR } = CONFIG.CUSTOM_CATEGORIES;
+    const ids = new Set();
+
+    return categories
+      .filter(category => {
+        if (!category || typeof category !== 'object') return false;
+        if (!this.isValidCustomCategoryId(category.id) || ids.has(category.id)) return false;
+        if (typeof category.name !== 'string' || category.name.trim().length === 0) return false;
+        if (typeof category.description !== 'string' || category.description.trim().length === 0) return false;
+
+        ids.add(category.id);
+        return true;
+      })
+      .slice(0, MAX_COUNT)
+      .map(category => ({
+        id: category.id,
+        name: category.name.trim().substring(0, MAX_NAME_LENGTH),
+        description: category.description.trim().substring(0, MAX_DESCRIPTION_LENGTH),
+        color: this.isValidColor(category.color) ? category.color : DEFAULT_COLOR,
+        action: CONFIG.CATEGORY_ACTIONS.includes(category.action) ? category.action : CONFIG.CATEGORY_ACTIONS[0],
+        enabled: typeof category.enabled === 'boolean' ? category.enabled : true
+      }));
+  }
+
   /**
    * Validate boolean setting
    * @param {string} key - Setting key
@@ -82,6 +309,31 @@ export class SettingsValidator {
     }
   }
 
+  /**
+   * Validate skip preview lead time
+   * @param {number} value - Seconds the preview is shown before the skip
+   * @throws {SettingsValidationError}
+   */
+  static validatePreviewLeadTime(value) {
+    const { PREVIEW_LEAD_TIME_MIN: min, PREVIEW_LEAD_TIME_MAX: max } = CONFIG.UI;
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new SettingsValidationError(
+        'Must be a number',
+        'previewLeadTime',
+        value
+      );
+    }
+
+    if (value < min || value > max) {
+      throw new SettingsValidationError(
+        `Must be between ${min} and ${max} seconds`,
+        'previewLeadTime',
+        value
+      );
+    }
+  }
+
   /**
    * Validate advanced settings
    * @param {Object} advancedSettings - Advanced settings
@@ -112,6 +364,29 @@ export class SettingsValidator {
       this.validateAIModel(advancedSettings.aiModel, advancedSettings.aiProvider);
     }
 
+    // Validate local provider configuration
+    if (advancedSettings.localEndpoint !== undefined) {
+      this.validateLocalEndpoint(advancedSettings.localEndpoint);
+    }
+
+    if (advancedSettings.localModel !== undefined) {
+      this.validateLocalModel(advancedSettings.localModel);
+    }
+
+    // Validate provider fallback chain
+    if (advancedSettings.providerFallbacks !== undefined) {
+      this.validateProviderFallbacks(advancedSettings.providerFallbacks);
+    }
+
+    // Validate caption preferences
+    if (advancedSettings.captionLanguages !== undefined) {
+      this.validateCaptionLanguages(advancedSettings.captionLanguages);
+    }
+
+    if (advancedSettings.captionTrackKind !== undefined) {
+      this.validateCaptionTrackKind(advancedSettings.captionTrackKind);
+    }
+
     // Validate channel whitelist
     if (advancedSettings.channelWhitelist !== undefined) {
       this.validateChannelWhitelist(advancedSettings.channelWhitelist);
@@ -157,7 +432,7 @@ export class SettingsValidator {
       );
     }
 
-    const validProviders = ['claude', 'openai'];
+    const validProviders = this.getValidProviders();
     if (!validProviders.includes(value)) {
       throw new SettingsValidationError(
         `Must be one of: ${validProviders.join(', ')}`,
@@ -182,9 +457,7 @@ export class SettingsValidator {
       );
     }
 
-    const validModels = provider === 'openai'
-      ? ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo']
-      : ['haiku', 'sonnet'];
+    const validModels = this.getValidModels(provider);
 
     if (!validModels.includes(value)) {
       throw new SettingsValidationError(
@@ -195,6 +468,284 @@ export class SettingsValidator {
     }
   }
 
+  /**
+   * Get valid AI provider names
+   * @returns {Array<string>}
+   */
+  static getValidProviders() {
+    return Object.values(CONFIG.AI_PROVIDERS).map(provider => provider.NAME);
+  }
+
+  /**
+   * Get valid model keys for a provider
+   * @param {string} provider - AI provider
+   * @returns {Array<string>}
+   */
+  static getValidModels(provider) {
+    if (provider === 'openai') return ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'];
+    if (provider === 'local') return ['local']; // Actual model name lives in localModel
+    if (provider === 'heuristic') return ['rules'];
+    return ['haiku', 'sonnet'];
+  }
+
+  /**
+   * Validate local provider endpoint URL
+   * @param {string} value - Endpoint URL
+   * @throws {SettingsValidationError}
+   */
+  static validateLocalEndpoint(value) {
+    if (typeof value !== 'string') {
+      throw new SettingsValidationError(
+        'Must be a string',
+        'localEndpoint',
+        value
+      );
+    }
+
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch (error) {
+      throw new SettingsValidationError(
+        'Must be a valid URL',
+        'localEndpoint',
+        value
+      );
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new SettingsValidationError(
+        'Must use http or https',
+        'localEndpoint',
+        value
+      );
+    }
+  }
+
+  /**
+   * Validate local provider model name
+   * @param {string} value - Model name (e.g. "llama3.1:8b")
+   * @throws {SettingsValidationError}
+   */
+  static validateLocalModel(value) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      throw new SettingsValidationError(
+        'Must be a non-empty string',
+        'localModel',
+        value
+      );
+    }
+  }
+
+  /**
+   * Validate provider fallback chain
+   * @param {Array} value - Ordered fallback entries ({provider, model})
+   * @throws {SettingsValidationError}
+   */
+  static validateProviderFallbacks(value) {
+    if (!Array.isArray(value)) {
+      throw new SettingsValidationError(
+        'Must be an array',
+        'providerFallbacks',
+        value
+      );
+    }
+
+    if (value.length > CONFIG.AI_FALLBACK.MAX_FALLBACKS) {
+      throw new SettingsValidationError(
+        `Must contain at most ${CONFIG.AI_FALLBACK.MAX_FALLBACKS} entries`,
+        'providerFallbacks',
+        value
+      );
+    }
+
+    value.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') {
+        throw new SettingsValidationError(
+          `Fallback at index ${index} must be an object`,
+          'providerFallbacks',
+          entry
+        );
+      }
+
+      this.validateAIProvider(entry.provider);
+      this.validateAIModel(entry.model, entry.provider);
+    });
+  }
+
+  /**
+   * Validate preferred caption languages
+   * @param {Array<string>} value - Language codes (e.g. 'en', 'pt-BR')
+   * @throws {SettingsValidationError}
+   */
+  static validateCaptionLanguages(value) {
+    if (!Array.isArray(value)) {
+      throw new SettingsValidationError(
+        'Must be an array',
+        'captionLanguages',
+        value
+      );
+    }
+
+    if (value.length > CONFIG.CAPTIONS.MAX_LANGUAGES) {
+      throw new SettingsValidationError(
+        `Must contain at most ${CONFIG.CAPTIONS.MAX_LANGUAGES} languages`,
+        'captionLanguages',
+        value
+      );
+    }
+
+    value.forEach(code => {
+      if (!this.isValidLanguageCode(code)) {
+        throw new SettingsValidationError(
+          `Invalid language code: ${code}`,
+          'captionLanguages',
+          code
+        );
+      }
+    });
+  }
+
+  /**
+   * Validate preferred caption track kind
+   * @param {string} value - 'manual' or 'asr'
+   * @throws {SettingsValidationError}
+   */
+  static validateCaptionTrackKind(value) {
+    if (!CONFIG.CAPTIONS.TRACK_KINDS.includes(value)) {
+      throw new SettingsValidationError(
+        `Must be one of: ${CONFIG.CAPTIONS.TRACK_KINDS.join(', ')}`,
+        'captionTrackKind',
+        value
+      );
+    }
+  }
+
+  /**
+   * Check if value looks like a language code (e.g. 'en', 'pt-BR', 'zh-Hans')
+   * @param {string} code - Language code
+   * @returns {boolean}
+   */
+  static isValidLanguageCode(code) {
+    return typeof code === 'string' && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code);
+  }
+
+  /**
+   * Check if a fallback entry is valid
+   * @param {Object} entry - Fallback entry ({provider, model})
+   * @returns {boolean}
+   */
+  static isValidFallback(entry) {
+    return !!entry &&
+      typeof entry === 'object' &&
+      this.getValidProviders().includes(entry.provider) &&
+      this.getValidModels(entry.provider).includes(entry.model);
+  }
+
+  /**
+   * Validate per-channel settings profile
+   * @param {Object} profile - Profile ({channelId, overrides})
+   * @throws {SettingsValidationError}
+   */
+  static validateChannelProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+      throw new SettingsValidationError('Must be an object', 'channelProfile', profile);
+    }
+
+    if (typeof profile.channelId !== 'string' ||
+        profile.channelId.trim().length === 0 ||
+        profile.channelId.length > CONFIG.CHANNEL_PROFILES.MAX_CHANNEL_ID_LENGTH) {
+      throw new SettingsValidationError('Invalid channel', 'channelProfile.channelId', profile.channelId);
+    }
+
+    const overrides = profile.overrides;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new SettingsValidationError('Overrides must be an object', 'channelProfile.overrides', overrides);
+    }
+
+    Object.entries(overrides).forEach(([key, value]) => {
+      this.validateProfileOverride(key, value);
+    });
+
+    if ((overrides.aiProvider === undefined) !== (overrides.aiModel === undefined) ||
+        (overrides.aiProvider !== undefined &&
+         !this.isValidFallback({ provider: overrides.aiProvider, model: overrides.aiModel }))) {
+      throw new SettingsValidationError(
+        'Provider and model must be overridden together with a valid pair',
+        'channelProfile.overrides.aiModel',
+        overrides.aiModel
+      );
+    }
+  }
+
+  /**
+   * Validate a single profile override
+   * @param {string} key - Overridden setting (one of CONFIG.CHANNEL_PROFILES.OVERRIDABLE)
+   * @param {any} value - Override value
+   * @throws {SettingsValidationError}
+   */
+  static validateProfileOverride(key, value) {
+    if (!CONFIG.CHANNEL_PROFILES.OVERRIDABLE.includes(key)) {
+      throw new SettingsValidationError(`Setting cannot be overridden: ${key}`, 'channelProfile.overrides', key);
+    }
+
+    switch (key) {
+      case 'categoryActions':
+        this.validateCategoryActions(value);
+        break;
+      case 'skipBuffer':
+        this.validateSkipBuffer(value);
+        break;
+      case 'confidenceThreshold':
+        this.validateConfidenceThreshold(value);
+        break;
+      case 'aiProvider':
+        this.validateAIProvider(value);
+        break;
+      case 'aiModel':
+        if (typeof value !== 'string') {
+          throw new SettingsValidationError('Must be a string', 'aiModel', value);
+        }
+        break;
+      default:
+        this.validateBoolean(key, value);
+    }
+  }
+
+  /**
+   * Sanitize per-channel settings profile (invalid overrides are dropped)
+   * @param {Object} profile - Profile ({channelId, overrides})
+   * @returns {Object|null} Sanitized profile, null when the channel is invalid
+   */
+  static sanitizeChannelProfile(profile) {
+    if (!profile || typeof profile !== 'object' || typeof profile.channelId !== 'string') {
+      return null;
+    }
+
+    const channelId = profile.channelId.trim();
+    if (channelId.length === 0 || channelId.length > CONFIG.CHANNEL_PROFILES.MAX_CHANNEL_ID_LENGTH) {
+      return null;
+    }
+
+    const overrides = {};
+    Object.entries(profile.overrides || {}).forEach(([key, value]) => {
+      try {
+        this.validateProfileOverride(key, value);
+        overrides[key] = key === 'categoryActions' ? { ...value } : value;
+      } catch (error) {
+        // Drop invalid override, keep the rest of the profile
+      }
+    });
+
+    // Provider and model only make sense as a pair
+    if (!this.isValidFallback({ provider: overrides.aiProvider, model: overrides.aiModel })) {
+      delete overrides.aiProvider;
+      delete overrides.aiModel;
+    }
+
+    return { channelId, overrides };
+  }
+
   /**
    * Validate channel whitelist
    * @param {Array} value - Channel whitelist
@@ -265,9 +816,31 @@ export class SettingsValidator {
         ? settings.enablePreview
         : defaults.enablePreview,
 
+      previewLeadTime: Number.isFinite(settings.previewLeadTime)
+        ? Math.max(CONFIG.UI.PREVIEW_LEAD_TIME_MIN, Math.min(CONFIG.UI.PREVIEW_LEAD_TIME_MAX, settings.previewLeadTime))
+        : defaults.previewLeadTime,
+
+      enableHotkeys: typeof settings.enableHotkeys === 'boolean'
+        ? settings.enableHotkeys
+        : defaults.enableHotkeys,
+
       autoSkip: typeof settings.autoSkip === 'boolean'
         ? settings.autoSkip
-        : defaults.autoSkip
+        : defaults.autoSkip,
+
+      replayPolicy: CONFIG.REPLAY_POLICIES.includes(settings.replayPolicy)
+        ? settings.replayPolicy
+        : defaults.replayPolicy,
+
+      notificationLevel: CONFIG.NOTIFICATION_LEVELS.includes(settings.notificationLevel)
+        ? settings.notificationLevel
+        : defaults.notificationLevel,
+
+      categoryActions: this.sanitizeCategoryActions(settings.categoryActions),
+
+      customCategories: Array.isArray(settings.customCategories)
+        ? this.sanitizeCustomCategories(settings.customCategories)
+        : defaults.customCategories
     };
   }
 
@@ -280,14 +853,19 @@ export class SettingsValidator {
     const defaults = CONFIG.DEFAULTS.ADVANCED_SETTINGS;
 
     // Determine provider
-    const aiProvider = ['claude', 'openai'].includes(advancedSettings.aiProvider)
+    const aiProvider = this.getValidProviders().includes(advancedSettings.aiProvider)
       ? advancedSettings.aiProvider
       : defaults.aiProvider;
 
     // Determine valid models based on provider
-    const validModels = aiProvider === 'openai'
-      ? ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo']
-      : ['haiku', 'sonnet'];
+    const validModels = this.getValidModels(aiProvider);
+
+    let localEndpointValid = true;
+    try {
+      this.validateLocalEndpoint(advancedSettings.localEndpoint);
+    } catch (error) {
+      localEndpointValid = false;
+    }
 
     return {
       confidenceThreshold: typeof advancedSettings.confidenceThreshold === 'number'
@@ -298,7 +876,33 @@ export class SettingsValidator {
 
       aiModel: validModels.includes(advancedSettings.aiModel)
         ? advancedSettings.aiModel
-        : (aiProvider === 'openai' ? 'gpt-4o-mini' : 'haiku'),
+        : (aiProvider === 'openai' ? 'gpt-4o-mini' : validModels[0]),
+
+      localEndpoint: localEndpointValid
+        ? advancedSettings.localEndpoint.trim()
+        : defaults.localEndpoint,
+
+      localModel: typeof advancedSettings.localModel === 'string' && advancedSettings.localModel.trim().length > 0
+        ? advancedSettings.localModel.trim()
+        : defaults.localModel,
+
+      providerFallbacks: Array.isArray(advancedSettings.providerFallbacks)
+        ? advancedSettings.providerFallbacks
+          .filter(entry => this.isValidFallback(entry))
+          .slice(0, CONFIG.AI_FALLBACK.MAX_FALLBACKS)
+          .map(entry => ({ provider: entry.provider, model: entry.model }))
+        : defaults.providerFallbacks,
+
+      captionLanguages: Array.isArray(advancedSettings.captionLanguages)
+        ? [...new Set(advancedSettings.captionLanguages
+          .filter(code => this.isValidLanguageCode(code))
+          .map(code => code.trim()))]
+          .slice(0, CONFIG.CAPTIONS.MAX_LANGUAGES)
+        : defaults.captionLanguages,
+
+      captionTrackKind: CONFIG.CAPTIONS.TRACK_KINDS.includes(advancedSettings.captionTrackKind)
+        ? advancedSettings.captionTrackKind
+        : defaults.captionTrackKind,
 
       skipBuffer: typeof advancedSettings.skipBuffer === 'number'
         ? Math.max(0, Math.min(10, advancedSettings.skipBuffer))